@@ -56,19 +56,17 @@ async function startServer() {
                     uptime: process.uptime(),
                     timestamp: new Date().toISOString(),
                     webhook: '/webhook',
-                    health: '/health'
+                    health: '/health',
+                    metrics: '/metrics'
                 });
             });
             
-            system.tradingManager.webhookReceiver.app.get('/health', (req, res) => {
-                res.json({
-                    status: 'healthy',
-                    strategies: system.tradingManager?.strategies?.size || 0,
-                    telegram: system.telegramBot ? 'connected' : 'disconnected',
-                    database: 'connected',
-                    uptime: process.uptime()
-                });
-            });
+            // /health is served by the webhook receiver; add Telegram and uptime to its checks
+            system.tradingManager.webhookReceiver.setHealthCheck(async () => ({
+                ...(await system.tradingManager.getHealth()),
+                telegram: system.telegramBot ? 'connected' : 'disconnected',
+                uptime: process.uptime()
+            }));
         }
         
         // Graceful shutdown
@@ -1,7 +1,24 @@
 const EventEmitter = require('events');
+const express = require('express');
+const path = require('path');
 const TradingViewWebhookReceiver = require('./tradingview/WebhookReceiver');
 const PortfolioManager = require('./portfolio/PortfolioManager');
 const QuantfuryManager = require('./quantfury/QuantfuryManager');
+const DatabaseManager = require('./database/DatabaseManager');
+const CandleFeed = require('./marketdata/CandleFeed');
+const ExchangeManager = require('./exchanges/ExchangeManager');
+const OrderManager = require('./orders/OrderManager');
+const { OrderRejectedError } = OrderManager;
+const RiskGuard = require('./risk/RiskGuard');
+const DeadLetterQueue = require('./signals/DeadLetterQueue');
+const ControlApi = require('./api/ControlApi');
+const EventStream = require('./api/EventStream');
+const MetricsRegistry = require('./metrics/MetricsRegistry');
+const safeEqual = require('./security/safeEqual');
+const CorrelationEngine = require('./analytics/CorrelationEngine');
+const PositionSizer = require('./portfolio/PositionSizer');
+const InstrumentRegistry = require('./instruments/InstrumentRegistry');
+const SymbolMapper = require('./instruments/SymbolMapper');
 const EMACrossoverStrategy = require('./strategies/EMACrossoverStrategy');
 const GoldScalpingStrategy = require('./strategies/GoldScalpingStrategy');
 const ForexMomentumStrategy = require('./strategies/ForexMomentumStrategy');
@@ -10,23 +27,93 @@ class TradingManager extends EventEmitter {
     constructor(config = {}) {
         super();
         
-        // Initialize components
-        this.webhookReceiver = new TradingViewWebhookReceiver(config.webhook);
+        // Initialize components; the metrics registry first, components register into it
+        this.metrics = new MetricsRegistry();
+        this.instrumentRegistry = InstrumentRegistry.getDefault();
+        this.symbolMapper = new SymbolMapper({ registry: this.instrumentRegistry, aliases: config.symbolAliases });
+        this.enforceTradingHours = (config.enforceTradingHours ?? config.trading?.enforceTradingHours) !== false;
+        this.webhookReceiver = new TradingViewWebhookReceiver({ ...config.webhook, symbolMapper: this.symbolMapper, metrics: this.metrics });
         this.portfolioManager = new PortfolioManager(config.portfolio);
         this.quantfuryManager = new QuantfuryManager(config.quantfury || {});
+        // One sizing model for portfolio positions and Quantfury alerts
+        this.positionSizer = new PositionSizer({ instruments: this.quantfuryManager.instruments, ...config.sizing });
+        this.portfolioManager.setPositionSizer(this.positionSizer);
+        this.quantfuryManager.setPositionSizer(this.positionSizer);
+        this.database = new DatabaseManager(config.database);
+        this.marketDataEnabled = config.marketData?.enabled || false;
+        this.candleFeed = new CandleFeed(config.marketData);
+        this.paperExchange = new ExchangeManager({
+            symbolMapper: this.symbolMapper,
+            metrics: this.metrics,
+            paper: {
+                instruments: this.quantfuryManager.instruments,
+                initialBalance: config.portfolio?.initialCapital,
+                ...config.paperExchange
+            }
+        });
+        this.orderManager = new OrderManager(config.orders);
+        this.riskGuard = new RiskGuard(config.riskGuard);
+        this.riskGuard.attach(this.portfolioManager);
+        this.deadLetters = new DeadLetterQueue(config.deadLetter);
+        this.correlationEngine = new CorrelationEngine(config.correlation);
+        this.correlationSymbols = config.correlation?.symbols || Object.keys(this.quantfuryManager.instruments);
+        this.portfolioManager.setCorrelationEngine(this.correlationEngine);
+        this.pendingWrites = new Set();
         
         // Initialize strategies
         this.strategies = new Map();
         this.loadStrategies(config.strategies);
         
+        // Strategies that filter on correlation see measured returns and live positions
+        for (const strategy of this.strategies.values()) {
+            if (typeof strategy.setCorrelationEngine !== 'function') continue;
+            strategy.setCorrelationEngine(this.correlationEngine);
+            strategy.setPositionProvider(() => Array.from(this.portfolioManager.positions.values()));
+        }
+        
         // Trading state
         this.isActive = false;
-        this.paperTrading = config.paperTrading !== false; // Default to paper trading
+        this.paused = false; // Paused by an operator: running, but not taking signals
+        const paperTrading = config.paperTrading ?? config.trading?.paperTrading;
+        this.paperTrading = paperTrading !== false; // Default to paper trading
         this.exchangeConnections = new Map();
+        this.exchangeConfig = config.trading?.exchanges || config.exchanges || {};
+        this.exchangeManager = config.exchangeManager || null; // Live venue, created by initializeExchanges()
+        this.pendingExecutions = new Set();
+        // Live positions keep their resting exchange stops across a restart unless flattening is opted into
+        this.closePositionsOnShutdown = (config.closePositionsOnShutdown ?? config.trading?.closePositionsOnShutdown) === true;
         
-        // Signal processing
+        // Signal processing; the queue is bounded so a flood cannot grow it without limit
         this.signalQueue = [];
+        this.maxQueueSize = config.signalQueue?.maxSize || 100;
+        this.droppedSignals = 0;
         this.processing = false;
+        this.signalQueueTimer = null;
+        this.webhookReceiver.setQueueGuard(() => this.signalQueue.length < this.maxQueueSize);
+        
+        // Open position monitoring (trailing stops, SL/TP)
+        this.positionMonitorInterval = config.positionMonitorInterval || 5000;
+        this.positionMonitor = null;
+        
+        // REST control API (/api/v1) served next to the webhook
+        this.controlApi = new ControlApi(this, config.api);
+        this.controlApi.mount(this.webhookReceiver.app);
+        
+        // Prometheus /metrics and the dependency checks behind /health
+        this.setupMetrics(config.metrics);
+        this.webhookReceiver.setHealthCheck(() => this.getHealth());
+        
+        // Static dashboard at /dashboard; its data comes from the API and the event stream
+        if (config.dashboard?.enabled !== false) {
+            this.webhookReceiver.app.use('/dashboard', express.static(path.join(__dirname, 'dashboard')));
+        }
+        
+        // WebSocket event push, same tokens as the control API
+        this.eventStream = new EventStream(this, {
+            ...config.eventStream,
+            authenticate: (token, req) => this.controlApi.isAllowedIP(req.socket.remoteAddress)
+                && this.controlApi.isValidToken(token)
+        });
         
         this.setupEventHandlers();
     }
@@ -61,6 +148,16 @@ class TradingManager extends EventEmitter {
             this.emit('telegramNotification', notification);
         });
 
+        this.riskGuard.on('stateChanged', (state) => {
+            this.persist('risk guard state', () => this.database.saveRiskGuardState(state));
+        });
+
+        // Live bars -> strategy analysis
+        this.candleFeed.on('barClosed', (event) => {
+            this.correlationEngine.addCandle(event.symbol, event.timeframe, event.bar);
+            this.onBarClosed(event);
+        });
+
         this.portfolioManager.on('positionClosed', (trade) => {
             this.emit('positionClosed', trade);
             const pnlSymbol = trade.realizedPnL > 0 ? '🟢' : '🔴';
@@ -72,8 +169,317 @@ class TradingManager extends EventEmitter {
             this.emit('positionRejected', rejection);
         });
 
-        // Start signal processing
-        this.processSignalQueue();
+        this.portfolioManager.on('stopLossUpdated', (update) => {
+            const { position, previousStop, newStop } = update;
+            console.log(`📈 Trailing stop ${position.symbol}: ${previousStop} → ${newStop}`);
+            this.emit('stopLossUpdated', update);
+
+            if (this.isLive()) {
+                this.runExecution(position, () => this.updateExchangeStop(position));
+            }
+        });
+
+        this.portfolioManager.on('positionPartiallyClosed', ({ position, exit }) => {
+            console.log(`✂️ Partial exit ${position.symbol}: ${exit.size} @ ${exit.price} (${exit.reason})`);
+            this.emit('positionPartiallyClosed', { position, exit });
+
+            if (this.isLive()) {
+                this.runExecution(position, () => this.executeRealSlice(position, exit.size, position.side === 'long' ? 'sell' : 'buy', exit.reason));
+            }
+        });
+
+        this.portfolioManager.on('positionScaledIn', ({ position, fill }) => {
+            console.log(`➕ Scaled into ${position.symbol}: ${fill.size} @ ${fill.price}, avg ${position.entryPrice}`);
+            this.emit('positionScaledIn', { position, fill });
+
+            if (this.isLive()) {
+                this.runExecution(position, () => this.executeRealSlice(position, fill.size, position.side === 'long' ? 'buy' : 'sell', 'scale_in'));
+            }
+        });
+
+        // Closing locally in live mode has to flatten on the venue too
+        this.portfolioManager.on('positionClosed', (trade) => {
+            if (this.isLive() && !trade.closedByExchange) {
+                this.runExecution(trade, () => this.executeRealClose(trade));
+            } else {
+                // Orders left behind by a closed position are no longer needed
+                this.orderManager.cancelOrdersForPosition(trade.id);
+            }
+        });
+
+        this.portfolioManager.on('positionCanceled', (position) => {
+            console.log(`↩️ Position canceled: ${position.symbol} (${position.reason})`);
+            this.emit('positionCanceled', position);
+        });
+
+        // Mark-to-market on every monitor tick, for live PnL on the dashboard
+        this.portfolioManager.on('positionsUpdated', (summary) => {
+            this.emit('portfolioUpdated', { summary, positions: Array.from(this.portfolioManager.positions.values()) });
+        });
+
+        // Circuit breaker
+        this.riskGuard.on('tripped', (trip) => {
+            this.emit('riskGuardTripped', trip);
+
+            if (trip.flatten && this.portfolioManager.positions.size > 0) {
+                this.closeAllPositions(`risk_guard_${trip.reason}`).catch(error => {
+                    console.error('❌ Failed to flatten after risk guard trip:', error.message);
+                });
+            }
+        });
+
+        this.riskGuard.on('rearmed', (trip) => {
+            this.emit('riskGuardRearmed', trip);
+        });
+
+        // Failed and ignored signals
+        this.deadLetters.on('updated', (entry) => {
+            this.persist('dead letter', () => this.database.saveDeadLetter(entry));
+        });
+
+        this.deadLetters.on('dead', (entry) => {
+            console.warn(`💀 Signal ${entry.symbol} ${entry.type} dead-lettered (${entry.reason}${entry.error ? `: ${entry.error.message}` : ''})`);
+            this.emit('signalDeadLettered', entry);
+        });
+
+        this.deadLetters.on('expired', (entry) => {
+            console.warn(`⌛ Dead-lettered ${entry.type} signal for ${entry.symbol} expired after ${entry.attempts} attempts, not retried`);
+        });
+
+        // Exchange fills drive live positions
+        this.orderManager.on('orderFilled', (order) => this.handleOrderFill(order));
+        this.orderManager.on('bracketUnprotected', (entry, group) => {
+            const position = this.portfolioManager.positions.get(entry.positionId);
+            if (!position) return;
+
+            // The bracket legs were refused; fall back to a plain exchange stop
+            console.warn(`⚠️ Bracket ${group.id} for ${position.symbol} unprotected (${group.error}), placing a stop`);
+            this.runExecution(position, () => this.placeExchangeStop(position));
+        });
+        ['orderCanceled', 'orderExpired', 'orderRejected'].forEach(event => {
+            this.orderManager.on(event, (order) => {
+                if (order.role === 'entry') this.handleOrderFill(order);
+            });
+        });
+
+        // Order lifecycle events
+        ['orderSubmitted', 'orderUnknown', 'orderPartiallyFilled', 'orderFilled', 'orderCanceled', 'orderRejected', 'orderExpired', 'orphanOrder']
+            .forEach(event => this.orderManager.on(event, (order) => this.emit(event, order)));
+
+        this.setupPersistence();
+    }
+
+    setupMetrics(config = {}) {
+        const metrics = this.metrics;
+        this.signalLatency = metrics.histogram('signal_to_position_seconds', 'Time from queueing a signal to opening its position',
+            ['strategy'], [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+        const gauges = {
+            queueDepth: metrics.gauge('signal_queue_depth', 'Signals waiting in the processing queue'),
+            queueCapacity: metrics.gauge('signal_queue_capacity', 'Maximum signal queue size'),
+            openPositions: metrics.gauge('open_positions', 'Open positions'),
+            equity: metrics.gauge('equity', 'Portfolio value including unrealized PnL'),
+            realizedPnL: metrics.gauge('realized_pnl', 'Realized PnL of closed trades and partial exits of open positions'),
+            unrealizedPnL: metrics.gauge('unrealized_pnl', 'Unrealized PnL of open positions'),
+            strategyTrades: metrics.gauge('strategy_closed_trades', 'Closed trades per strategy', ['strategy']),
+            strategyWinRate: metrics.gauge('strategy_win_rate', 'Share of winning closed trades per strategy (0-1)', ['strategy']),
+            strategyPnL: metrics.gauge('strategy_realized_pnl', 'Realized PnL per strategy, partial exits included', ['strategy']),
+            strategyEnabled: metrics.gauge('strategy_enabled', 'Whether the strategy takes signals', ['strategy']),
+            deadLetters: metrics.gauge('dead_letters', 'Open dead-letter entries by status', ['status']),
+            tradingActive: metrics.gauge('active', 'Trading manager running and not paused'),
+            riskGuardTripped: metrics.gauge('risk_guard_tripped', 'Risk guard circuit breaker tripped'),
+            streamClients: metrics.gauge('event_stream_clients', 'Connected event stream clients'),
+            databaseUp: metrics.gauge('database_up', 'Database answers queries')
+        };
+
+        // Derived from live state right before each scrape
+        metrics.addCollector(async () => {
+            const summary = this.portfolioManager.getPortfolioSummary();
+            const trades = this.portfolioManager.closedTrades;
+            // Partial exits of open positions are already booked in capital
+            const openPositions = Array.from(this.portfolioManager.positions.values());
+
+            gauges.queueDepth.set(this.signalQueue.length);
+            gauges.queueCapacity.set(this.maxQueueSize);
+            gauges.openPositions.set(this.portfolioManager.positions.size);
+            gauges.equity.set(summary.totalValue + summary.unrealizedPnL);
+            gauges.realizedPnL.set([...trades, ...openPositions].reduce((total, trade) => total + (trade.realizedPnL || 0), 0));
+            gauges.unrealizedPnL.set(summary.unrealizedPnL);
+
+            const byStrategy = new Map(Array.from(this.strategies.keys()).map(name => [name, { trades: 0, wins: 0, pnl: 0 }]));
+            for (const trade of trades) {
+                const stats = byStrategy.get(trade.strategy) || { trades: 0, wins: 0, pnl: 0 };
+                stats.trades++;
+                if (trade.realizedPnL > 0) stats.wins++;
+                stats.pnl += trade.realizedPnL;
+                byStrategy.set(trade.strategy, stats);
+            }
+            for (const position of openPositions) {
+                if (!position.realizedPnL) continue;
+                const stats = byStrategy.get(position.strategy) || { trades: 0, wins: 0, pnl: 0 };
+                stats.pnl += position.realizedPnL;
+                byStrategy.set(position.strategy, stats);
+            }
+            for (const gauge of [gauges.strategyTrades, gauges.strategyWinRate, gauges.strategyPnL, gauges.strategyEnabled]) gauge.reset();
+            for (const [strategy, stats] of byStrategy) {
+                gauges.strategyTrades.set({ strategy }, stats.trades);
+                gauges.strategyWinRate.set({ strategy }, stats.trades > 0 ? stats.wins / stats.trades : 0);
+                gauges.strategyPnL.set({ strategy }, stats.pnl);
+            }
+            for (const [strategy, instance] of this.strategies) {
+                gauges.strategyEnabled.set({ strategy }, instance.isEnabled() ? 1 : 0);
+            }
+
+            const deadLetters = this.deadLetters.getStats();
+            for (const status of ['retrying', 'queued', 'dead']) {
+                gauges.deadLetters.set({ status }, deadLetters[status] || 0);
+            }
+
+            gauges.tradingActive.set(this.isActive ? 1 : 0);
+            gauges.riskGuardTripped.set(this.riskGuard.tripped ? 1 : 0);
+            gauges.streamClients.set(this.eventStream ? this.eventStream.clients.size : 0);
+            gauges.databaseUp.set((await this.database.healthCheck()).status === 'connected' ? 1 : 0);
+        });
+
+        if (config.enabled === false) return;
+
+        // Scrapers usually sit on a private network: optional bearer token and IP list
+        const token = config.token || null;
+        const allowedIPs = config.allowedIPs || [];
+        this.webhookReceiver.app.get('/metrics', async (req, res) => {
+            if (allowedIPs.length > 0 && !allowedIPs.includes(req.ip)) {
+                return res.status(403).type('text/plain').send('IP not allowed\n');
+            }
+            const [scheme, provided] = (req.headers.authorization || '').split(' ');
+            if (token && (scheme !== 'Bearer' || !provided || !safeEqual(provided, token))) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer').type('text/plain').send('Unauthorized\n');
+            }
+
+            try {
+                res.set('Content-Type', MetricsRegistry.CONTENT_TYPE).send(await metrics.render());
+            } catch (error) {
+                console.error('❌ Failed to render metrics:', error.message);
+                res.status(500).type('text/plain').send('Metrics unavailable\n');
+            }
+        });
+    }
+
+    // Queue-to-position time; signals that never went through the queue are not measured
+    observeSignalLatency(signal, position) {
+        if (!signal.queuedAt) return;
+        this.signalLatency.observe({ strategy: position.strategy || 'unknown' }, (Date.now() - signal.queuedAt) / 1000);
+    }
+
+    setupPersistence() {
+        this.portfolioManager.on('positionOpened', (position) => {
+            this.persist('position', () => this.database.savePosition(position));
+        });
+
+        this.portfolioManager.on('positionClosed', (trade) => {
+            this.persist('closed trade', () => this.database.saveClosedTrade(trade));
+        });
+
+        // Open positions change in place: trailed stops, partial exits, scale-ins
+        ['stopLossUpdated', 'positionPartiallyClosed', 'positionScaledIn'].forEach(event => {
+            this.portfolioManager.on(event, ({ position }) => {
+                this.persist('position', () => this.database.savePosition(position));
+            });
+        });
+
+        ['positionUpdated', 'positionCanceled'].forEach(event => {
+            this.portfolioManager.on(event, (position) => {
+                this.persist('position', () => this.database.savePosition(position));
+            });
+        });
+
+        this.webhookReceiver.on('signalReceived', (signal) => {
+            this.persist('signal', () => this.database.saveSignal(signal, signal.webhookSource || 'tradingview'));
+        });
+
+        this.webhookReceiver.on('signalRejected', (rejection) => {
+            this.emit('signalRejected', rejection);
+            this.persist('signal rejection', () => this.database.saveSignalRejection(rejection));
+        });
+
+        this.webhookReceiver.on('signalDropped', (drop) => {
+            this.emit('signalDropped', drop);
+        });
+
+        ['quantfuryAlert', 'alertUpdated'].forEach(event => {
+            this.quantfuryManager.on(event, (alert) => {
+                this.persist('quantfury alert', () => this.database.saveQuantfuryAlert(alert));
+            });
+        });
+
+        this.quantfuryManager.on('executionUpdated', (execution) => {
+            this.persist('quantfury execution', () => this.database.saveQuantfuryExecution(execution));
+        });
+
+        this.orderManager.on('orderUpdated', (order) => {
+            this.persist('order', () => this.database.saveOrder(order));
+        });
+
+        ['tripped', 'rearmed'].forEach(event => {
+            this.riskGuard.on(event, (trip) => {
+                this.persist('risk trip', () => this.database.saveRiskTrip(trip));
+            });
+        });
+
+        this.candleFeed.on('barClosed', ({ symbol, timeframe, bar }) => {
+            this.persist('candle', () => this.database.saveCandle(symbol, timeframe, bar));
+        });
+    }
+
+    persist(label, operation) {
+        if (!this.database.isOpen()) return;
+
+        const write = operation()
+            .catch(error => console.error(`❌ Failed to persist ${label}:`, error.message))
+            .finally(() => this.pendingWrites.delete(write));
+
+        this.pendingWrites.add(write);
+    }
+
+    async restoreState() {
+        const [positions, closedTrades, alerts, executions, orders, trips, riskState, deadLetters] = await Promise.all([
+            this.database.loadOpenPositions(),
+            this.database.loadClosedTrades(),
+            this.database.loadQuantfuryAlerts('active'),
+            this.database.loadQuantfuryExecutions(),
+            this.database.loadActiveOrders(),
+            this.database.loadRiskTrips(),
+            this.database.loadRiskGuardState(),
+            this.database.loadOpenDeadLetters()
+        ]);
+
+        this.portfolioManager.restoreState({ positions, closedTrades });
+        this.quantfuryManager.restoreState({ alerts, executions });
+        this.orderManager.restoreState({ orders });
+        this.riskGuard.restoreState({ trips, state: riskState });
+        this.deadLetters.restoreState(deadLetters);
+        await this.loadCorrelationHistory();
+    }
+
+    async loadCorrelationHistory() {
+        const { timeframe, maxBars } = this.correlationEngine;
+        const symbols = await this.database.loadCandleSymbols(timeframe);
+
+        for (const symbol of symbols) {
+            const candles = await this.database.loadCandles(symbol, timeframe, maxBars);
+            this.correlationEngine.loadCandles(symbol, candles);
+        }
+
+        if (symbols.length > 0) {
+            console.log(`🔗 Loaded ${timeframe} return history for ${symbols.length} instruments`);
+        }
+    }
+
+    getCorrelationMatrix(symbols) {
+        return this.correlationEngine.getMatrix(symbols);
+    }
+
+    getExecutionExchange() {
+        return this.paperTrading ? this.paperExchange : this.exchangeManager;
     }
 
     loadStrategies(strategiesConfig = []) {
@@ -128,15 +534,34 @@ class TradingManager extends EventEmitter {
 
     async start() {
         try {
+            // Restore persisted state before accepting new signals
+            await this.database.initialize();
+            await this.restoreState();
+
+            // Simulated venue backs paper prices and fills
+            await this.paperExchange.initialize();
+
             // Start webhook receiver
             await this.webhookReceiver.start();
+            this.eventStream.attach(this.webhookReceiver.server);
             
             // Initialize exchange connections if not paper trading
             if (!this.paperTrading) {
                 await this.initializeExchanges();
             }
             
+            // Bring persisted orders in line with the venue before trading resumes
+            this.orderManager.setExchangeManager(this.getExecutionExchange());
+            await this.orderManager.reconcile();
+            this.orderManager.start();
+            
             this.isActive = true;
+            this.processSignalQueue();
+            
+            if (this.marketDataEnabled) {
+                await this.startCandleFeed();
+            }
+            this.startPositionMonitoring();
             console.log(`🚀 Trading Manager started (${this.paperTrading ? 'Paper Trading' : 'Live Trading'})`);
             
             this.emit('started');
@@ -150,14 +575,33 @@ class TradingManager extends EventEmitter {
 
     async stop() {
         this.isActive = false;
+        this.paused = false;
+        
+        this.stopPositionMonitoring();
+        this.stopSignalProcessing();
+        await this.candleFeed.stop();
         
         // Stop webhook receiver
+        this.eventStream.close();
         await this.webhookReceiver.stop();
         
-        // Close all positions if live trading
-        if (!this.paperTrading) {
+        if (this.isLive() && this.closePositionsOnShutdown) {
             await this.closeAllPositions('system_shutdown');
+        } else if (this.isLive() && this.portfolioManager.positions.size > 0) {
+            console.log(`📌 Leaving ${this.portfolioManager.positions.size} live positions open with their exchange stops`);
+        }
+
+        // Let in-flight exchange orders finish before disconnecting
+        await Promise.allSettled(Array.from(this.pendingExecutions));
+        this.orderManager.stop();
+        await this.paperExchange.shutdown();
+        if (this.exchangeManager) {
+            await this.exchangeManager.shutdown();
         }
+
+        // Flush pending writes before closing the database
+        await Promise.allSettled(Array.from(this.pendingWrites));
+        await this.database.close();
         
         console.log('🛑 Trading Manager stopped');
         this.emit('stopped');
@@ -165,23 +609,47 @@ class TradingManager extends EventEmitter {
 
     queueSignal(signal) {
         if (!this.isActive) {
-            console.log('⏸️ Trading Manager inactive, signal ignored');
-            return;
+            console.log('⏸️ Trading Manager inactive, signal dead-lettered');
+            this.deadLetter(signal, 'inactive');
+            return false;
+        }
+
+        if (this.signalQueue.length >= this.maxQueueSize) {
+            this.droppedSignals++;
+            console.warn(`⚠️ Signal queue full (${this.maxQueueSize}), ${signal.symbol} ${signal.type || signal.action} dropped`);
+            this.emit('signalDropped', {
+                signalId: signal.id || null,
+                source: signal.webhookSource || signal.source || null,
+                symbol: signal.symbol,
+                action: signal.action || signal.type,
+                reason: 'queueFull',
+                droppedAt: Date.now()
+            });
+            this.deadLetter(signal, 'queue_full');
+            return false;
         }
 
         this.signalQueue.push({
             ...signal,
+            // Every source (webhook, Telegram, API) trades the catalog symbol
+            symbol: this.symbolMapper.canonicalize(signal.symbol) || signal.symbol,
             queuedAt: Date.now()
         });
 
         this.emit('signalQueued', signal);
+        return true;
     }
 
-    async processSignalQueue() {
-        if (this.processing) return;
+    processSignalQueue() {
+        if (this.signalQueueTimer) return;
         
-        setInterval(async () => {
-            if (this.signalQueue.length === 0 || !this.isActive) return;
+        this.signalQueueTimer = setInterval(async () => {
+            // A slow signal must not let the next tick start a second drain
+            if (!this.isActive || this.processing) return;
+
+            this.retryDeadLetters();
+            this.quantfuryManager.expireAlerts();
+            if (this.signalQueue.length === 0) return;
             
             this.processing = true;
             
@@ -192,12 +660,168 @@ class TradingManager extends EventEmitter {
                 }
             } catch (error) {
                 console.error('Signal processing error:', error);
+            } finally {
+                this.processing = false;
             }
-            
-            this.processing = false;
         }, 1000); // Process every second
     }
 
+    stopSignalProcessing() {
+        if (this.signalQueueTimer) {
+            clearInterval(this.signalQueueTimer);
+            this.signalQueueTimer = null;
+        }
+    }
+
+    async startCandleFeed() {
+        // Subscribe every enabled strategy symbol/timeframe pair
+        for (const strategy of this.strategies.values()) {
+            if (!strategy.isEnabled()) continue;
+
+            for (const symbol of strategy.getSymbols()) {
+                for (const timeframe of strategy.getTimeframes()) {
+                    this.candleFeed.subscribe(symbol, timeframe);
+                }
+            }
+        }
+
+        // Correlation timeframe across every tradable instrument
+        for (const symbol of this.correlationSymbols) {
+            this.candleFeed.subscribe(symbol, this.correlationEngine.timeframe);
+        }
+
+        // Bars come from the venue orders go to: simulated in paper, the live exchange otherwise
+        this.candleFeed.setExchangeManager(this.getExecutionExchange());
+        await this.candleFeed.start();
+    }
+
+    startPositionMonitoring() {
+        if (this.positionMonitor) return;
+
+        this.positionMonitor = setInterval(async () => {
+            if (this.portfolioManager.positions.size === 0) return;
+
+            try {
+                await this.updatePositionPrices();
+            } catch (error) {
+                console.error('Position monitoring error:', error.message);
+            }
+        }, this.positionMonitorInterval);
+    }
+
+    stopPositionMonitoring() {
+        if (this.positionMonitor) {
+            clearInterval(this.positionMonitor);
+            this.positionMonitor = null;
+        }
+    }
+
+    async updatePositionPrices() {
+        const symbols = new Set(Array.from(this.portfolioManager.positions.values()).map(pos => pos.symbol));
+        const marketData = {};
+
+        for (const symbol of symbols) {
+            try {
+                marketData[symbol] = await this.getCurrentPrice(symbol);
+            } catch (error) {
+                console.error(`❌ Failed to price ${symbol}:`, error.message);
+            }
+        }
+
+        this.portfolioManager.updatePositions(marketData);
+    }
+
+    async updateExchangeStop(position) {
+        // Replace the resting stop with one at the trailed level
+        const stops = this.orderManager.getOrdersForPosition(position.id)
+            .filter(order => order.role === 'stop_loss' && !this.orderManager.isTerminal(order));
+
+        if (stops.length === 0) return null;
+
+        for (const order of stops) {
+            await this.orderManager.cancelOrder(order.id);
+        }
+
+        // Keep the replacement in the bracket so a take-profit fill still cancels it
+        const bracketId = stops.find(order => order.bracketId)?.bracketId || null;
+        const stop = await this.placeExchangeStop(position, bracketId);
+        if (bracketId && stop.exchangeOrderId) {
+            this.exchangeManager.replaceBracketStop(bracketId, stop.exchangeOrderId);
+        }
+        return stop;
+    }
+
+    async executeRealSlice(position, amount, side, role) {
+        const order = await this.orderManager.submitOrder({
+            symbol: position.symbol,
+            side,
+            type: 'market',
+            amount,
+            positionId: position.id,
+            role,
+            params: role === 'scale_in' ? {} : { reduceOnly: true }
+        });
+
+        if (order.status === 'rejected') {
+            throw new OrderRejectedError(`${role} order rejected for ${position.symbol}: ${order.error}`, order);
+        }
+
+        // The resting stop has to cover the new open size
+        await this.updateExchangeStop(position);
+        return order;
+    }
+
+    onBarClosed({ symbol, timeframe, closeTime, candleData }) {
+        // Nothing to analyze while paused or stopped; the bar still feeds correlations
+        if (!this.isActive) return;
+
+        for (const strategy of this.strategies.values()) {
+            if (!strategy.isEnabled()) continue;
+            if (!strategy.getSymbols().includes(symbol) || !strategy.getTimeframes().includes(timeframe)) continue;
+
+            // Session filters evaluate at bar close, which also keeps replays deterministic
+            strategy.setClock(() => closeTime);
+
+            try {
+                const analysis = strategy.analyze(candleData, { symbol, timeframe, timestamp: closeTime });
+                if (!analysis || !analysis.side) continue;
+
+                const strategySignal = strategy.generateSignal(symbol, timeframe, analysis);
+                if (strategySignal) {
+                    this.queueSignal(this.buildStrategySignal(strategy, strategySignal, analysis));
+                }
+            } catch (error) {
+                console.error(`❌ ${strategy.getName()} failed on ${symbol} ${timeframe} bar:`, error.message);
+            } finally {
+                strategy.setClock(null);
+            }
+        }
+    }
+
+    buildStrategySignal(strategy, strategySignal, analysis) {
+        const action = analysis.side === 'long' ? 'buy' : 'sell';
+
+        return {
+            id: strategySignal.id,
+            type: action,
+            action,
+            symbol: strategySignal.symbol,
+            price: analysis.price,
+            stopLoss: analysis.stopLoss,
+            takeProfit: analysis.takeProfit,
+            strategy: strategy.getName(),
+            timeframe: strategySignal.timeframe,
+            source: 'strategy',
+            metadata: {
+                ...analysis.metadata,
+                confidence: analysis.confidence,
+                riskRewardRatio: analysis.riskRewardRatio,
+                setup: analysis.strategy,
+                reasoning: analysis.reasoning
+            }
+        };
+    }
+
     async processSignal(signal) {
         console.log(`📡 Processing ${signal.type} signal for ${signal.symbol}`);
         
@@ -218,9 +842,33 @@ class TradingManager extends EventEmitter {
                 default:
                     console.warn('Unknown signal type:', signal.type);
             }
+
+            if (signal.deadLetterId) {
+                this.deadLetters.resolve(signal.deadLetterId, 'retry');
+            }
         } catch (error) {
             console.error(`Error processing ${signal.type} signal:`, error);
             this.emit('signalError', { signal, error });
+            this.deadLetter(signal, 'error', error);
+        }
+    }
+
+    // New entry, or another failed attempt when the signal is itself a retry
+    deadLetter(signal, reason, error = null) {
+        if (signal.deadLetterId && this.deadLetters.has(signal.deadLetterId)) {
+            return this.deadLetters.fail(signal.deadLetterId, reason, error);
+        }
+        return this.deadLetters.add(signal, reason, error);
+    }
+
+    retryDeadLetters() {
+        this.deadLetters.expireStale();
+        for (const entry of this.deadLetters.getDue()) {
+            if (this.signalQueue.length >= this.maxQueueSize) break;
+
+            console.log(`🔁 Retrying dead-lettered ${entry.type} signal for ${entry.symbol} (attempt ${entry.attempts + 1})`);
+            this.deadLetters.markQueued(entry.id);
+            this.queueSignal({ ...entry.signal, deadLetterId: entry.id });
         }
     }
 
@@ -231,10 +879,19 @@ class TradingManager extends EventEmitter {
             return;
         }
 
+        if (!this.riskGuard.canTrade()) {
+            console.log(`🚨 Risk guard tripped, buy signal for ${signal.symbol} blocked`);
+            this.emit('signalBlocked', { signal, reason: this.riskGuard.tripped.reason });
+            return;
+        }
+
+        // Resolve price and default levels once, so Quantfury and the portfolio see the same numbers
+        const positionSignal = await this.buildPositionSignal(signal, 'long');
+
         // Procesar para Quantfury
         const quantfuryAlert = await this.quantfuryManager.processQuantfurySignal({
             ...signal,
-            side: 'long',
+            ...positionSignal,
             action: 'long'
         });
 
@@ -242,22 +899,17 @@ class TradingManager extends EventEmitter {
             console.log(`🎯 Quantfury buy alert generated: ${quantfuryAlert.id}`);
         }
 
-        // También mantener el portfolio virtual
-        const positionSignal = {
-            symbol: signal.symbol,
-            side: 'long',
-            price: signal.price || await this.getCurrentPrice(signal.symbol),
-            stopLoss: signal.stopLoss || this.calculateDefaultStopLoss(signal.price, 'long'),
-            takeProfit: signal.takeProfit || this.calculateDefaultTakeProfit(signal.price, signal.stopLoss, 'long'),
-            strategy: signal.strategy || 'TradingView',
-            confidence: signal.metadata?.confidence || 0.7,
-            source: 'tradingview_webhook'
-        };
-
         // Portfolio virtual tracking
         if (this.portfolioManager.canOpenPosition(positionSignal.symbol, positionSignal.strategy, positionSignal.price)) {
             const position = this.portfolioManager.openPosition(positionSignal);
-            console.log(`📊 Virtual position opened: ${position.symbol} ${position.side}`);
+            if (position) {
+                console.log(`📊 Virtual position opened: ${position.symbol} ${position.side}`);
+                this.observeSignalLatency(signal, position);
+
+                if (!this.paperTrading) {
+                    await this.executeRealTrade(position);
+                }
+            }
         }
     }
 
@@ -268,10 +920,18 @@ class TradingManager extends EventEmitter {
             return;
         }
 
+        if (!this.riskGuard.canTrade()) {
+            console.log(`🚨 Risk guard tripped, sell signal for ${signal.symbol} blocked`);
+            this.emit('signalBlocked', { signal, reason: this.riskGuard.tripped.reason });
+            return;
+        }
+
+        const positionSignal = await this.buildPositionSignal(signal, 'short');
+
         // Procesar para Quantfury
         const quantfuryAlert = await this.quantfuryManager.processQuantfurySignal({
             ...signal,
-            side: 'short',
+            ...positionSignal,
             action: 'short'
         });
 
@@ -280,23 +940,49 @@ class TradingManager extends EventEmitter {
         }
 
         // Portfolio virtual tracking
-        const positionSignal = {
-            symbol: signal.symbol,
-            side: 'short',
-            price: signal.price || await this.getCurrentPrice(signal.symbol),
-            stopLoss: signal.stopLoss || this.calculateDefaultStopLoss(signal.price, 'short'),
-            takeProfit: signal.takeProfit || this.calculateDefaultTakeProfit(signal.price, signal.stopLoss, 'short'),
-            strategy: signal.strategy || 'TradingView',
-            confidence: signal.metadata?.confidence || 0.7,
-            source: 'tradingview_webhook'
-        };
-
         if (this.portfolioManager.canOpenPosition(positionSignal.symbol, positionSignal.strategy, positionSignal.price)) {
             const position = this.portfolioManager.openPosition(positionSignal);
-            console.log(`📊 Virtual position opened: ${position.symbol} ${position.side}`);
+            if (position) {
+                console.log(`📊 Virtual position opened: ${position.symbol} ${position.side}`);
+                this.observeSignalLatency(signal, position);
+
+                if (!this.paperTrading) {
+                    await this.executeRealTrade(position);
+                }
+            }
         }
     }
 
+    async buildPositionSignal(signal, side) {
+        // Missing or non-finite levels fall back to defaults derived from the resolved price.
+        // A dead-letter retry trades at the current price; its levels keep their distance
+        // from the price the signal was sent at.
+        const signalPrice = Number.isFinite(signal.price) && signal.price > 0 ? signal.price : null;
+        const price = signalPrice && !signal.deadLetterId
+            ? signalPrice
+            : await this.getCurrentPrice(signal.symbol);
+        const shift = signalPrice ? price - signalPrice : 0;
+
+        const stopLoss = Number.isFinite(signal.stopLoss)
+            ? signal.stopLoss + shift
+            : this.calculateDefaultStopLoss(price, side);
+        const takeProfit = Number.isFinite(signal.takeProfit)
+            ? signal.takeProfit + shift
+            : this.calculateDefaultTakeProfit(price, stopLoss, side);
+
+        return {
+            symbol: signal.symbol,
+            side,
+            price,
+            stopLoss,
+            takeProfit,
+            strategy: signal.strategy || 'TradingView',
+            confidence: signal.metadata?.confidence ?? 0.7,
+            source: signal.source || 'tradingview_webhook',
+            metadata: signal.metadata
+        };
+    }
+
     async processCloseSignal(signal) {
         // Close specific position or all positions for symbol
         const positions = Array.from(this.portfolioManager.positions.values())
@@ -305,10 +991,6 @@ class TradingManager extends EventEmitter {
         for (const position of positions) {
             const closePrice = signal.price || await this.getCurrentPrice(signal.symbol);
             this.portfolioManager.closePosition(position.id, closePrice, 'manual_close');
-            
-            if (!this.paperTrading) {
-                await this.executeRealClose(position, closePrice);
-            }
         }
     }
 
@@ -318,11 +1000,17 @@ class TradingManager extends EventEmitter {
         
         // Check if symbol is supported
         const supportedSymbols = this.getSupportedSymbols();
-        if (!supportedSymbols.includes(signal.symbol)) {
+        if (!supportedSymbols.includes(this.symbolMapper.canonicalize(signal.symbol))) {
             console.warn(`Unsupported symbol: ${signal.symbol}`);
             return false;
         }
 
+        // Market must be open for the instrument (forex weekends, stock sessions)
+        if (this.enforceTradingHours && !this.instrumentRegistry.isTradingOpen(signal.symbol)) {
+            console.warn(`Market closed for ${signal.symbol}`);
+            return false;
+        }
+
         return true;
     }
 
@@ -331,7 +1019,7 @@ class TradingManager extends EventEmitter {
         const symbols = new Set();
         for (const strategy of this.strategies.values()) {
             if (strategy.isEnabled()) {
-                strategy.getSymbols().forEach(symbol => symbols.add(symbol));
+                strategy.getSymbols().forEach(symbol => symbols.add(this.symbolMapper.canonicalize(symbol) || symbol));
             }
         }
         return Array.from(symbols);
@@ -347,24 +1035,24 @@ class TradingManager extends EventEmitter {
         return await this.getRealCurrentPrice(symbol);
     }
 
-    simulateCurrentPrice(symbol) {
-        // Simple price simulation for demo
-        const basePrices = {
-            'BTC/USDT': 45000,
-            'ETH/USDT': 3000,
-            'ADA/USDT': 0.5,
-            'DOT/USDT': 8.0
-        };
-        
-        const basePrice = basePrices[symbol] || 100;
-        const variation = (Math.random() - 0.5) * 0.02; // ±1% variation
-        return basePrice * (1 + variation);
+    async simulateCurrentPrice(symbol) {
+        const price = await this.paperExchange.getCurrentPrice(symbol);
+        if (price === null) {
+            throw new Error(`No paper price available for ${symbol}`);
+        }
+        return price;
     }
 
     async getRealCurrentPrice(symbol) {
-        // Implementation for real exchange price fetching
-        // This would use your exchange API
-        throw new Error('Real price fetching not implemented yet');
+        if (!this.exchangeManager) {
+            throw new Error('Exchange manager not initialized');
+        }
+
+        const price = await this.exchangeManager.getCurrentPrice(symbol);
+        if (price === null || price === undefined) {
+            throw new Error(`No live price available for ${symbol}`);
+        }
+        return price;
     }
 
     calculateDefaultStopLoss(price, side, riskPercent = 0.02) {
@@ -382,24 +1070,165 @@ class TradingManager extends EventEmitter {
             : price - reward;
     }
 
+    isLive() {
+        return !this.paperTrading && this.exchangeManager !== null;
+    }
+
     async executeRealTrade(position) {
-        // Implementation for real trade execution
-        console.log('🔄 Executing real trade:', position);
-        // This would connect to your exchange API
-        throw new Error('Real trade execution not implemented yet');
+        if (!this.exchangeManager) {
+            this.portfolioManager.cancelPosition(position.id, 'no_exchange');
+            throw new Error('Live trading requires an initialized exchange manager');
+        }
+
+        console.log(`🔄 Executing live ${position.side} ${position.size} ${position.symbol}`);
+
+        const entry = {
+            symbol: position.symbol,
+            side: position.side === 'long' ? 'buy' : 'sell',
+            amount: position.size,
+            positionId: position.id
+        };
+
+        // Stop and take profit rest on the venue as a bracket (native or OCO) from the fill on;
+        // without a take profit only the stop is placed, after the fill
+        const order = Number.isFinite(position.stopLoss) && Number.isFinite(position.takeProfit)
+            ? await this.orderManager.submitBracket({ ...entry, stopLoss: position.stopLoss, takeProfit: position.takeProfit })
+            : await this.orderManager.submitOrder({ ...entry, type: 'market', role: 'entry' });
+
+        // The orderRejected handler already canceled the position
+        if (order.status === 'rejected') {
+            throw new OrderRejectedError(`Entry order rejected for ${position.symbol}: ${order.error}`, order);
+        }
+
+        return order;
+    }
+
+    async executeRealClose(position) {
+        // Pull the resting stop first; if it already filled the venue closed us
+        const stops = this.orderManager.getOrdersForPosition(position.id)
+            .filter(order => !this.orderManager.isTerminal(order));
+
+        for (const order of stops) {
+            try {
+                await this.orderManager.cancelOrder(order.id);
+            } catch (error) {
+                await this.orderManager.syncOrder(order);
+            }
+        }
+
+        if (stops.some(order => ['stop_loss', 'take_profit'].includes(order.role) && order.status === 'filled')) {
+            console.log(`🛑 ${position.symbol} already closed by an exchange stop or take profit`);
+            return null;
+        }
+
+        const remaining = position.exits?.length
+            ? position.exits[position.exits.length - 1].size
+            : position.size;
+
+        console.log(`🔄 Closing live position ${position.symbol}: ${remaining}`);
+
+        const order = await this.orderManager.submitOrder({
+            symbol: position.symbol,
+            side: position.side === 'long' ? 'sell' : 'buy',
+            type: 'market',
+            amount: remaining,
+            positionId: position.id,
+            role: 'exit',
+            params: { reduceOnly: true }
+        });
+
+        if (order.status === 'rejected') {
+            throw new OrderRejectedError(`Exit order rejected for ${position.symbol}: ${order.error}`, order);
+        }
+        return order;
     }
 
-    async executeRealClose(position, closePrice) {
-        // Implementation for real position closing
-        console.log('🔄 Closing real position:', position);
-        // This would connect to your exchange API
-        throw new Error('Real position closing not implemented yet');
+    async placeExchangeStop(position, bracketId = null) {
+        const order = await this.orderManager.submitOrder({
+            symbol: position.symbol,
+            side: position.side === 'long' ? 'sell' : 'buy',
+            type: 'stop_market',
+            amount: position.size,
+            stopPrice: position.stopLoss,
+            positionId: position.id,
+            role: 'stop_loss',
+            bracketId,
+            params: { reduceOnly: true }
+        });
+
+        if (order.status === 'rejected') {
+            throw new OrderRejectedError(`Stop order rejected for ${position.symbol}: ${order.error}`, order);
+        }
+        return order;
+    }
+
+    handleOrderFill(order) {
+        const position = this.portfolioManager.positions.get(order.positionId);
+        if (!position) return;
+
+        if (order.role === 'entry') {
+            if (order.filled > 0) {
+                this.portfolioManager.applyEntryFill(position.id, order.average, order.filled);
+                // Bracket entries are protected by their legs
+                if (!order.bracketId) {
+                    this.runExecution(position, () => this.placeExchangeStop(position));
+                }
+            } else {
+                this.portfolioManager.cancelPosition(position.id, `entry_${order.status}`);
+            }
+        } else if (order.role === 'stop_loss') {
+            position.closedByExchange = true;
+            this.portfolioManager.closePosition(position.id, order.average, this.portfolioManager.getStopReason(position));
+        } else if (order.role === 'take_profit') {
+            position.closedByExchange = true;
+            this.portfolioManager.closePosition(position.id, order.average, 'take_profit');
+        }
+    }
+
+    runExecution(position, operation) {
+        // Background exchange work; failures surface like signal errors
+        const execution = operation()
+            .catch(error => {
+                console.error(`❌ Live execution failed for ${position.symbol}:`, error.message);
+                this.emit('signalError', {
+                    signal: { type: 'execution', symbol: position.symbol, positionId: position.id },
+                    error
+                });
+            })
+            .finally(() => this.pendingExecutions.delete(execution));
+
+        this.pendingExecutions.add(execution);
+        return execution;
     }
 
     async initializeExchanges() {
         // Initialize exchange connections for live trading
         console.log('🔗 Initializing exchange connections...');
-        // Implementation for exchange initialization
+
+        if (!this.exchangeManager) {
+            this.exchangeManager = new ExchangeManager({ ...this.exchangeConfig, symbolMapper: this.symbolMapper, metrics: this.metrics });
+        }
+        await this.exchangeManager.initialize();
+
+        if (!this.exchangeManager.activeExchange) {
+            throw new Error('No live exchange available - configure API keys or enable paper trading');
+        }
+    }
+
+    // By position id or symbol
+    async closePosition(idOrSymbol, reason = 'manual') {
+        const symbol = this.symbolMapper.canonicalize(idOrSymbol) || idOrSymbol;
+        const positions = Array.from(this.portfolioManager.positions.values())
+            .filter(pos => pos.id === idOrSymbol || pos.symbol === symbol);
+
+        const trades = [];
+        for (const position of positions) {
+            const closePrice = await this.getCurrentPrice(position.symbol);
+            const trade = this.portfolioManager.closePosition(position.id, closePrice, reason);
+            if (trade) trades.push(trade);
+        }
+
+        return trades;
     }
 
     async closeAllPositions(reason = 'manual') {
@@ -413,20 +1242,116 @@ class TradingManager extends EventEmitter {
         console.log(`🔄 Closed ${positions.length} positions (${reason})`);
     }
 
+    // Risk guard controls
+    rearmRiskGuard(by = 'manual') {
+        return this.riskGuard.rearm(by);
+    }
+
+    killSwitch(by = 'manual') {
+        return this.riskGuard.kill(by);
+    }
+
+    // Dead-letter queue (Telegram /dlq and the control API)
+    getDeadLetters(filter = {}) {
+        return this.deadLetters.list(filter);
+    }
+
+    replayDeadLetter(id, by = 'manual') {
+        const entry = this.deadLetters.get(id);
+        if (!entry) throw new Error(`Dead letter ${id} not found`);
+        if (entry.status === 'queued') throw new Error(`Dead letter ${id} is already queued`);
+        if (!this.isActive) throw new Error('Trading Manager is not active');
+
+        console.log(`🔁 Dead letter ${id} replayed by ${by}`);
+        this.deadLetters.markQueued(id);
+        this.queueSignal({ ...entry.signal, deadLetterId: id });
+        return entry;
+    }
+
+    discardDeadLetter(id, by = 'manual') {
+        const entry = this.deadLetters.discard(id, by);
+        if (!entry) throw new Error(`Dead letter ${id} not found`);
+
+        console.log(`🗑️ Dead letter ${id} discarded by ${by}`);
+        return entry;
+    }
+
     // Status and control methods
+    async getHealth() {
+        const database = await this.database.healthCheck();
+        const riskGuard = this.riskGuard.getStatus();
+
+        // Unhealthy: cannot persist; degraded: up but not trading on its own
+        let status = 'healthy';
+        if (database.status !== 'connected') status = 'unhealthy';
+        else if (!this.isActive && !this.paused) status = 'degraded';
+        else if (riskGuard.tripped) status = 'degraded';
+
+        return {
+            status,
+            database,
+            trading: { isActive: this.isActive, paused: this.paused, paperTrading: this.paperTrading },
+            riskGuard: { armed: riskGuard.armed, tripped: riskGuard.tripped?.reason || null },
+            signalQueue: { depth: this.signalQueue.length, capacity: this.maxQueueSize },
+            strategies: this.strategies.size
+        };
+    }
+
     getStatus() {
         return {
             isActive: this.isActive,
+            paused: this.paused,
             paperTrading: this.paperTrading,
             queuedSignals: this.signalQueue.length,
+            maxQueueSize: this.maxQueueSize,
+            droppedSignals: this.droppedSignals,
+            webhookDroppedSignals: this.webhookReceiver.getStats().droppedSignals,
             activeStrategies: Array.from(this.strategies.values()).filter(s => s.isEnabled()).length,
             portfolio: this.portfolioManager.getPortfolioSummary(),
-            webhook: this.webhookReceiver.getStats()
+            riskGuard: this.riskGuard.getStatus(),
+            deadLetters: this.deadLetters.getStats(),
+            correlation: this.correlationEngine.getStats(),
+            webhook: this.webhookReceiver.getStats(),
+            eventStream: this.eventStream.getStats()
         };
     }
 
+    pause(by = 'manual') {
+        if (!this.isActive) return false;
+
+        this.isActive = false;
+        this.paused = true;
+        console.log(`⏸️ Trading paused by ${by}`);
+        this.emit('tradingPaused', { by, at: Date.now() });
+        return true;
+    }
+
+    resume(by = 'manual') {
+        if (!this.paused) return false;
+
+        this.paused = false;
+        this.isActive = true;
+        console.log(`▶️ Trading resumed by ${by}`);
+        this.emit('tradingResumed', { by, at: Date.now() });
+        return true;
+    }
+
+    async setPaperTrading(enabled) {
+        if (this.paperTrading === enabled) return this.paperTrading;
+
+        // Going live needs a connected venue before orders are routed to it
+        if (!enabled && !this.exchangeManager?.activeExchange) {
+            await this.initializeExchanges();
+        }
+
+        this.togglePaperTrading();
+        return this.paperTrading;
+    }
+
     togglePaperTrading() {
         this.paperTrading = !this.paperTrading;
+        this.orderManager.setExchangeManager(this.getExecutionExchange());
+        this.candleFeed.setExchangeManager(this.getExecutionExchange());
         console.log(`💱 Trading mode: ${this.paperTrading ? 'Paper' : 'Live'}`);
         this.emit('tradingModeChanged', this.paperTrading);
     }
@@ -446,6 +1371,15 @@ class TradingManager extends EventEmitter {
             console.log(`⏸️ Strategy disabled: ${strategyName}`);
         }
     }
+
+    updateStrategyParameters(strategyName, parameters) {
+        const strategy = this.strategies.get(strategyName);
+        if (!strategy) throw new Error(`Strategy ${strategyName} not found`);
+
+        strategy.updateParameters(parameters);
+        console.log(`🔧 Strategy parameters updated: ${strategyName}`, parameters);
+        return strategy.getParameters();
+    }
 }
 
 module.exports = TradingManager;
\ No newline at end of file
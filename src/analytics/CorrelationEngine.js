@@ -0,0 +1,151 @@
+const EventEmitter = require('events');
+
+// Rolling Pearson correlation of close-to-close returns, aligned on bar timestamps
+class CorrelationEngine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.timeframe = config.timeframe || '1h';
+        this.window = config.window || 100;             // Returns per correlation
+        this.minObservations = config.minObservations || 30;
+        this.maxBars = this.window * 3;                 // Headroom for gaps between instruments
+
+        this.series = new Map();
+        this.cache = new Map();
+    }
+
+    // Data intake
+    addCandle(symbol, timeframe, bar) {
+        if (timeframe !== this.timeframe || !Number.isFinite(bar.close) || bar.close <= 0) return false;
+
+        const series = this.series.get(symbol) || [];
+        const last = series[series.length - 1];
+
+        if (last && bar.timestamp === last.timestamp) {
+            last.close = bar.close;
+        } else if (!last || bar.timestamp > last.timestamp) {
+            series.push({ timestamp: bar.timestamp, close: bar.close });
+            if (series.length > this.maxBars) series.shift();
+        } else {
+            return false; // Out-of-order bar
+        }
+
+        this.series.set(symbol, series);
+        this.invalidate(symbol);
+        return true;
+    }
+
+    loadCandles(symbol, candles) {
+        const series = candles
+            .filter(bar => Number.isFinite(bar.close) && bar.close > 0)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-this.maxBars)
+            .map(bar => ({ timestamp: bar.timestamp, close: bar.close }));
+
+        this.series.set(symbol, series);
+        this.invalidate(symbol);
+    }
+
+    invalidate(symbol) {
+        for (const key of this.cache.keys()) {
+            if (key.split('|').includes(symbol)) this.cache.delete(key);
+        }
+    }
+
+    // Correlation math
+    getCorrelation(symbolA, symbolB) {
+        if (symbolA === symbolB) return 1;
+
+        const key = [symbolA, symbolB].sort().join('|');
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const correlation = this.computeCorrelation(symbolA, symbolB);
+        this.cache.set(key, correlation);
+        return correlation;
+    }
+
+    computeCorrelation(symbolA, symbolB) {
+        const seriesA = this.series.get(symbolA);
+        const seriesB = this.series.get(symbolB);
+        if (!seriesA || !seriesB) return null;
+
+        // Only bars both instruments printed (forex vs crypto trade different hours)
+        const closesB = new Map(seriesB.map(bar => [bar.timestamp, bar.close]));
+        const aligned = seriesA
+            .filter(bar => closesB.has(bar.timestamp))
+            .map(bar => [bar.close, closesB.get(bar.timestamp)]);
+
+        const returnsA = [];
+        const returnsB = [];
+        for (let i = 1; i < aligned.length; i++) {
+            returnsA.push(Math.log(aligned[i][0] / aligned[i - 1][0]));
+            returnsB.push(Math.log(aligned[i][1] / aligned[i - 1][1]));
+        }
+
+        const a = returnsA.slice(-this.window);
+        const b = returnsB.slice(-this.window);
+        if (a.length < this.minObservations) return null;
+
+        return this.pearson(a, b);
+    }
+
+    pearson(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, x) => sum + x, 0) / n;
+        const meanB = b.reduce((sum, x) => sum + x, 0) / n;
+
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < n; i++) {
+            const da = a[i] - meanA;
+            const db = b[i] - meanB;
+            covariance += da * db;
+            varianceA += da * da;
+            varianceB += db * db;
+        }
+
+        if (varianceA === 0 || varianceB === 0) return null;
+        return covariance / Math.sqrt(varianceA * varianceB);
+    }
+
+    // Queries
+    getSymbols() {
+        return Array.from(this.series.keys());
+    }
+
+    getMatrix(symbols = this.getSymbols()) {
+        const matrix = {};
+
+        for (const symbolA of symbols) {
+            matrix[symbolA] = {};
+            for (const symbolB of symbols) {
+                matrix[symbolA][symbolB] = this.getCorrelation(symbolA, symbolB);
+            }
+        }
+
+        return {
+            timeframe: this.timeframe,
+            window: this.window,
+            symbols,
+            matrix
+        };
+    }
+
+    getCorrelated(symbol, threshold = 0.7) {
+        return this.getSymbols()
+            .filter(other => other !== symbol)
+            .map(other => ({ symbol: other, correlation: this.getCorrelation(symbol, other) }))
+            .filter(entry => entry.correlation !== null && Math.abs(entry.correlation) >= threshold)
+            .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+    }
+
+    getStats() {
+        const stats = {};
+        for (const [symbol, series] of this.series) {
+            stats[symbol] = series.length;
+        }
+        return { timeframe: this.timeframe, window: this.window, bars: stats };
+    }
+}
+
+module.exports = CorrelationEngine;
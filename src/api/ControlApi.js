@@ -0,0 +1,297 @@
+const express = require('express');
+const safeEqual = require('../security/safeEqual');
+
+// Errors the API turns into { error: { code, message, details } } with the given status
+class ApiError extends Error {
+    constructor(status, code, message, details = undefined) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Versioned control surface: /api/v1, bearer-token auth, { data } on success and
+// { error: { code, message } } on failure. Mounted on the webhook receiver's Express app.
+class ControlApi {
+    constructor(tradingManager, config = {}) {
+        this.tradingManager = tradingManager;
+        this.basePath = config.basePath || '/api/v1';
+        this.tokens = (config.tokens || []).filter(Boolean);
+        this.allowedIPs = config.allowedIPs || [];
+        this.router = express.Router();
+
+        this.setupMiddleware();
+        this.setupRoutes();
+    }
+
+    get enabled() {
+        return this.tokens.length > 0;
+    }
+
+    mount(app) {
+        app.use(this.basePath, this.router);
+
+        // After the app-level body parser too, so malformed JSON still gets an API error
+        app.use(this.basePath, (error, req, res, next) => this.handleError(error, req, res, next));
+    }
+
+    setupMiddleware() {
+        this.router.use((req, res, next) => {
+            if (!this.enabled) {
+                return next(new ApiError(503, 'API_DISABLED', 'Control API disabled: no API token configured'));
+            }
+            if (!this.isAllowedIP(req.ip)) {
+                return next(new ApiError(403, 'FORBIDDEN_IP', 'IP not allowed'));
+            }
+
+            const [scheme, token] = (req.headers.authorization || '').split(' ');
+            if (scheme !== 'Bearer' || !this.isValidToken(token)) {
+                res.set('WWW-Authenticate', 'Bearer');
+                return next(new ApiError(401, 'UNAUTHORIZED', 'Missing or invalid bearer token'));
+            }
+
+            req.actor = `api:${req.ip}`;
+            next();
+        });
+    }
+
+    setupRoutes() {
+        const tm = this.tradingManager;
+        const router = this.router;
+
+        // Status
+        router.get('/status', this.route(() => tm.getStatus()));
+
+        // Positions and trades
+        router.get('/positions', this.route(() => Array.from(tm.portfolioManager.positions.values())));
+
+        router.post('/positions/close-all', this.route(async (req) => {
+            const count = tm.portfolioManager.positions.size;
+            await tm.closeAllPositions(this.getReason(req, 'api_close_all'));
+            return { closed: count };
+        }));
+
+        router.post('/positions/:id/close', this.route(async (req) => {
+            const trades = await tm.closePosition(req.params.id, this.getReason(req, 'api_close'));
+            if (trades.length === 0) {
+                throw new ApiError(404, 'NOT_FOUND', `No open position for ${req.params.id}`);
+            }
+            return trades;
+        }));
+
+        router.get('/trades', this.route((req) => {
+            const limit = this.parseLimit(req.query.limit, 100);
+            return tm.portfolioManager.closedTrades
+                .filter(trade => !req.query.symbol || trade.symbol === req.query.symbol)
+                .filter(trade => !req.query.strategy || trade.strategy === req.query.strategy)
+                .slice(-limit)
+                .reverse();
+        }));
+
+        // Strategies
+        router.get('/strategies', this.route(() => Array.from(tm.strategies.values()).map(s => this.serializeStrategy(s))));
+
+        router.get('/strategies/:name', this.route((req) => this.serializeStrategy(this.getStrategy(req.params.name))));
+
+        router.patch('/strategies/:name', this.route((req) => {
+            const strategy = this.getStrategy(req.params.name);
+            const { enabled, parameters } = req.body || {};
+
+            if (enabled === undefined && parameters === undefined) {
+                throw new ApiError(400, 'BAD_REQUEST', 'Body must contain "enabled" and/or "parameters"');
+            }
+            if (enabled !== undefined && typeof enabled !== 'boolean') {
+                throw new ApiError(422, 'VALIDATION_ERROR', '"enabled" must be a boolean');
+            }
+            if (parameters !== undefined) {
+                this.validateParameters(strategy, parameters);
+                tm.updateStrategyParameters(strategy.getName(), parameters);
+            }
+            if (enabled === true) tm.enableStrategy(strategy.getName());
+            if (enabled === false) tm.disableStrategy(strategy.getName());
+
+            return this.serializeStrategy(strategy);
+        }));
+
+        // Trading state
+        router.post('/trading/pause', this.route((req) => {
+            if (!tm.pause(req.actor)) {
+                throw new ApiError(409, 'CONFLICT', 'Trading is not running');
+            }
+            return { isActive: tm.isActive, paused: tm.paused };
+        }));
+
+        router.post('/trading/resume', this.route((req) => {
+            if (!tm.resume(req.actor)) {
+                throw new ApiError(409, 'CONFLICT', 'Trading is not paused');
+            }
+            return { isActive: tm.isActive, paused: tm.paused };
+        }));
+
+        router.get('/trading/mode', this.route(() => ({ paperTrading: tm.paperTrading })));
+
+        router.put('/trading/mode', this.route(async (req) => {
+            const { paperTrading } = req.body || {};
+            if (typeof paperTrading !== 'boolean') {
+                throw new ApiError(422, 'VALIDATION_ERROR', '"paperTrading" must be a boolean');
+            }
+            if (paperTrading !== tm.paperTrading && tm.portfolioManager.positions.size > 0) {
+                throw new ApiError(409, 'POSITIONS_OPEN', 'Close open positions before switching trading mode');
+            }
+            try {
+                return { paperTrading: await tm.setPaperTrading(paperTrading) };
+            } catch (error) {
+                throw new ApiError(502, 'EXCHANGE_UNAVAILABLE', error.message);
+            }
+        }));
+
+        // Risk guard
+        router.get('/risk', this.route(() => tm.riskGuard.getStatus()));
+
+        router.post('/risk/rearm', this.route((req) => {
+            const trip = tm.rearmRiskGuard(req.actor);
+            if (!trip) throw new ApiError(409, 'CONFLICT', 'Risk guard is already armed');
+            return trip;
+        }));
+
+        router.post('/risk/kill', this.route((req) => tm.killSwitch(req.actor)));
+
+        // Dead-letter queue
+        router.get('/dead-letters', this.route((req) => tm.getDeadLetters({ status: req.query.status })));
+
+        router.post('/dead-letters/:id/replay', this.route((req) => {
+            this.getDeadLetter(req.params.id);
+            try {
+                return tm.replayDeadLetter(req.params.id, req.actor);
+            } catch (error) {
+                throw new ApiError(409, 'CONFLICT', error.message);
+            }
+        }));
+
+        router.delete('/dead-letters/:id', this.route((req) => {
+            this.getDeadLetter(req.params.id);
+            return tm.discardDeadLetter(req.params.id, req.actor);
+        }));
+
+        // Signals and analytics
+        router.get('/signals', this.route((req) => tm.database.loadRecentSignals(this.parseLimit(req.query.limit, 50))));
+
+        router.get('/signals/rejected', this.route((req) => tm.database.loadSignalRejections(this.parseLimit(req.query.limit, 50))));
+
+        router.get('/equity', this.route(() => tm.portfolioManager.getEquityCurve()));
+
+        router.get('/alerts', this.route(() => tm.quantfuryManager.getActiveAlerts()));
+
+        router.get('/correlation', this.route((req) => {
+            const symbols = req.query.symbols ? String(req.query.symbols).split(',') : undefined;
+            return tm.getCorrelationMatrix(symbols);
+        }));
+
+        router.use((req, res, next) => {
+            next(new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${this.basePath}${req.path}`));
+        });
+    }
+
+    // Wraps a handler returning data (or a promise) into a { data } response
+    route(handler) {
+        return async (req, res, next) => {
+            try {
+                const data = await handler(req, res);
+                res.json({ data });
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    handleError(error, req, res, next) {
+        if (res.headersSent) return next(error);
+
+        let apiError = error;
+        if (!(error instanceof ApiError)) {
+            if (error.type === 'entity.parse.failed') {
+                apiError = new ApiError(400, 'BAD_REQUEST', 'Malformed JSON body');
+            } else {
+                console.error(`❌ Control API error on ${req.method} ${req.originalUrl}:`, error);
+                apiError = new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+            }
+        }
+
+        const body = { error: { code: apiError.code, message: apiError.message } };
+        if (apiError.details !== undefined) body.error.details = apiError.details;
+        res.status(apiError.status).json(body);
+    }
+
+    getStrategy(name) {
+        const strategy = this.tradingManager.strategies.get(name);
+        if (!strategy) throw new ApiError(404, 'NOT_FOUND', `Strategy ${name} not found`);
+        return strategy;
+    }
+
+    getDeadLetter(id) {
+        const entry = this.tradingManager.deadLetters.get(id);
+        if (!entry) throw new ApiError(404, 'NOT_FOUND', `Dead letter ${id} not found`);
+        return entry;
+    }
+
+    // Only known parameters, same type as the current value, and a set the strategy accepts
+    validateParameters(strategy, parameters) {
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            throw new ApiError(422, 'VALIDATION_ERROR', '"parameters" must be an object');
+        }
+
+        const current = strategy.getParameters();
+        const violations = [];
+        for (const [key, value] of Object.entries(parameters)) {
+            if (!(key in current)) {
+                violations.push({ field: key, message: 'unknown parameter' });
+            } else if (current[key] !== null && typeof value !== typeof current[key]) {
+                violations.push({ field: key, message: `must be a ${typeof current[key]}` });
+            } else if (typeof value === 'number' && !Number.isFinite(value)) {
+                violations.push({ field: key, message: 'must be a finite number' });
+            }
+        }
+
+        if (violations.length === 0 && !strategy.isValidParameterSet({ ...current, ...parameters })) {
+            violations.push({ field: 'parameters', message: `rejected by ${strategy.getName()} constraints` });
+        }
+
+        if (violations.length > 0) {
+            throw new ApiError(422, 'VALIDATION_ERROR', 'Invalid strategy parameters', violations);
+        }
+    }
+
+    serializeStrategy(strategy) {
+        return {
+            name: strategy.getName(),
+            enabled: strategy.isEnabled(),
+            symbols: strategy.getSymbols(),
+            timeframes: strategy.getTimeframes(),
+            parameters: strategy.getParameters(),
+            performance: strategy.getPerformance()
+        };
+    }
+
+    getReason(req, fallback) {
+        return typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : fallback;
+    }
+
+    parseLimit(value, fallback) {
+        const limit = parseInt(value);
+        return Number.isFinite(limit) && limit > 0 ? Math.min(limit, 1000) : fallback;
+    }
+
+    // Shared with the event stream
+    isAllowedIP(ip) {
+        return this.allowedIPs.length === 0 || this.allowedIPs.includes(ip);
+    }
+
+    isValidToken(token) {
+        return typeof token === 'string' && token.length > 0 && this.tokens.some(valid => safeEqual(token, valid));
+    }
+}
+
+ControlApi.ApiError = ApiError;
+
+module.exports = ControlApi;
@@ -0,0 +1,262 @@
+const WebSocket = require('ws');
+const { URL } = require('url');
+
+// TradingManager events forwarded to subscribers
+const EVENTS = [
+    'positionOpened', 'positionClosed', 'positionPartiallyClosed', 'positionScaledIn',
+    'positionCanceled', 'positionRejected', 'stopLossUpdated', 'portfolioUpdated',
+    'signalQueued', 'signalRejected', 'signalDropped', 'signalBlocked', 'signalDeadLettered', 'signalError',
+    'quantfuryAlert',
+    'orderSubmitted', 'orderUnknown', 'orderPartiallyFilled', 'orderFilled', 'orderCanceled', 'orderRejected', 'orderExpired',
+    'orphanOrder',
+    'riskGuardTripped', 'riskGuardRearmed',
+    'tradingPaused', 'tradingResumed', 'tradingModeChanged'
+];
+
+// WebSocket push of TradingManager events at /api/v1/stream. Clients authenticate with the
+// control API token (Authorization header, or ?token= for browsers) and receive:
+//   { type: 'snapshot', data }                          on connect and on request
+//   { type: 'event', event, seq, symbol, strategy, timestamp, data }
+// Filters come from the query string (?events=&symbols=&strategies=) or a message:
+//   { type: 'subscribe', events: [...], symbols: [...], strategies: [...] }
+// Events without a symbol or strategy (risk guard, pause) pass those filters.
+class EventStream {
+    constructor(tradingManager, config = {}) {
+        this.tradingManager = tradingManager;
+        this.path = config.path || '/api/v1/stream';
+        this.authenticate = config.authenticate || (() => false);
+        this.heartbeatInterval = config.heartbeatInterval || 30000;
+        this.maxBufferedBytes = config.maxBufferedBytes || 1024 * 1024;
+
+        this.wss = null;
+        this.server = null;
+        this.heartbeat = null;
+        this.clients = new Map(); // ws -> { filters, alive, dropped }
+        this.seq = 0;
+
+        for (const event of EVENTS) {
+            tradingManager.on(event, (data) => this.broadcast(event, data));
+        }
+    }
+
+    attach(server) {
+        this.server = server;
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.onUpgrade = (req, socket, head) => this.handleUpgrade(req, socket, head);
+        server.on('upgrade', this.onUpgrade);
+
+        this.heartbeat = setInterval(() => this.checkClients(), this.heartbeatInterval);
+        console.log(`📡 Event stream listening on ${this.path}`);
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== this.path) {
+            socket.destroy();
+            return;
+        }
+
+        const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+        const token = scheme === 'Bearer' ? headerToken : url.searchParams.get('token');
+        if (!this.authenticate(token, req)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.handleConnection(ws, {
+                events: this.parseList(url.searchParams.get('events')),
+                symbols: this.parseList(url.searchParams.get('symbols')),
+                strategies: this.parseList(url.searchParams.get('strategies'))
+            });
+        });
+    }
+
+    handleConnection(ws, query) {
+        const client = { filters: null, alive: true, dropped: 0 };
+        this.clients.set(ws, client);
+
+        const filterError = this.setFilters(client, query);
+        if (filterError) this.send(ws, { type: 'error', message: filterError });
+
+        ws.on('pong', () => { client.alive = true; });
+        ws.on('message', (raw) => {
+            // A throw here would escape the ws listener and take the process down
+            try {
+                this.handleMessage(ws, client, raw);
+            } catch (error) {
+                console.warn('⚠️ Event stream message failed:', error.message);
+                this.send(ws, { type: 'error', message: 'Message could not be processed' });
+            }
+        });
+        ws.on('close', () => this.clients.delete(ws));
+        ws.on('error', (error) => {
+            console.warn('⚠️ Event stream client error:', error.message);
+            this.clients.delete(ws);
+        });
+
+        this.send(ws, { type: 'subscribed', filters: this.describeFilters(client.filters) });
+        this.sendSnapshot(ws);
+    }
+
+    handleMessage(ws, client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return this.send(ws, { type: 'error', message: 'Messages must be JSON' });
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return this.send(ws, { type: 'error', message: 'Messages must be JSON objects' });
+        }
+
+        switch (message.type) {
+            case 'subscribe': {
+                const filterError = this.setFilters(client, message);
+                if (filterError) return this.send(ws, { type: 'error', message: filterError });
+                return this.send(ws, { type: 'subscribed', filters: this.describeFilters(client.filters) });
+            }
+            case 'snapshot':
+                return this.sendSnapshot(ws);
+            case 'ping':
+                return this.send(ws, { type: 'pong', timestamp: Date.now() });
+            default:
+                return this.send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    // Missing or empty lists mean "everything"
+    setFilters(client, { events, symbols, strategies }) {
+        const invalid = Object.entries({ events, symbols, strategies })
+            .filter(([, values]) => values != null && (!Array.isArray(values) || values.some(value => typeof value !== 'string')))
+            .map(([name]) => name);
+        if (invalid.length > 0) return `Must be an array of strings: ${invalid.join(', ')}`;
+
+        const unknown = (events || []).filter(event => !EVENTS.includes(event));
+        if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')}`;
+
+        const mapper = this.tradingManager.symbolMapper;
+        const toSet = (values, normalize = (value) => value) =>
+            Array.isArray(values) && values.length > 0 ? new Set(values.map(normalize)) : null;
+
+        client.filters = {
+            events: toSet(events),
+            symbols: toSet(symbols, (symbol) => mapper.canonicalize(symbol) || symbol),
+            strategies: toSet(strategies)
+        };
+        return null;
+    }
+
+    describeFilters(filters) {
+        const list = (set) => (set ? Array.from(set) : 'all');
+        return { events: list(filters.events), symbols: list(filters.symbols), strategies: list(filters.strategies) };
+    }
+
+    matches(filters, message) {
+        if (filters.events && !filters.events.has(message.event)) return false;
+        if (filters.symbols && message.symbol && !filters.symbols.has(message.symbol)) return false;
+        if (filters.strategies && message.strategy && !filters.strategies.has(message.strategy)) return false;
+        return true;
+    }
+
+    broadcast(event, data) {
+        if (this.clients.size === 0) return;
+
+        const source = data?.signal || data || {};
+        const message = {
+            type: 'event',
+            event,
+            seq: ++this.seq,
+            symbol: source.symbol || source.instrument || null,
+            strategy: source.strategy || null,
+            timestamp: Date.now(),
+            data: this.serialize(data)
+        };
+
+        for (const [ws, client] of this.clients) {
+            if (this.matches(client.filters, message)) this.send(ws, message, client);
+        }
+    }
+
+    sendSnapshot(ws) {
+        const tm = this.tradingManager;
+        this.send(ws, {
+            type: 'snapshot',
+            timestamp: Date.now(),
+            data: {
+                status: tm.getStatus(),
+                positions: Array.from(tm.portfolioManager.positions.values()),
+                alerts: tm.quantfuryManager.getActiveAlerts(),
+                deadLetters: tm.getDeadLetters()
+            }
+        });
+    }
+
+    // Slow consumers lose messages instead of growing the send buffer without bound
+    send(ws, message, client = null) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (client && ws.bufferedAmount > this.maxBufferedBytes) {
+            client.dropped++;
+            return;
+        }
+        ws.send(JSON.stringify(message));
+    }
+
+    // Errors do not survive JSON.stringify
+    serialize(data) {
+        if (data instanceof Error) return { name: data.name, message: data.message };
+        if (data && data.error instanceof Error) {
+            return { ...data, error: { name: data.error.name, message: data.error.message } };
+        }
+        return data ?? null;
+    }
+
+    parseList(value) {
+        return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+    }
+
+    checkClients() {
+        for (const [ws, client] of this.clients) {
+            if (!client.alive) {
+                ws.terminate();
+                this.clients.delete(ws);
+                continue;
+            }
+            client.alive = false;
+            ws.ping();
+        }
+    }
+
+    getStats() {
+        return {
+            clients: this.clients.size,
+            sequence: this.seq,
+            droppedMessages: Array.from(this.clients.values()).reduce((total, client) => total + client.dropped, 0)
+        };
+    }
+
+    // Open sockets would keep the HTTP server from closing
+    close() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+
+        for (const ws of this.clients.keys()) {
+            ws.close(1001, 'Server shutting down');
+            ws.terminate();
+        }
+        this.clients.clear();
+
+        if (this.server && this.onUpgrade) {
+            this.server.removeListener('upgrade', this.onUpgrade);
+        }
+        if (this.wss) {
+            this.wss.close();
+            this.wss = null;
+        }
+    }
+}
+
+EventStream.EVENTS = EVENTS;
+
+module.exports = EventStream;
@@ -0,0 +1,258 @@
+const EventEmitter = require('events');
+const PortfolioManager = require('../portfolio/PortfolioManager');
+const CandleLoader = require('./CandleLoader');
+
+class BacktestEngine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.initialCapital = config.initialCapital || 10000;
+        this.portfolioConfig = config.portfolio || {};
+        
+        // Execution costs
+        this.spread = config.spread || 0;           // Absolute price units (ask - bid)
+        this.spreads = config.spreads || {};        // Per-symbol overrides
+        this.slippage = config.slippage ?? 0.0005;  // Fraction of price on market fills
+        
+        // Replay settings
+        this.warmupBars = config.warmupBars || 100;
+        this.lookback = config.lookback || 300;     // Bars handed to analyze() on each step
+        this.allowPyramiding = config.allowPyramiding || false;
+        
+        this.candleLoader = new CandleLoader();
+    }
+
+    // Strategies keep internal counters (daily trades, open trades), so pass a fresh instance per run
+    run(strategy, candles, options = {}) {
+        const symbol = options.symbol || strategy.getSymbols()[0];
+        const timeframe = options.timeframe || strategy.getTimeframes()[0];
+        
+        if (!Array.isArray(candles) || candles.length <= this.warmupBars) {
+            throw new Error(`Backtest needs more than ${this.warmupBars} candles, got ${candles?.length || 0}`);
+        }
+
+        const portfolio = new PortfolioManager({
+            initialCapital: this.initialCapital,
+            ...this.portfolioConfig,
+            trackDailyPnL: false
+        });
+
+        const trades = [];
+        const equityCurve = [];
+        const stats = { signals: 0, rejected: 0, skipped: 0 };
+        let pendingSignal = null;
+        let currentTime = candles[0].timestamp;
+        let currentDay = null;
+        let peakEquity = this.initialCapital;
+
+        portfolio.on('positionClosed', trade => trades.push(trade));
+        portfolio.on('positionRejected', () => stats.rejected++);
+        
+        strategy.setClock(() => currentTime);
+
+        try {
+            for (let i = 0; i < candles.length; i++) {
+                const bar = candles[i];
+                currentTime = bar.timestamp;
+
+                // Day rollover: daily PnL sample and strategy counters
+                const day = new Date(bar.timestamp).toISOString().slice(0, 10);
+                if (currentDay !== null && day !== currentDay) {
+                    portfolio.updateDailyPnL();
+                    if (typeof strategy.resetDailyCounters === 'function') {
+                        strategy.resetDailyCounters();
+                    }
+                }
+                currentDay = day;
+
+                // Signals generated on the previous close fill at this bar's open
+                if (pendingSignal) {
+                    this.executeEntry(portfolio, pendingSignal, bar, symbol, stats);
+                    pendingSignal = null;
+                }
+
+                this.checkExits(portfolio, bar, symbol);
+
+                const equity = this.markToMarket(portfolio, bar.close);
+                peakEquity = Math.max(peakEquity, equity);
+                equityCurve.push({
+                    timestamp: bar.timestamp,
+                    equity,
+                    drawdown: peakEquity > 0 ? (peakEquity - equity) / peakEquity : 0,
+                    openPositions: portfolio.positions.size
+                });
+
+                if (i + 1 < this.warmupBars || i === candles.length - 1) continue;
+
+                const window = candles.slice(Math.max(0, i + 1 - this.lookback), i + 1);
+                const analysis = strategy.analyze(
+                    this.candleLoader.toCandleData(window),
+                    { symbol, timeframe, timestamp: bar.timestamp }
+                );
+
+                if (analysis && analysis.side) {
+                    stats.signals++;
+                    pendingSignal = { ...analysis, strategy: strategy.getName(), signalTime: bar.timestamp };
+                }
+            }
+
+            // Flatten whatever is still open on the last close
+            const lastBar = candles[candles.length - 1];
+            for (const position of Array.from(portfolio.positions.values())) {
+                if (position.symbol !== symbol) continue;
+                const exitPrice = this.applyCosts(lastBar.close, position.side === 'long' ? 'sell' : 'buy', symbol, true);
+                portfolio.closePosition(position.id, exitPrice, 'end_of_data', lastBar.timestamp);
+            }
+
+            if (equityCurve.length > 0) {
+                equityCurve[equityCurve.length - 1].equity = this.markToMarket(portfolio, lastBar.close);
+            }
+
+        } finally {
+            strategy.setClock(null);
+        }
+
+        const result = {
+            strategy: strategy.getName(),
+            symbol,
+            timeframe,
+            parameters: strategy.getParameters(),
+            period: {
+                start: candles[0].timestamp,
+                end: candles[candles.length - 1].timestamp,
+                bars: candles.length
+            },
+            costs: {
+                spread: this.getSpread(symbol),
+                slippage: this.slippage
+            },
+            signals: stats,
+            trades: trades.map(trade => this.formatTrade(trade)),
+            equityCurve,
+            metrics: portfolio.getPortfolioSummary()
+        };
+
+        this.emit('backtestCompleted', result);
+        return result;
+    }
+
+    runFromFile(strategy, filePath, options = {}) {
+        const candles = this.candleLoader.load(filePath);
+        return this.run(strategy, candles, options);
+    }
+
+    executeEntry(portfolio, signal, bar, symbol, stats) {
+        const hasOpenPosition = Array.from(portfolio.positions.values()).some(pos => pos.symbol === symbol);
+        if (hasOpenPosition && !this.allowPyramiding) {
+            stats.skipped++;
+            return null;
+        }
+
+        const fillPrice = this.applyCosts(bar.open, signal.side === 'long' ? 'buy' : 'sell', symbol, true);
+
+        // Gaps through the stop or target invalidate the setup
+        const validLevels = signal.side === 'long'
+            ? signal.stopLoss < fillPrice && signal.takeProfit > fillPrice
+            : signal.stopLoss > fillPrice && signal.takeProfit < fillPrice;
+
+        if (!validLevels) {
+            stats.skipped++;
+            return null;
+        }
+
+        return portfolio.openPosition({
+            symbol,
+            side: signal.side,
+            price: fillPrice,
+            stopLoss: signal.stopLoss,
+            takeProfit: signal.takeProfit,
+            strategy: signal.strategy,
+            confidence: signal.confidence,
+            timestamp: bar.timestamp,
+            metadata: signal.metadata
+        });
+    }
+
+    checkExits(portfolio, bar, symbol) {
+        for (const position of Array.from(portfolio.positions.values())) {
+            if (position.symbol !== symbol) continue;
+
+            const isLong = position.side === 'long';
+            const exitSide = isLong ? 'sell' : 'buy';
+
+            // When both levels are inside the same bar assume the stop was hit first
+            if (isLong ? bar.low <= position.stopLoss : bar.high >= position.stopLoss) {
+                const rawPrice = isLong ? Math.min(bar.open, position.stopLoss) : Math.max(bar.open, position.stopLoss);
+                // Stops fill as market orders (slippage), targets as resting limits
+                const exitPrice = this.applyCosts(rawPrice, exitSide, symbol, true);
+                portfolio.closePosition(position.id, exitPrice, portfolio.getStopReason(position), bar.timestamp);
+                continue;
+            }
+
+            // Scale-in levels rest on the adverse side, partial exits on the favourable one
+            for (const level of portfolio.getTriggeredScaleIns(position, isLong ? bar.low : bar.high)) {
+                const rawPrice = isLong ? Math.min(bar.open, level.price) : Math.max(bar.open, level.price);
+                portfolio.executeScaleIn(position, level, this.applyCosts(rawPrice, isLong ? 'buy' : 'sell', symbol, false), bar.timestamp);
+            }
+
+            for (const level of portfolio.getTriggeredExits(position, isLong ? bar.high : bar.low)) {
+                const rawPrice = isLong ? Math.max(bar.open, level.price) : Math.min(bar.open, level.price);
+                portfolio.executePartialExit(position, level, this.applyCosts(rawPrice, exitSide, symbol, false), bar.timestamp);
+                if (!portfolio.positions.has(position.id)) break;
+            }
+            if (!portfolio.positions.has(position.id)) continue;
+
+            if (isLong ? bar.high >= position.takeProfit : bar.low <= position.takeProfit) {
+                const rawPrice = isLong ? Math.max(bar.open, position.takeProfit) : Math.min(bar.open, position.takeProfit);
+                portfolio.closePosition(position.id, this.applyCosts(rawPrice, exitSide, symbol, false), 'take_profit', bar.timestamp);
+            } else {
+                // Trail on the bar's best price; the new stop applies from the next bar
+                portfolio.trailingStops.update(position, isLong ? bar.high : bar.low);
+            }
+        }
+    }
+
+    markToMarket(portfolio, price) {
+        let equity = portfolio.currentCapital;
+
+        for (const position of portfolio.positions.values()) {
+            position.unrealizedPnL = portfolio.calculatePnL(position, price);
+            equity += portfolio.getReservedCapital(position) + position.unrealizedPnL;
+        }
+
+        return equity;
+    }
+
+    applyCosts(price, orderSide, symbol, withSlippage) {
+        const halfSpread = this.getSpread(symbol) / 2;
+        const slippage = withSlippage ? price * this.slippage : 0;
+
+        return orderSide === 'buy'
+            ? price + halfSpread + slippage
+            : price - halfSpread - slippage;
+    }
+
+    getSpread(symbol) {
+        return this.spreads[symbol] ?? this.spread;
+    }
+
+    formatTrade(trade) {
+        return {
+            id: trade.id,
+            symbol: trade.symbol,
+            side: trade.side,
+            size: trade.size,
+            entryPrice: trade.entryPrice,
+            closePrice: trade.closePrice,
+            stopLoss: trade.stopLoss,
+            takeProfit: trade.takeProfit,
+            entryTime: trade.timestamp.valueOf(),
+            exitTime: trade.closeTimestamp.valueOf(),
+            realizedPnL: trade.realizedPnL,
+            reason: trade.reason,
+            fills: trade.fills || [],
+            exits: trade.exits || []
+        };
+    }
+}
+
+module.exports = BacktestEngine;
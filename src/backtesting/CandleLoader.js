@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+
+class CandleLoader {
+    constructor(config = {}) {
+        this.delimiter = config.delimiter || ',';
+    }
+
+    load(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        const candles = extension === '.json'
+            ? this.parseJSON(content)
+            : this.parseCSV(content);
+
+        return this.normalize(candles);
+    }
+
+    parseJSON(content) {
+        const data = JSON.parse(content);
+        const rows = Array.isArray(data) ? data : (data.candles || data.ohlcv || []);
+
+        return rows.map(row => {
+            // ccxt OHLCV format: [timestamp, open, high, low, close, volume]
+            if (Array.isArray(row)) {
+                const [timestamp, open, high, low, close, volume] = row;
+                return { timestamp, open, high, low, close, volume };
+            }
+
+            return {
+                timestamp: row.timestamp ?? row.time ?? row.date,
+                open: row.open ?? row.o,
+                high: row.high ?? row.h,
+                low: row.low ?? row.l,
+                close: row.close ?? row.c,
+                volume: row.volume ?? row.v
+            };
+        });
+    }
+
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length === 0) return [];
+
+        const firstRow = lines[0].split(this.delimiter).map(col => col.trim().toLowerCase());
+        const hasHeader = firstRow.some(col => isNaN(parseFloat(col)));
+
+        // Default column order when there is no header: timestamp,open,high,low,close,volume
+        let columns = { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+        if (hasHeader) {
+            const find = (...names) => firstRow.findIndex(col => names.includes(col));
+            columns = {
+                timestamp: find('timestamp', 'time', 'date', 'datetime'),
+                open: find('open', 'o'),
+                high: find('high', 'h'),
+                low: find('low', 'l'),
+                close: find('close', 'c'),
+                volume: find('volume', 'vol', 'v')
+            };
+
+            if (columns.open < 0 || columns.high < 0 || columns.low < 0 || columns.close < 0) {
+                throw new Error(`CSV header must include open, high, low and close columns: ${lines[0]}`);
+            }
+        }
+
+        return lines.slice(hasHeader ? 1 : 0).map(line => {
+            const values = line.split(this.delimiter).map(value => value.trim());
+            return {
+                timestamp: columns.timestamp >= 0 ? values[columns.timestamp] : undefined,
+                open: values[columns.open],
+                high: values[columns.high],
+                low: values[columns.low],
+                close: values[columns.close],
+                volume: columns.volume >= 0 ? values[columns.volume] : 0
+            };
+        });
+    }
+
+    normalize(rows) {
+        const candles = rows.map((row, index) => ({
+            timestamp: this.parseTimestamp(row.timestamp, index),
+            open: parseFloat(row.open),
+            high: parseFloat(row.high),
+            low: parseFloat(row.low),
+            close: parseFloat(row.close),
+            volume: parseFloat(row.volume) || 0
+        }));
+
+        const invalid = candles.findIndex(c =>
+            [c.open, c.high, c.low, c.close].some(value => !Number.isFinite(value))
+        );
+        if (invalid >= 0) {
+            throw new Error(`Invalid OHLC values at row ${invalid + 1}`);
+        }
+
+        return candles.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    parseTimestamp(value, index) {
+        if (value === undefined || value === null || value === '') return index;
+
+        const numeric = Number(value);
+        if (Number.isFinite(numeric)) {
+            // Treat 10-digit values as seconds
+            return numeric < 1e12 ? numeric * 1000 : numeric;
+        }
+
+        const parsed = Date.parse(value);
+        if (isNaN(parsed)) {
+            throw new Error(`Invalid timestamp at row ${index + 1}: ${value}`);
+        }
+        return parsed;
+    }
+
+    // Convert candle objects into the column arrays expected by BaseStrategy.analyze()
+    toCandleData(candles) {
+        return {
+            timestamps: candles.map(c => c.timestamp),
+            opens: candles.map(c => c.open),
+            highs: candles.map(c => c.high),
+            lows: candles.map(c => c.low),
+            closes: candles.map(c => c.close),
+            volumes: candles.map(c => c.volume)
+        };
+    }
+}
+
+module.exports = CandleLoader;
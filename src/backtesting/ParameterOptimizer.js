@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const BacktestEngine = require('./BacktestEngine');
+
+// Objectives map to a getPortfolioSummary() metric and the direction that is better
+const OBJECTIVES = {
+    profitFactor: { metric: 'profitFactor', direction: 'max' },
+    sharpeRatio: { metric: 'sharpeRatio', direction: 'max' },
+    totalReturn: { metric: 'totalReturn', direction: 'max' },
+    winRate: { metric: 'winRate', direction: 'max' },
+    maxDrawdown: { metric: 'maxDrawdown', direction: 'min' }
+};
+
+class ParameterOptimizer extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.backtestConfig = config.backtest || {};
+        this.objective = config.objective || 'profitFactor';
+        this.minTrades = config.minTrades ?? 5;
+        
+        // Walk-forward windows (in bars)
+        this.inSampleBars = config.inSampleBars || 1000;
+        this.outOfSampleBars = config.outOfSampleBars || 250;
+        this.stepBars = config.stepBars || this.outOfSampleBars;
+        
+        this.validateObjective(this.objective);
+    }
+
+    validateObjective(objective) {
+        if (!OBJECTIVES[objective]) {
+            throw new Error(`Unknown objective "${objective}". Use one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+        }
+    }
+
+    // Ranges accept explicit value lists or { min, max, step }
+    buildGrid(ranges, constraint = null) {
+        const names = Object.keys(ranges);
+        const values = names.map(name => this.expandRange(name, ranges[name]));
+
+        let grid = [{}];
+        names.forEach((name, index) => {
+            const next = [];
+            for (const combo of grid) {
+                for (const value of values[index]) {
+                    next.push({ ...combo, [name]: value });
+                }
+            }
+            grid = next;
+        });
+
+        return constraint ? grid.filter(combo => constraint(combo)) : grid;
+    }
+
+    expandRange(name, range) {
+        if (Array.isArray(range)) return range;
+
+        const { min, max, step } = range || {};
+        if (![min, max, step].every(Number.isFinite) || step <= 0 || min > max) {
+            throw new Error(`Invalid range for parameter "${name}"`);
+        }
+
+        const values = [];
+        // Round to avoid floating point drift (e.g. 1.5000000002)
+        for (let value = min; value <= max + step / 1e6; value += step) {
+            values.push(Math.round(value * 1e8) / 1e8);
+        }
+        return values;
+    }
+
+    createStrategy(StrategyClass, baseConfig, parameters) {
+        return new StrategyClass({
+            ...baseConfig,
+            enabled: true,
+            parameters: { ...(baseConfig.parameters || {}), ...parameters }
+        });
+    }
+
+    score(metrics, tradeCount, objective) {
+        if (tradeCount < this.minTrades) return null;
+
+        const value = metrics[OBJECTIVES[objective].metric];
+        if (!Number.isFinite(value)) return null;
+
+        return OBJECTIVES[objective].direction === 'max' ? value : -value;
+    }
+
+    rank(results) {
+        return results.sort((a, b) => {
+            if (a.score === null && b.score === null) return 0;
+            if (a.score === null) return 1;
+            if (b.score === null) return -1;
+            return b.score - a.score;
+        });
+    }
+
+    gridSearch(StrategyClass, candles, options = {}) {
+        const objective = options.objective || this.objective;
+        this.validateObjective(objective);
+
+        const grid = this.buildGrid(options.ranges || {}, options.constraint);
+        if (grid.length === 0) {
+            throw new Error('Parameter grid is empty');
+        }
+
+        const engine = new BacktestEngine(this.backtestConfig);
+        const baseConfig = options.baseConfig || {};
+        const results = [];
+
+        grid.forEach((parameters, index) => {
+            const strategy = this.createStrategy(StrategyClass, baseConfig, parameters);
+            const backtest = engine.run(strategy, candles, options);
+
+            results.push({
+                parameters,
+                score: this.score(backtest.metrics, backtest.trades.length, objective),
+                trades: backtest.trades.length,
+                metrics: backtest.metrics
+            });
+
+            this.emit('progress', { completed: index + 1, total: grid.length, parameters });
+        });
+
+        return {
+            objective,
+            combinations: grid.length,
+            ranking: this.rank(results),
+            best: results.find(result => result.score !== null) || null
+        };
+    }
+
+    walkForward(StrategyClass, candles, options = {}) {
+        const objective = options.objective || this.objective;
+        const inSampleBars = options.inSampleBars || this.inSampleBars;
+        const outOfSampleBars = options.outOfSampleBars || this.outOfSampleBars;
+        const stepBars = options.stepBars || this.stepBars;
+        const warmupBars = this.backtestConfig.warmupBars || 100;
+
+        if (candles.length < inSampleBars + outOfSampleBars) {
+            throw new Error(`Walk-forward needs at least ${inSampleBars + outOfSampleBars} candles, got ${candles.length}`);
+        }
+
+        const engine = new BacktestEngine(this.backtestConfig);
+        const baseConfig = options.baseConfig || {};
+        const windows = [];
+
+        for (let start = 0; start + inSampleBars + outOfSampleBars <= candles.length; start += stepBars) {
+            const inSample = candles.slice(start, start + inSampleBars);
+            const search = this.gridSearch(StrategyClass, inSample, { ...options, objective });
+
+            const window = {
+                inSample: { start: inSample[0].timestamp, end: inSample[inSample.length - 1].timestamp },
+                outOfSample: null,
+                best: search.best,
+                outOfSampleResult: null
+            };
+
+            if (search.best) {
+                // Out-of-sample slice keeps the in-sample tail as indicator warm-up
+                const oosStart = start + inSampleBars;
+                const outOfSample = candles.slice(Math.max(0, oosStart - warmupBars), oosStart + outOfSampleBars);
+                const strategy = this.createStrategy(StrategyClass, baseConfig, search.best.parameters);
+                const backtest = engine.run(strategy, outOfSample, options);
+
+                window.outOfSample = {
+                    start: candles[oosStart].timestamp,
+                    end: candles[oosStart + outOfSampleBars - 1].timestamp
+                };
+                window.outOfSampleResult = {
+                    trades: backtest.trades,
+                    metrics: backtest.metrics,
+                    score: this.score(backtest.metrics, backtest.trades.length, objective)
+                };
+            }
+
+            windows.push(window);
+            this.emit('windowCompleted', { index: windows.length, window });
+        }
+
+        const tested = windows.filter(window => window.best);
+
+        return {
+            objective,
+            windows,
+            aggregate: this.aggregateOutOfSample(tested),
+            // The most recent in-sample winner is the one to trade going forward
+            recommendedParameters: tested.length > 0 ? tested[tested.length - 1].best.parameters : null
+        };
+    }
+
+    aggregateOutOfSample(windows) {
+        const trades = windows.flatMap(window => window.outOfSampleResult.trades);
+        const wins = trades.filter(trade => trade.realizedPnL > 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.realizedPnL, 0);
+        const grossLoss = Math.abs(trades
+            .filter(trade => trade.realizedPnL < 0)
+            .reduce((sum, trade) => sum + trade.realizedPnL, 0));
+
+        const totalReturn = windows.reduce(
+            (compound, window) => compound * (1 + window.outOfSampleResult.metrics.totalReturn), 1
+        ) - 1;
+
+        return {
+            windows: windows.length,
+            totalTrades: trades.length,
+            winRate: trades.length > 0 ? wins.length / trades.length : 0,
+            profitFactor: grossLoss === 0 ? grossProfit : grossProfit / grossLoss,
+            totalReturn,
+            maxDrawdown: Math.max(0, ...windows.map(window => window.outOfSampleResult.metrics.maxDrawdown))
+        };
+    }
+
+    exportResults(results, filePath) {
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+        if (path.extname(filePath).toLowerCase() === '.csv') {
+            const ranking = results.ranking || [];
+            const paramNames = Object.keys(ranking[0]?.parameters || {});
+            const metricNames = ['totalReturn', 'profitFactor', 'sharpeRatio', 'maxDrawdown', 'winRate'];
+            const lines = [
+                [...paramNames, 'trades', 'score', ...metricNames].join(','),
+                ...ranking.map(result => [
+                    ...paramNames.map(name => result.parameters[name]),
+                    result.trades,
+                    result.score ?? '',
+                    ...metricNames.map(name => result.metrics[name])
+                ].join(','))
+            ];
+            fs.writeFileSync(filePath, lines.join('\n'));
+        } else {
+            fs.writeFileSync(filePath, JSON.stringify(results, null, 2));
+        }
+
+        console.log(`💾 Optimization results saved to ${filePath}`);
+        return filePath;
+    }
+
+    applyResults(strategy, results) {
+        const parameters = results.recommendedParameters || results.best?.parameters;
+        if (!parameters) {
+            throw new Error('Optimization produced no parameter set with enough trades');
+        }
+
+        strategy.updateParameters(parameters);
+        return parameters;
+    }
+}
+
+ParameterOptimizer.OBJECTIVES = OBJECTIVES;
+
+module.exports = ParameterOptimizer;
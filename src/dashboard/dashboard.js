@@ -0,0 +1,330 @@
+// Dashboard served at /dashboard: reads /api/v1 with the bearer token kept in localStorage
+// and refreshes sections as events arrive over /api/v1/stream.
+(function () {
+    const TOKEN_KEY = 'atm.apiToken';
+    const API = '/api/v1';
+
+    // Which sections each stream event invalidates
+    const REFRESH = {
+        positionOpened: ['positions', 'status', 'equity'],
+        positionClosed: ['positions', 'status', 'equity', 'risk'],
+        positionPartiallyClosed: ['positions', 'status', 'equity'],
+        positionScaledIn: ['positions'],
+        positionCanceled: ['positions', 'status'],
+        stopLossUpdated: ['positions'],
+        quantfuryAlert: ['alerts'],
+        signalQueued: ['signals'],
+        signalRejected: ['rejections'],
+        riskGuardTripped: ['risk', 'status'],
+        riskGuardRearmed: ['risk', 'status'],
+        tradingPaused: ['status'],
+        tradingResumed: ['status'],
+        tradingModeChanged: ['status']
+    };
+
+    const state = { token: localStorage.getItem(TOKEN_KEY), socket: null, retry: 1000, pending: new Set(), timer: null };
+    const $ = (id) => document.getElementById(id);
+
+    // Signal payloads come from outside; never inject them as HTML
+    function esc(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    function num(value, digits = 2) {
+        return Number.isFinite(value) ? value.toLocaleString('es-ES', { minimumFractionDigits: digits, maximumFractionDigits: digits }) : '—';
+    }
+
+    function pct(value) {
+        return Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : '—';
+    }
+
+    function pnlClass(value) {
+        return value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+    }
+
+    function time(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '—' : date.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'medium' });
+    }
+
+    function emptyRow(colspan, text) {
+        return `<tr><td class="empty" colspan="${colspan}">${text}</td></tr>`;
+    }
+
+    async function api(path, options = {}) {
+        const response = await fetch(API + path, {
+            ...options,
+            headers: { 'Authorization': `Bearer ${state.token}`, 'Content-Type': 'application/json' }
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.status === 401 || response.status === 503) {
+            logout(body.error?.message || 'Token no válido');
+            throw new Error('unauthorized');
+        }
+        if (!response.ok) throw new Error(body.error?.message || `HTTP ${response.status}`);
+        return body.data;
+    }
+
+    // Renderers
+
+    function renderStatus(status) {
+        const portfolio = status.portfolio;
+
+        $('mode').textContent = status.paperTrading ? 'paper' : 'live';
+        $('mode').className = `badge ${status.paperTrading ? '' : 'warn'}`;
+
+        const label = !status.isActive && !status.paused ? 'detenido' : status.paused ? 'pausado' : 'activo';
+        $('state').textContent = status.riskGuard.tripped ? `risk guard: ${status.riskGuard.tripped.reason}` : label;
+        $('state').className = `badge ${status.riskGuard.tripped || !status.isActive ? 'off' : 'on'}`;
+
+        const pause = $('toggle-pause');
+        pause.hidden = !status.isActive && !status.paused;
+        pause.textContent = status.paused ? '▶️ Reanudar' : '⏸️ Pausar';
+        pause.dataset.action = status.paused ? 'resume' : 'pause';
+
+        const cards = [
+            ['Valor total', num(portfolio.totalValue)],
+            ['Capital disponible', num(portfolio.availableCapital)],
+            ['PnL no realizado', num(portfolio.unrealizedPnL), pnlClass(portfolio.unrealizedPnL)],
+            ['Retorno total', pct(portfolio.totalReturn), pnlClass(portfolio.totalReturn)],
+            ['Posiciones', portfolio.openPositions],
+            ['Trades', portfolio.totalTrades],
+            ['Win rate', pct(portfolio.winRate)],
+            ['Max drawdown', pct(portfolio.maxDrawdown)],
+            ['Cola de señales', `${status.queuedSignals}/${status.maxQueueSize}`]
+        ];
+        $('summary').innerHTML = cards.map(([label, value, cls = '']) =>
+            `<div class="card"><div class="label">${label}</div><div class="value ${cls}">${esc(value)}</div></div>`).join('');
+    }
+
+    function renderPositions(positions) {
+        $('positions').innerHTML = positions.length === 0 ? emptyRow(8, 'Sin posiciones abiertas') : positions.map(p => `
+            <tr>
+                <td>${esc(p.symbol)}</td>
+                <td class="${p.side === 'long' ? 'positive' : 'negative'}">${esc(p.side)}</td>
+                <td>${esc(p.strategy)}</td>
+                <td>${num(p.filledSize || p.size, 4)}</td>
+                <td>${num(p.entryPrice, 5)}</td>
+                <td>${num(p.stopLoss, 5)}</td>
+                <td>${num(p.takeProfit, 5)}</td>
+                <td class="${pnlClass(p.unrealizedPnL)}">${num(p.unrealizedPnL)}</td>
+            </tr>`).join('');
+    }
+
+    function renderEquity(curve) {
+        const svg = $('equity');
+        if (curve.length < 2) {
+            svg.innerHTML = '<text x="400" y="100" text-anchor="middle" fill="#7d8895">Sin trades cerrados todavía</text>';
+            return;
+        }
+
+        const values = curve.map(point => point.equity);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+        const x = (i) => (i / (curve.length - 1)) * 800;
+        const y = (value) => 190 - ((value - min) / range) * 180;
+
+        const points = curve.map((point, i) => `${x(i).toFixed(1)},${y(point.equity).toFixed(1)}`).join(' ');
+        const start = y(curve[0].equity).toFixed(1);
+        svg.innerHTML = `<line x1="0" x2="800" y1="${start}" y2="${start}"></line><polyline points="${points}"></polyline>`;
+        svg.querySelector('polyline').style.stroke = values[values.length - 1] >= values[0] ? '' : 'var(--red)';
+    }
+
+    function renderStrategies(strategies) {
+        $('strategies').innerHTML = strategies.map(s => `
+            <li>
+                <div>
+                    <strong>${esc(s.name)}</strong>
+                    <div class="meta">${esc(s.symbols.join(', '))} · ${esc(s.timeframes.join(', '))}</div>
+                </div>
+                <label><input type="checkbox" data-strategy="${esc(s.name)}" ${s.enabled ? 'checked' : ''}> activa</label>
+            </li>`).join('');
+    }
+
+    function renderRisk(risk) {
+        const metrics = risk.metrics || {};
+        const rows = [
+            ['Pérdida diaria', metrics.dailyLoss, risk.limits.maxDailyLoss, pct],
+            ['Drawdown', metrics.drawdown, risk.limits.maxDrawdown, pct],
+            ['Pérdidas consecutivas', metrics.consecutiveLosses, risk.limits.maxConsecutiveLosses, (v) => (Number.isFinite(v) ? v : '—')]
+        ];
+
+        const header = !risk.enabled
+            ? '<p class="muted">Risk guard desactivado</p>'
+            : risk.tripped
+                ? `<p class="error">🚨 Disparado: ${esc(risk.tripped.reason)} (${time(risk.tripped.trippedAt)})</p>`
+                : '<p class="positive">✅ Armado</p>';
+
+        $('risk').innerHTML = header + rows.map(([label, value, limit, format]) => {
+            const usage = limit > 0 && Number.isFinite(value) ? Math.min(1, value / limit) : 0;
+            const level = usage >= 1 ? 'danger' : usage >= 0.7 ? 'warn' : '';
+            return `
+                <div>${label}: <strong>${format(value)}</strong> <span class="muted">/ límite ${limit ? format(limit) : '—'}</span></div>
+                <div class="meter"><div class="${level}" style="width: ${(usage * 100).toFixed(0)}%"></div></div>`;
+        }).join('');
+    }
+
+    function renderAlerts(alerts) {
+        $('alerts').innerHTML = alerts.length === 0 ? '<p class="muted">Sin alertas activas</p>' : alerts
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(a => `
+                <div class="alert-card ${a.action === 'short' ? 'short' : 'long'}">
+                    <strong>${esc(a.instrument)} ${esc(String(a.action).toUpperCase())}</strong>
+                    <span class="muted">· ${time(a.timestamp)}</span>
+                    <dl>
+                        <dt>Entrada</dt><dd>${num(a.price, 5)}</dd>
+                        <dt>Stop</dt><dd>${num(a.stopLoss, 5)}</dd>
+                        <dt>TP</dt><dd>${num(a.takeProfit, 5)}</dd>
+                        <dt>Tamaño</dt><dd>${num(a.positionSize)} (${num(a.units, 4)} u.)</dd>
+                        <dt>Leverage</dt><dd>${esc(a.leverage)}x</dd>
+                        <dt>Margen</dt><dd>${num(a.requiredMargin)}</dd>
+                        <dt>Riesgo</dt><dd>${num(a.riskAmount)}</dd>
+                    </dl>
+                </div>`).join('');
+    }
+
+    function renderSignals(signals) {
+        $('signals').innerHTML = signals.length === 0 ? emptyRow(5, 'Sin señales') : signals.map(s => `
+            <tr>
+                <td>${time(s.timestamp)}</td>
+                <td>${esc(s.symbol)}</td>
+                <td>${esc(s.action || s.type)}</td>
+                <td>${esc(s.strategy)}</td>
+                <td>${esc(s.webhookSource || s.source)}</td>
+            </tr>`).join('');
+    }
+
+    function renderRejections(rejections) {
+        $('rejections').innerHTML = rejections.length === 0 ? emptyRow(4, 'Sin rechazos') : rejections.map(r => `
+            <tr>
+                <td>${time(r.rejectedAt)}</td>
+                <td>${esc(r.symbol)}</td>
+                <td>${esc(r.schema)}</td>
+                <td title="${esc((r.violations || []).map(v => v.message).join('\n'))}">${esc(r.violations?.[0]?.message)}${r.violations?.length > 1 ? ` (+${r.violations.length - 1})` : ''}</td>
+            </tr>`).join('');
+    }
+
+    const SECTIONS = {
+        status: () => api('/status').then(renderStatus),
+        positions: () => api('/positions').then(renderPositions),
+        equity: () => api('/equity').then(renderEquity),
+        strategies: () => api('/strategies').then(renderStrategies),
+        risk: () => api('/risk').then(renderRisk),
+        alerts: () => api('/alerts').then(renderAlerts),
+        signals: () => api('/signals?limit=20').then(renderSignals),
+        rejections: () => api('/signals/rejected?limit=20').then(renderRejections)
+    };
+
+    function refresh(sections = Object.keys(SECTIONS)) {
+        return Promise.all(sections.map(name => SECTIONS[name]().catch(error => {
+            if (error.message !== 'unauthorized') console.warn(`Dashboard: ${name} failed`, error);
+        })));
+    }
+
+    // Bursts of events (a fill closing several positions) collapse into one reload
+    function scheduleRefresh(sections) {
+        sections.forEach(name => state.pending.add(name));
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+            const pending = Array.from(state.pending);
+            state.pending.clear();
+            refresh(pending);
+        }, 300);
+    }
+
+    // Event stream
+
+    function connect() {
+        const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+        const socket = new WebSocket(`${protocol}://${location.host}${API}/stream?token=${encodeURIComponent(state.token)}`);
+        state.socket = socket;
+
+        socket.onopen = () => {
+            state.retry = 1000;
+            $('stream').textContent = 'en vivo';
+            $('stream').className = 'badge on';
+        };
+
+        socket.onmessage = (message) => {
+            const data = JSON.parse(message.data);
+            if (data.type === 'snapshot') {
+                renderStatus(data.data.status);
+                renderPositions(data.data.positions);
+                renderAlerts(data.data.alerts);
+            } else if (data.type === 'event') {
+                handleEvent(data);
+            }
+        };
+
+        socket.onclose = () => {
+            $('stream').textContent = 'stream desconectado';
+            $('stream').className = 'badge off';
+            if (state.socket !== socket || !state.token) return;
+
+            setTimeout(() => state.token && connect(), state.retry);
+            state.retry = Math.min(state.retry * 2, 30000);
+        };
+    }
+
+    function handleEvent({ event, data }) {
+        // Mark-to-market ticks carry everything needed for live PnL
+        if (event === 'portfolioUpdated') {
+            renderPositions(data.positions);
+            return;
+        }
+        if (REFRESH[event]) scheduleRefresh(REFRESH[event]);
+    }
+
+    // Session
+
+    function login(token) {
+        state.token = token;
+        localStorage.setItem(TOKEN_KEY, token);
+        $('login').hidden = true;
+        $('app').hidden = false;
+        refresh().then(() => state.token && connect());
+    }
+
+    function logout(message = '') {
+        state.token = null;
+        localStorage.removeItem(TOKEN_KEY);
+        if (state.socket) {
+            const socket = state.socket;
+            state.socket = null;
+            socket.close();
+        }
+        $('app').hidden = true;
+        $('login').hidden = false;
+        $('login-error').textContent = message;
+    }
+
+    $('login').addEventListener('submit', (event) => {
+        event.preventDefault();
+        login($('token').value.trim());
+    });
+
+    $('logout').addEventListener('click', () => logout());
+
+    $('toggle-pause').addEventListener('click', (event) => {
+        api(`/trading/${event.target.dataset.action}`, { method: 'POST' })
+            .then(() => refresh(['status']))
+            .catch(error => alert(error.message));
+    });
+
+    $('strategies').addEventListener('change', (event) => {
+        const name = event.target.dataset.strategy;
+        if (!name) return;
+
+        api(`/strategies/${encodeURIComponent(name)}`, { method: 'PATCH', body: JSON.stringify({ enabled: event.target.checked }) })
+            .then(() => refresh(['status']))
+            .catch(error => {
+                alert(error.message);
+                refresh(['strategies']);
+            });
+    });
+
+    if (state.token) login(state.token);
+    else logout();
+})();
@@ -0,0 +1,635 @@
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+class DatabaseManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.dbPath = config.path || process.env.DATABASE_PATH || './data/trading.db';
+        this.db = null;
+
+        // Schema migrations - append new entries, never edit applied ones
+        this.migrations = [
+            {
+                version: 1,
+                name: 'initial_schema',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS positions (
+                        id TEXT PRIMARY KEY,
+                        symbol TEXT NOT NULL,
+                        strategy TEXT,
+                        side TEXT NOT NULL,
+                        status TEXT NOT NULL,
+                        entry_price REAL,
+                        size REAL,
+                        stop_loss REAL,
+                        take_profit REAL,
+                        close_price REAL,
+                        realized_pnl REAL,
+                        close_reason TEXT,
+                        opened_at TEXT,
+                        closed_at TEXT,
+                        data TEXT NOT NULL,
+                        updated_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_positions_status ON positions (status)',
+                    `CREATE TABLE IF NOT EXISTS signals (
+                        id TEXT PRIMARY KEY,
+                        source TEXT NOT NULL,
+                        symbol TEXT,
+                        action TEXT,
+                        strategy TEXT,
+                        timeframe TEXT,
+                        payload TEXT NOT NULL,
+                        received_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_signals_received_at ON signals (received_at)',
+                    `CREATE TABLE IF NOT EXISTS quantfury_alerts (
+                        id TEXT PRIMARY KEY,
+                        instrument TEXT NOT NULL,
+                        action TEXT,
+                        price REAL,
+                        stop_loss REAL,
+                        take_profit REAL,
+                        status TEXT NOT NULL,
+                        data TEXT NOT NULL,
+                        created_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_quantfury_alerts_status ON quantfury_alerts (status)'
+                ]
+            },
+            {
+                version: 2,
+                name: 'orders',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS orders (
+                        id TEXT PRIMARY KEY,
+                        exchange_order_id TEXT,
+                        exchange TEXT,
+                        position_id TEXT,
+                        role TEXT,
+                        symbol TEXT NOT NULL,
+                        side TEXT NOT NULL,
+                        type TEXT NOT NULL,
+                        amount REAL,
+                        filled REAL,
+                        average REAL,
+                        status TEXT NOT NULL,
+                        data TEXT NOT NULL,
+                        created_at TEXT NOT NULL,
+                        updated_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_orders_status ON orders (status)',
+                    'CREATE INDEX IF NOT EXISTS idx_orders_position_id ON orders (position_id)'
+                ]
+            },
+            {
+                version: 3,
+                name: 'risk_trips',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS risk_trips (
+                        id TEXT PRIMARY KEY,
+                        reason TEXT NOT NULL,
+                        data TEXT NOT NULL,
+                        tripped_at TEXT NOT NULL,
+                        rearmed_at TEXT,
+                        rearmed_by TEXT
+                    )`
+                ]
+            },
+            {
+                version: 4,
+                name: 'candles',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS candles (
+                        symbol TEXT NOT NULL,
+                        timeframe TEXT NOT NULL,
+                        timestamp INTEGER NOT NULL,
+                        open REAL NOT NULL,
+                        high REAL NOT NULL,
+                        low REAL NOT NULL,
+                        close REAL NOT NULL,
+                        volume REAL,
+                        PRIMARY KEY (symbol, timeframe, timestamp)
+                    )`
+                ]
+            },
+            {
+                version: 5,
+                name: 'signal_rejections',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS signal_rejections (
+                        signal_id TEXT PRIMARY KEY,
+                        symbol TEXT,
+                        schema_name TEXT NOT NULL,
+                        data TEXT NOT NULL,
+                        rejected_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_signal_rejections_rejected_at ON signal_rejections (rejected_at)'
+                ]
+            },
+            {
+                version: 6,
+                name: 'dead_letters',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS dead_letters (
+                        id TEXT PRIMARY KEY,
+                        status TEXT NOT NULL,
+                        reason TEXT NOT NULL,
+                        symbol TEXT,
+                        data TEXT NOT NULL,
+                        created_at TEXT NOT NULL,
+                        updated_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_dead_letters_status ON dead_letters (status)'
+                ]
+            },
+            {
+                version: 7,
+                name: 'risk_guard_state',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS risk_guard_state (
+                        id TEXT PRIMARY KEY,
+                        data TEXT NOT NULL,
+                        updated_at TEXT NOT NULL
+                    )`
+                ]
+            },
+            {
+                version: 8,
+                name: 'quantfury_executions',
+                statements: [
+                    `CREATE TABLE IF NOT EXISTS quantfury_executions (
+                        id TEXT PRIMARY KEY,
+                        alert_id TEXT,
+                        symbol TEXT NOT NULL,
+                        side TEXT,
+                        status TEXT NOT NULL,
+                        realized_pnl REAL,
+                        data TEXT NOT NULL,
+                        opened_at TEXT NOT NULL,
+                        closed_at TEXT,
+                        updated_at TEXT NOT NULL
+                    )`,
+                    'CREATE INDEX IF NOT EXISTS idx_quantfury_executions_status ON quantfury_executions (status)'
+                ]
+            }
+        ];
+    }
+
+    async initialize() {
+        try {
+            console.log(`🗄️ Opening database at ${this.dbPath}`);
+
+            if (this.dbPath !== ':memory:') {
+                fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+            }
+
+            await this.open();
+            await this.run('PRAGMA journal_mode = WAL');
+            await this.runMigrations();
+
+            console.log('✅ Database ready');
+            return true;
+
+        } catch (error) {
+            console.error('❌ Failed to initialize database:', error);
+            throw error;
+        }
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) return reject(err);
+
+                // Execute statements in issue order so later upserts of the same row win
+                this.db.serialize();
+                resolve(this.db);
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            if (!this.db) return resolve();
+
+            this.db.close((err) => {
+                if (err) return reject(err);
+                this.db = null;
+                console.log('🗄️ Database closed');
+                resolve();
+            });
+        });
+    }
+
+    isOpen() {
+        return this.db !== null;
+    }
+
+    // Round trip to SQLite, not just the handle: a locked or broken file fails here
+    async healthCheck() {
+        if (!this.isOpen()) return { status: 'disconnected' };
+
+        const started = Date.now();
+        try {
+            await this.get('SELECT 1');
+            return { status: 'connected', latencyMs: Date.now() - started };
+        } catch (error) {
+            return { status: 'error', error: error.message };
+        }
+    }
+
+    // Promise wrappers around the sqlite3 callback API
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Migrations
+    async runMigrations() {
+        await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )`);
+
+        const applied = await this.all('SELECT version FROM schema_migrations');
+        const appliedVersions = new Set(applied.map(row => row.version));
+
+        for (const migration of this.migrations) {
+            if (appliedVersions.has(migration.version)) continue;
+
+            try {
+                await this.run('BEGIN');
+                for (const statement of migration.statements) {
+                    await this.run(statement);
+                }
+                await this.run(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date().toISOString()]
+                );
+                await this.run('COMMIT');
+                console.log(`🗄️ Migration ${migration.version} (${migration.name}) applied`);
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        }
+    }
+
+    async getSchemaVersion() {
+        const row = await this.get('SELECT MAX(version) AS version FROM schema_migrations');
+        return row?.version || 0;
+    }
+
+    // Positions & closed trades
+    async savePosition(position) {
+        const now = new Date().toISOString();
+
+        await this.run(
+            `INSERT INTO positions (
+                id, symbol, strategy, side, status, entry_price, size, stop_loss, take_profit,
+                close_price, realized_pnl, close_reason, opened_at, closed_at, data, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                status = excluded.status,
+                entry_price = excluded.entry_price,
+                size = excluded.size,
+                stop_loss = excluded.stop_loss,
+                take_profit = excluded.take_profit,
+                close_price = excluded.close_price,
+                realized_pnl = excluded.realized_pnl,
+                close_reason = excluded.close_reason,
+                closed_at = excluded.closed_at,
+                data = excluded.data,
+                updated_at = excluded.updated_at`,
+            [
+                position.id,
+                position.symbol,
+                position.strategy || null,
+                position.side,
+                position.status,
+                position.entryPrice,
+                position.size,
+                position.stopLoss ?? null,
+                position.takeProfit ?? null,
+                position.closePrice ?? null,
+                position.realizedPnL ?? null,
+                position.reason || null,
+                this.toISO(position.timestamp),
+                this.toISO(position.closeTimestamp),
+                JSON.stringify(position),
+                now
+            ]
+        );
+    }
+
+    async saveClosedTrade(trade) {
+        await this.savePosition({ ...trade, status: 'closed' });
+    }
+
+    async loadOpenPositions() {
+        const rows = await this.all(
+            "SELECT data FROM positions WHERE status = 'open' ORDER BY opened_at ASC"
+        );
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async loadClosedTrades(limit = null) {
+        const rows = limit
+            ? await this.all(
+                "SELECT data FROM (SELECT data, closed_at FROM positions WHERE status = 'closed' ORDER BY closed_at DESC LIMIT ?) ORDER BY closed_at ASC",
+                [limit]
+            )
+            : await this.all("SELECT data FROM positions WHERE status = 'closed' ORDER BY closed_at ASC");
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Webhook signals
+    async saveSignal(signal, source = 'tradingview') {
+        await this.run(
+            `INSERT OR REPLACE INTO signals (id, source, symbol, action, strategy, timeframe, payload, received_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                signal.id,
+                source,
+                signal.symbol || null,
+                signal.action || null,
+                signal.strategy || null,
+                signal.timeframe || null,
+                JSON.stringify(signal),
+                this.toISO(signal.timestamp) || new Date().toISOString()
+            ]
+        );
+    }
+
+    async loadRecentSignals(limit = 50) {
+        const rows = await this.all(
+            'SELECT payload FROM signals ORDER BY received_at DESC LIMIT ?',
+            [limit]
+        );
+        return rows.map(row => JSON.parse(row.payload));
+    }
+
+    // Webhook schema rejections
+    async saveSignalRejection(rejection) {
+        await this.run(
+            `INSERT OR REPLACE INTO signal_rejections (signal_id, symbol, schema_name, data, rejected_at)
+            VALUES (?, ?, ?, ?, ?)`,
+            [
+                rejection.signalId,
+                rejection.symbol || null,
+                rejection.schema,
+                JSON.stringify(rejection),
+                this.toISO(rejection.rejectedAt)
+            ]
+        );
+    }
+
+    async loadSignalRejections(limit = 50) {
+        const rows = await this.all(
+            'SELECT data FROM signal_rejections ORDER BY rejected_at DESC LIMIT ?',
+            [limit]
+        );
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Dead letters (resolved, discarded and expired rows are kept for the audit trail)
+    async saveDeadLetter(entry) {
+        await this.run(
+            `INSERT INTO dead_letters (id, status, reason, symbol, data, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                status = excluded.status,
+                reason = excluded.reason,
+                data = excluded.data,
+                updated_at = excluded.updated_at`,
+            [
+                entry.id,
+                entry.status,
+                entry.reason,
+                entry.symbol || null,
+                JSON.stringify(entry),
+                this.toISO(entry.createdAt),
+                this.toISO(entry.updatedAt)
+            ]
+        );
+    }
+
+    async loadOpenDeadLetters() {
+        const rows = await this.all(
+            `SELECT data FROM dead_letters WHERE status NOT IN ('resolved', 'discarded', 'expired') ORDER BY created_at ASC`
+        );
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Quantfury alerts (active, executed or expired)
+    async saveQuantfuryAlert(alert) {
+        await this.run(
+            `INSERT INTO quantfury_alerts (id, instrument, action, price, stop_loss, take_profit, status, data, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data`,
+            [
+                alert.id,
+                alert.instrument,
+                alert.action || null,
+                alert.price ?? null,
+                alert.stopLoss ?? null,
+                alert.takeProfit ?? null,
+                alert.status || 'active',
+                JSON.stringify(alert),
+                this.toISO(alert.timestamp) || new Date().toISOString()
+            ]
+        );
+    }
+
+    async loadQuantfuryAlerts(status = 'active') {
+        const rows = await this.all(
+            'SELECT data FROM quantfury_alerts WHERE status = ? ORDER BY created_at ASC',
+            [status]
+        );
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Simulated Quantfury executions; they rebuild the virtual portfolio on startup
+    async saveQuantfuryExecution(execution) {
+        await this.run(
+            `INSERT INTO quantfury_executions (id, alert_id, symbol, side, status, realized_pnl, data, opened_at, closed_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                status = excluded.status,
+                realized_pnl = excluded.realized_pnl,
+                data = excluded.data,
+                closed_at = excluded.closed_at,
+                updated_at = excluded.updated_at`,
+            [
+                execution.id,
+                execution.alertId || null,
+                execution.symbol,
+                execution.side || null,
+                execution.status,
+                execution.realizedPnL ?? null,
+                JSON.stringify(execution),
+                this.toISO(execution.timestamp) || new Date().toISOString(),
+                this.toISO(execution.closeTime),
+                new Date().toISOString()
+            ]
+        );
+    }
+
+    async loadQuantfuryExecutions() {
+        const rows = await this.all('SELECT data FROM quantfury_executions ORDER BY opened_at ASC');
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Orders
+    async saveOrder(order) {
+        await this.run(
+            `INSERT INTO orders (
+                id, exchange_order_id, exchange, position_id, role, symbol, side, type,
+                amount, filled, average, status, data, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                exchange_order_id = excluded.exchange_order_id,
+                position_id = excluded.position_id,
+                filled = excluded.filled,
+                average = excluded.average,
+                status = excluded.status,
+                data = excluded.data,
+                updated_at = excluded.updated_at`,
+            [
+                order.id,
+                order.exchangeOrderId || null,
+                order.exchange || null,
+                order.positionId || null,
+                order.role || null,
+                order.symbol,
+                order.side,
+                order.type,
+                order.amount,
+                order.filled ?? 0,
+                order.average ?? null,
+                order.status,
+                JSON.stringify(order),
+                this.toISO(order.createdAt) || new Date().toISOString(),
+                this.toISO(order.updatedAt) || new Date().toISOString()
+            ]
+        );
+    }
+
+    async loadActiveOrders() {
+        const rows = await this.all(
+            "SELECT data FROM orders WHERE status IN ('new', 'unknown', 'submitted', 'partially_filled') ORDER BY created_at ASC"
+        );
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async loadOrdersForPosition(positionId) {
+        const rows = await this.all(
+            'SELECT data FROM orders WHERE position_id = ? ORDER BY created_at ASC',
+            [positionId]
+        );
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Risk guard trips
+    async saveRiskTrip(trip) {
+        await this.run(
+            `INSERT INTO risk_trips (id, reason, data, tripped_at, rearmed_at, rearmed_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                data = excluded.data,
+                rearmed_at = excluded.rearmed_at,
+                rearmed_by = excluded.rearmed_by`,
+            [
+                trip.id,
+                trip.reason,
+                JSON.stringify(trip),
+                this.toISO(trip.trippedAt),
+                this.toISO(trip.rearmedAt),
+                trip.rearmedBy || null
+            ]
+        );
+    }
+
+    async loadRiskTrips() {
+        const rows = await this.all('SELECT data FROM risk_trips ORDER BY tripped_at ASC');
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Single row: equity peak, start-of-day equity and losing streak
+    async saveRiskGuardState(state) {
+        await this.run(
+            `INSERT OR REPLACE INTO risk_guard_state (id, data, updated_at) VALUES ('risk_guard', ?, ?)`,
+            [JSON.stringify(state), new Date().toISOString()]
+        );
+    }
+
+    async loadRiskGuardState() {
+        const row = await this.get("SELECT data FROM risk_guard_state WHERE id = 'risk_guard'");
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    // Candles
+    async saveCandle(symbol, timeframe, bar) {
+        await this.run(
+            `INSERT INTO candles (symbol, timeframe, timestamp, open, high, low, close, volume)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(symbol, timeframe, timestamp) DO UPDATE SET
+                high = excluded.high,
+                low = excluded.low,
+                close = excluded.close,
+                volume = excluded.volume`,
+            [symbol, timeframe, bar.timestamp, bar.open, bar.high, bar.low, bar.close, bar.volume ?? null]
+        );
+    }
+
+    async loadCandles(symbol, timeframe, limit = 500) {
+        // Most recent `limit` bars, returned oldest first
+        const rows = await this.all(
+            `SELECT timestamp, open, high, low, close, volume FROM candles
+            WHERE symbol = ? AND timeframe = ?
+            ORDER BY timestamp DESC LIMIT ?`,
+            [symbol, timeframe, limit]
+        );
+        return rows.reverse();
+    }
+
+    async loadCandleSymbols(timeframe) {
+        const rows = await this.all('SELECT DISTINCT symbol FROM candles WHERE timeframe = ?', [timeframe]);
+        return rows.map(row => row.symbol);
+    }
+
+    // Utilities
+    toISO(value) {
+        if (value === undefined || value === null) return null;
+        const date = typeof value === 'number' ? new Date(value) : new Date(value.valueOf());
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+module.exports = DatabaseManager;
@@ -1,5 +1,9 @@
 const ccxt = require('ccxt');
 const EventEmitter = require('events');
+const PaperExchange = require('./PaperExchange');
+const InstrumentRegistry = require('../instruments/InstrumentRegistry');
+const SymbolMapper = require('../instruments/SymbolMapper');
+const MetricsRegistry = require('../metrics/MetricsRegistry');
 
 class ExchangeManager extends EventEmitter {
     constructor(config = {}) {
@@ -7,26 +11,35 @@ class ExchangeManager extends EventEmitter {
         this.exchanges = new Map();
         this.config = config;
         this.activeExchange = null;
+        this.instrumentRegistry = config.instrumentRegistry || InstrumentRegistry.getDefault();
+        this.symbolMapper = config.symbolMapper || new SymbolMapper({ registry: this.instrumentRegistry });
         
         // Exchange configurations
         this.exchangeConfigs = {
             binance: {
                 id: 'binance',
                 name: 'Binance',
-                fees: { trading: { taker: 0.001, maker: 0.001 } },
-                minOrderSize: { BTC: 0.00001, ETH: 0.0001, USDT: 10 }
+                fees: { trading: { taker: 0.001, maker: 0.001 } }
             },
             bybit: {
                 id: 'bybit',
                 name: 'Bybit',
-                fees: { trading: { taker: 0.0006, maker: 0.0001 } },
-                minOrderSize: { BTC: 0.00001, ETH: 0.0001, USDT: 1 }
+                fees: { trading: { taker: 0.0006, maker: 0.0001 } }
             }
         };
         
         this.orderHistory = [];
         this.balances = {};
         this.openOrders = new Map();
+        this.monitoringTimers = [];
+        this.orderCheckInterval = config.orderCheckInterval || 10000;
+        
+        // Bracket (entry + SL + TP) groups, keyed by group id
+        this.ocoGroups = new Map();
+
+        // Failed venue requests by exchange, operation and error class
+        this.apiErrors = (config.metrics || new MetricsRegistry())
+            .counter('exchange_api_errors_total', 'Failed exchange API requests', ['exchange', 'operation', 'error']);
     }
 
     async initialize() {
@@ -43,6 +56,16 @@ class ExchangeManager extends EventEmitter {
                 await this.initializeBybit();
             }
             
+            // Pre-built ccxt-compatible instances (custom venues, local mocks)
+            for (const [id, exchange] of Object.entries(this.config.instances || {})) {
+                await this.registerExchange(id, exchange);
+            }
+            
+            // Initialize simulated venue
+            if (this.config.paper) {
+                await this.initializePaper();
+            }
+            
             // Set primary exchange
             this.setPrimaryExchange();
             
@@ -113,6 +136,24 @@ class ExchangeManager extends EventEmitter {
         }
     }
 
+    async registerExchange(id, exchange) {
+        await exchange.loadMarkets();
+        this.exchanges.set(id, exchange);
+        console.log(`✅ Exchange ${id} registered`);
+
+        return exchange;
+    }
+
+    async initializePaper() {
+        const paper = new PaperExchange(this.config.paper === true ? {} : this.config.paper);
+        await paper.loadMarkets();
+
+        this.exchanges.set('paper', paper);
+        console.log('✅ Paper exchange initialized');
+
+        return paper;
+    }
+
     setPrimaryExchange() {
         // Set primary exchange based on availability and preference
         if (this.exchanges.has('binance')) {
@@ -121,6 +162,13 @@ class ExchangeManager extends EventEmitter {
         } else if (this.exchanges.has('bybit')) {
             this.activeExchange = this.exchanges.get('bybit');
             console.log('🎯 Primary exchange: Bybit');
+        } else if (Object.keys(this.config.instances || {}).length > 0) {
+            const id = Object.keys(this.config.instances)[0];
+            this.activeExchange = this.exchanges.get(id);
+            console.log(`🎯 Primary exchange: ${id}`);
+        } else if (this.exchanges.has('paper')) {
+            this.activeExchange = this.exchanges.get('paper');
+            console.log('🎯 Primary exchange: Paper');
         } else {
             console.warn('⚠️ No exchanges available');
         }
@@ -141,10 +189,10 @@ class ExchangeManager extends EventEmitter {
             }
 
             // Execute order
-            const order = await this.activeExchange.createMarketOrder(symbol, side, amount, undefined, {
-                ...params,
+            const order = await this.callExchange('createMarketOrder', () => this.activeExchange.createMarketOrder(this.toVenueSymbol(symbol), side, amount, undefined, {
+                ...this.venueParams(symbol, params),
                 timestamp: Date.now()
-            });
+            }));
 
             // Store order
             this.openOrders.set(order.id, {
@@ -182,10 +230,10 @@ class ExchangeManager extends EventEmitter {
             }
 
             // Execute order
-            const order = await this.activeExchange.createLimitOrder(symbol, side, amount, price, {
-                ...params,
+            const order = await this.callExchange('createLimitOrder', () => this.activeExchange.createLimitOrder(this.toVenueSymbol(symbol), side, amount, price, {
+                ...this.venueParams(symbol, params),
                 timestamp: Date.now()
-            });
+            }));
 
             // Store order
             this.openOrders.set(order.id, {
@@ -217,10 +265,10 @@ class ExchangeManager extends EventEmitter {
 
             console.log(`🛑 Creating stop-loss: ${amount} ${symbol} @ ${stopPrice}`);
 
-            const order = await this.activeExchange.createOrder(symbol, 'stop_market', side, amount, undefined, {
+            const order = await this.callExchange('createOrder', () => this.activeExchange.createOrder(this.toVenueSymbol(symbol), 'stop_market', side, amount, undefined, {
                 stopPrice: stopPrice,
-                ...params
-            });
+                ...this.venueParams(symbol, params)
+            }));
 
             this.openOrders.set(order.id, {
                 ...order,
@@ -247,7 +295,7 @@ class ExchangeManager extends EventEmitter {
                 throw new Error('No active exchange configured');
             }
 
-            const order = await this.activeExchange.cancelOrder(orderId, symbol);
+            const order = await this.callExchange('cancelOrder', () => this.activeExchange.cancelOrder(orderId, this.toVenueSymbol(symbol)));
             this.openOrders.delete(orderId);
             
             console.log(`❌ Order cancelled: ${orderId}`);
@@ -261,6 +309,284 @@ class ExchangeManager extends EventEmitter {
         }
     }
 
+    async fetchOrder(orderId, symbol) {
+        if (!this.activeExchange) {
+            throw new Error('No active exchange configured');
+        }
+
+        return await this.callExchange('fetchOrder', () => this.activeExchange.fetchOrder(orderId, this.toVenueSymbol(symbol)));
+    }
+
+    // ccxt maps clientOrderId to each venue's own field (origClientOrderId, orderLinkId, ...)
+    async fetchOrderByClientId(clientOrderId, symbol) {
+        if (!this.activeExchange) {
+            throw new Error('No active exchange configured');
+        }
+
+        return await this.callExchange('fetchOrder', () => this.activeExchange.fetchOrder(undefined, this.toVenueSymbol(symbol), { clientOrderId }));
+    }
+
+    async fetchOpenOrders(symbol = undefined) {
+        if (!this.activeExchange) {
+            throw new Error('No active exchange configured');
+        }
+
+        return await this.callExchange('fetchOpenOrders', () => this.activeExchange.fetchOpenOrders(this.toVenueSymbol(symbol)));
+    }
+
+    // Bracket / OCO orders
+    async createBracketOrder(symbol, side, amount, { type = 'market', price, stopLoss, takeProfit, params = {} } = {}) {
+        if (!this.activeExchange) {
+            throw new Error('No active exchange configured');
+        }
+
+        this.validateBracketLevels(side, price ?? await this.getCurrentPrice(symbol), stopLoss, takeProfit);
+
+        const group = {
+            id: `oco_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            exchange: this.activeExchange.id,
+            symbol,
+            side,
+            amount,
+            stopLoss,
+            takeProfit,
+            mode: this.activeExchange.has?.createOrderWithTakeProfitAndStopLoss ? 'native' : 'emulated',
+            status: 'pending_entry',
+            entryOrderId: null,
+            stopOrderId: null,
+            takeProfitOrderId: null,
+            legMode: null, // Emulated legs: 'reduce_only', 'oco' (spot) or 'stop_only'
+            filledAmount: 0,
+            exitReason: null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        console.log(`🎯 Creating ${group.mode} bracket: ${side} ${amount} ${symbol} SL ${stopLoss} TP ${takeProfit}`);
+
+        let entry;
+        if (group.mode === 'native') {
+            // The venue attaches both legs and cancels the sibling itself
+            entry = await this.callExchange('createOrderWithTakeProfitAndStopLoss', () => this.activeExchange.createOrderWithTakeProfitAndStopLoss(
+                this.toVenueSymbol(symbol), type, side, amount, price, takeProfit, stopLoss, params
+            ));
+            this.openOrders.set(entry.id, { ...entry, exchange: this.activeExchange.id, timestamp: Date.now(), status: 'open' });
+            this.orderHistory.push(entry);
+        } else if (type === 'limit') {
+            entry = await this.createLimitOrder(symbol, side, amount, price, params);
+        } else {
+            entry = await this.createMarketOrder(symbol, side, amount, params);
+        }
+
+        group.entryOrderId = entry.id;
+        this.ocoGroups.set(group.id, group);
+        this.emit('bracketCreated', group);
+
+        // Market entries are often filled in the create response
+        await this.processBracketUpdate(entry);
+
+        return group;
+    }
+
+    validateBracketLevels(side, referencePrice, stopLoss, takeProfit) {
+        if (!Number.isFinite(stopLoss) || !Number.isFinite(takeProfit)) {
+            throw new Error('Bracket orders require numeric stopLoss and takeProfit');
+        }
+
+        const valid = side === 'buy'
+            ? stopLoss < referencePrice && takeProfit > referencePrice
+            : stopLoss > referencePrice && takeProfit < referencePrice;
+
+        if (referencePrice && !valid) {
+            throw new Error(`Invalid bracket for ${side} @ ${referencePrice}: SL ${stopLoss} / TP ${takeProfit}`);
+        }
+    }
+
+    async processBracketUpdate(order) {
+        const group = this.findBracketByOrder(order.id);
+        if (!group || group.status === 'completed' || group.status === 'canceled') return;
+
+        const isDone = order.status === 'closed' || order.status === 'filled';
+        const isDead = ['canceled', 'expired', 'rejected'].includes(order.status);
+
+        if (order.id === group.entryOrderId) {
+            // The entry can be reported by more than one poller; legs go out once
+            if (group.status !== 'pending_entry') return;
+
+            if (isDone || (isDead && order.filled > 0)) {
+                group.filledAmount = order.filled || group.amount;
+
+                if (group.mode === 'native') {
+                    this.updateBracket(group, 'active');
+                } else {
+                    await this.placeBracketLegs(group);
+                }
+            } else if (isDead) {
+                this.updateBracket(group, 'canceled', { exitReason: `entry_${order.status}` });
+            }
+            return;
+        }
+
+        // Emulated OCO: a filled leg cancels its sibling (a venue OCO list does that itself)
+        if (isDone) {
+            const isStop = order.id === group.stopOrderId;
+            const siblingId = isStop ? group.takeProfitOrderId : group.stopOrderId;
+
+            if (siblingId && group.legMode !== 'oco') {
+                try {
+                    await this.cancelOrder(siblingId, group.symbol);
+                } catch (error) {
+                    console.error(`❌ Failed to cancel OCO sibling ${siblingId}:`, error.message);
+                }
+            }
+
+            this.updateBracket(group, 'completed', {
+                exitReason: isStop ? 'stop_loss' : 'take_profit',
+                exitPrice: order.average || order.price
+            });
+        } else if (isDead) {
+            // A leg vanished without filling - the position is no longer fully protected
+            console.warn(`⚠️ Bracket ${group.id} leg ${order.id} ${order.status}`);
+            this.emit('bracketLegLost', { group, order });
+        }
+    }
+
+    async placeBracketLegs(group) {
+        const exitSide = group.side === 'buy' ? 'sell' : 'buy';
+
+        try {
+            // Two resting spot sells would each reserve the full base balance
+            if (this.isSpotMarket(group.symbol)) {
+                await this.placeSpotBracketLegs(group, exitSide);
+                return;
+            }
+
+            const stopOrder = await this.createStopLossOrder(group.symbol, exitSide, group.filledAmount, group.stopLoss, { reduceOnly: true });
+
+            // A refused take profit still leaves the position protected by its stop
+            let takeProfitOrder = null;
+            try {
+                takeProfitOrder = await this.createLimitOrder(group.symbol, exitSide, group.filledAmount, group.takeProfit, { reduceOnly: true });
+            } catch (error) {
+                console.warn(`⚠️ Take profit leg refused for ${group.id}, keeping the stop only:`, error.message);
+            }
+
+            this.updateBracket(group, 'active', {
+                stopOrderId: stopOrder.id,
+                takeProfitOrderId: takeProfitOrder?.id || null,
+                legMode: takeProfitOrder ? 'reduce_only' : 'stop_only'
+            });
+
+        } catch (error) {
+            console.error(`❌ Failed to place bracket legs for ${group.id}:`, error.message);
+            this.updateBracket(group, 'unprotected', { error: error.message });
+            this.emit('bracketError', { group, error });
+        }
+    }
+
+    async placeSpotBracketLegs(group, exitSide) {
+        const exchange = this.activeExchange;
+
+        if (exchange.id !== 'binance') {
+            // No OCO list on this venue: protect the downside, the take profit is watched locally
+            const stopOrder = await this.createStopLossOrder(group.symbol, exitSide, group.filledAmount, group.stopLoss);
+            this.updateBracket(group, 'active', { stopOrderId: stopOrder.id, legMode: 'stop_only' });
+            return;
+        }
+
+        // Binance spot OCO: one list sharing the balance, the venue cancels the other leg
+        const symbol = this.toVenueSymbol(group.symbol);
+        const takeProfit = exchange.priceToPrecision(symbol, group.takeProfit);
+        const stopPrice = exchange.priceToPrecision(symbol, group.stopLoss);
+        // Selling, the take profit rests above the market and the stop below; buying mirrors it
+        const legs = exitSide === 'sell'
+            ? { aboveType: 'LIMIT_MAKER', abovePrice: takeProfit, belowType: 'STOP_LOSS', belowStopPrice: stopPrice }
+            : { aboveType: 'STOP_LOSS', aboveStopPrice: stopPrice, belowType: 'LIMIT_MAKER', belowPrice: takeProfit };
+
+        const response = await this.callExchange('createOcoOrder', () => exchange.privatePostOrderListOco({
+            symbol: exchange.market(symbol).id,
+            side: exitSide.toUpperCase(),
+            quantity: exchange.amountToPrecision(symbol, group.filledAmount),
+            ...legs
+        }));
+
+        const reports = response.orderReports || [];
+        const takeProfitReport = reports.find(report => report.type === 'LIMIT_MAKER');
+        const stopReport = reports.find(report => report !== takeProfitReport);
+        if (!takeProfitReport || !stopReport) {
+            throw new Error(`Unexpected OCO response for ${group.symbol}: ${JSON.stringify(response)}`);
+        }
+
+        for (const report of [stopReport, takeProfitReport]) {
+            this.openOrders.set(String(report.orderId), { id: String(report.orderId), symbol, exchange: exchange.id, timestamp: Date.now(), status: 'open' });
+        }
+
+        this.updateBracket(group, 'active', {
+            stopOrderId: String(stopReport.orderId),
+            takeProfitOrderId: String(takeProfitReport.orderId),
+            ocoListId: String(response.orderListId),
+            legMode: 'oco'
+        });
+    }
+
+    async cancelBracketOrder(groupId) {
+        const group = this.ocoGroups.get(groupId);
+        if (!group) throw new Error(`Bracket ${groupId} not found`);
+
+        const orderIds = [group.entryOrderId, group.stopOrderId, group.takeProfitOrderId]
+            .filter(orderId => orderId && this.openOrders.has(orderId));
+
+        for (const orderId of orderIds) {
+            try {
+                await this.cancelOrder(orderId, group.symbol);
+            } catch (error) {
+                console.error(`❌ Failed to cancel bracket order ${orderId}:`, error.message);
+            }
+        }
+
+        this.updateBracket(group, 'canceled', { exitReason: 'manual_cancel' });
+        return group;
+    }
+
+    // A trailed or resized stop takes over from the leg the emulated OCO watches. Canceling
+    // one leg of a venue OCO list cancels the whole list, so only the new stop is left
+    replaceBracketStop(groupId, orderId) {
+        const group = this.ocoGroups.get(groupId);
+        if (!group) return null;
+
+        if (group.legMode === 'oco') {
+            Object.assign(group, { takeProfitOrderId: null, legMode: 'stop_only' });
+        }
+        Object.assign(group, { stopOrderId: orderId, updatedAt: Date.now() });
+        return group;
+    }
+
+    updateBracket(group, status, changes = {}) {
+        Object.assign(group, changes, { status, updatedAt: Date.now() });
+
+        const events = {
+            active: 'bracketActive',
+            completed: 'bracketCompleted',
+            canceled: 'bracketCanceled',
+            unprotected: 'bracketUnprotected'
+        };
+        this.emit(events[status], group);
+        console.log(`🎯 Bracket ${group.id} ${status}${group.exitReason ? ` (${group.exitReason})` : ''}`);
+    }
+
+    findBracketByOrder(orderId) {
+        for (const group of this.ocoGroups.values()) {
+            if ([group.entryOrderId, group.stopOrderId, group.takeProfitOrderId].includes(orderId)) {
+                return group;
+            }
+        }
+        return null;
+    }
+
+    getBracketOrder(groupId) {
+        return this.ocoGroups.get(groupId) || null;
+    }
+
     // Market Data
     async getCurrentPrice(symbol) {
         try {
@@ -268,7 +594,7 @@ class ExchangeManager extends EventEmitter {
                 throw new Error('No active exchange configured');
             }
 
-            const ticker = await this.activeExchange.fetchTicker(symbol);
+            const ticker = await this.callExchange('fetchTicker', () => this.activeExchange.fetchTicker(this.toVenueSymbol(symbol)));
             return ticker.last;
             
         } catch (error) {
@@ -283,7 +609,7 @@ class ExchangeManager extends EventEmitter {
                 throw new Error('No active exchange configured');
             }
 
-            return await this.activeExchange.fetchOrderBook(symbol, limit);
+            return await this.callExchange('fetchOrderBook', () => this.activeExchange.fetchOrderBook(this.toVenueSymbol(symbol), limit));
             
         } catch (error) {
             console.error(`❌ Failed to get order book for ${symbol}:`, error.message);
@@ -297,7 +623,7 @@ class ExchangeManager extends EventEmitter {
                 throw new Error('No active exchange configured');
             }
 
-            return await this.activeExchange.fetchOHLCV(symbol, timeframe, undefined, limit);
+            return await this.callExchange('fetchOHLCV', () => this.activeExchange.fetchOHLCV(this.toVenueSymbol(symbol), timeframe, undefined, limit));
             
         } catch (error) {
             console.error(`❌ Failed to get klines for ${symbol}:`, error.message);
@@ -312,7 +638,7 @@ class ExchangeManager extends EventEmitter {
                 throw new Error('No active exchange configured');
             }
 
-            const balance = await this.activeExchange.fetchBalance();
+            const balance = await this.callExchange('fetchBalance', () => this.activeExchange.fetchBalance());
             this.balances = balance;
             
             this.emit('balanceUpdated', balance);
@@ -342,7 +668,7 @@ class ExchangeManager extends EventEmitter {
         
         for (const [orderId, orderInfo] of this.openOrders) {
             try {
-                const order = await this.activeExchange.fetchOrder(orderId, orderInfo.symbol);
+                const order = await this.callExchange('fetchOrder', () => this.activeExchange.fetchOrder(orderId, orderInfo.symbol));
                 
                 if (order.status === 'closed' || order.status === 'filled') {
                     this.openOrders.delete(orderId);
@@ -352,8 +678,13 @@ class ExchangeManager extends EventEmitter {
                     this.openOrders.delete(orderId);
                     this.emit('orderCancelled', order);
                     console.log(`❌ Order cancelled: ${orderId}`);
+                } else if (order.status === 'expired' || order.status === 'rejected') {
+                    this.openOrders.delete(orderId);
+                    this.emit('orderCancelled', order);
+                    console.log(`⌛ Order ${order.status}: ${orderId}`);
                 }
                 
+                await this.processBracketUpdate(order);
                 updatedOrders.push(order);
                 
             } catch (error) {
@@ -366,21 +697,57 @@ class ExchangeManager extends EventEmitter {
 
     startBalanceMonitoring() {
         // Update balances every 30 seconds
-        setInterval(async () => {
+        this.monitoringTimers.push(setInterval(async () => {
             await this.updateBalances();
-        }, 30000);
+        }, 30000));
 
-        // Check open orders every 10 seconds
-        setInterval(async () => {
+        // Check open orders (default every 10 seconds)
+        this.monitoringTimers.push(setInterval(async () => {
             await this.checkOpenOrders();
-        }, 10000);
+        }, this.orderCheckInterval));
+    }
+
+    // Every venue request goes through here so failures are counted for /metrics
+    async callExchange(operation, request) {
+        try {
+            return await request();
+        } catch (error) {
+            this.apiErrors.inc({
+                exchange: this.activeExchange?.id || 'unknown',
+                operation,
+                error: error.name || 'Error'
+            });
+            throw error;
+        }
+    }
+
+    // Catalog symbols (BTCUSD) -> the active venue's format (BTC/USDT)
+    toVenueSymbol(symbol) {
+        return symbol ? this.symbolMapper.toVenue(symbol, this.activeExchange?.id) : symbol;
+    }
+
+    // Spot when the venue market says so, otherwise the account's default market type
+    isSpotMarket(symbol) {
+        const market = this.activeExchange?.markets?.[this.toVenueSymbol(symbol)];
+        if (typeof market?.spot === 'boolean') return market.spot;
+        return this.activeExchange?.options?.defaultType === 'spot';
+    }
+
+    // reduceOnly only exists on margin/derivatives markets; spot venues reject it
+    venueParams(symbol, params) {
+        if (!params.reduceOnly || !this.isSpotMarket(symbol)) return params;
+
+        const { reduceOnly, ...spotParams } = params;
+        return spotParams;
     }
 
     // Validation
     validateOrderSize(symbol, amount) {
-        const baseAsset = symbol.split('/')[0];
-        const config = this.exchangeConfigs[this.activeExchange.id];
-        const minSize = config?.minOrderSize?.[baseAsset] || 0.00001;
+        // Minimum size per venue from the instrument catalog
+        const venue = this.activeExchange.id;
+        const canonical = this.instrumentRegistry.findByVenueSymbol(venue, symbol)
+            || (this.instrumentRegistry.has(symbol) ? symbol : null);
+        const minSize = (canonical && this.instrumentRegistry.getMinSize(canonical, venue)) || 0.00001;
         
         return amount >= minSize;
     }
@@ -486,20 +853,33 @@ class ExchangeManager extends EventEmitter {
     }
 
     // Cleanup
-    async shutdown() {
+    // Resting orders stay on the venue by default so live positions keep their protective
+    // stops across a restart; cancelOpenOrders pulls everything this process placed
+    async shutdown({ cancelOpenOrders = false } = {}) {
         console.log('🛑 Shutting down Exchange Manager...');
         
-        // Cancel all open orders
-        for (const [orderId, orderInfo] of this.openOrders) {
-            try {
-                await this.cancelOrder(orderId, orderInfo.symbol);
-            } catch (error) {
-                console.error(`❌ Failed to cancel order ${orderId}:`, error.message);
+        if (cancelOpenOrders) {
+            for (const [orderId, orderInfo] of this.openOrders) {
+                try {
+                    await this.cancelOrder(orderId, orderInfo.symbol);
+                } catch (error) {
+                    console.error(`❌ Failed to cancel order ${orderId}:`, error.message);
+                }
+            }
+        }
+        
+        this.monitoringTimers.forEach(timer => clearInterval(timer));
+        this.monitoringTimers = [];
+        
+        for (const exchange of this.exchanges.values()) {
+            if (typeof exchange.close === 'function') {
+                await exchange.close();
             }
         }
         
         this.exchanges.clear();
         this.openOrders.clear();
+        this.activeExchange = null;
         
         console.log('✅ Exchange Manager shutdown complete');
     }
@@ -0,0 +1,466 @@
+const EventEmitter = require('events');
+const ccxt = require('ccxt');
+const CandleLoader = require('../backtesting/CandleLoader');
+
+// Reference prices for the random walk when no replay file is configured
+const DEFAULT_BASE_PRICES = {
+    'XAUUSD': 2000, 'XAGUSD': 24, 'WTICRUD': 75,
+    'EURUSD': 1.08, 'GBPUSD': 1.27, 'USDJPY': 150, 'AUDUSD': 0.66, 'USDCAD': 1.36,
+    'BTCUSD': 45000, 'ETHUSD': 3000, 'ADAUSD': 0.5, 'DOTUSD': 8,
+    'AAPL': 190, 'TSLA': 240, 'GOOGL': 140, 'AMZN': 150, 'MSFT': 370
+};
+
+// Per-tick volatility (standard deviation as a fraction of price)
+const DEFAULT_VOLATILITY = {
+    forex: 0.00005,
+    metal: 0.0001,
+    commodity: 0.00015,
+    crypto: 0.0005,
+    stock: 0.0002
+};
+
+const OPEN_STATUSES = ['open'];
+
+// Simulated venue exposing the subset of the ccxt exchange API that ExchangeManager uses
+class PaperExchange extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.id = 'paper';
+        this.name = 'Paper Exchange';
+        this.has = {
+            createOrder: true,
+            createMarketOrder: true,
+            createLimitOrder: true,
+            createStopMarketOrder: true,
+            cancelOrder: true,
+            fetchOrder: true,
+            fetchOpenOrders: true,
+            fetchBalance: true,
+            fetchTicker: true,
+            fetchOrderBook: true,
+            fetchOHLCV: true
+        };
+        
+        this.instruments = config.instruments || {};
+        this.basePrices = { ...DEFAULT_BASE_PRICES, ...config.basePrices };
+        this.volatility = { ...DEFAULT_VOLATILITY, ...config.volatility };
+        this.defaultSpread = config.defaultSpread ?? 0.0002; // Fraction of price for unknown symbols
+        this.quoteCurrency = config.quoteCurrency || 'USD';
+        this.fee = config.fee || 0; // Quantfury: sin comisiones
+        
+        // Execution realism
+        this.latency = config.latency ?? 250;             // ms before an order can fill
+        this.liquidity = config.liquidity || {};          // Units available per tick, per symbol
+        this.defaultLiquidity = config.defaultLiquidity || 250000; // Quote notional per tick
+        this.tickInterval = config.tickInterval || 1000;
+        
+        // Price source
+        this.replayFiles = config.replayFiles || {};
+        this.replays = new Map();
+        this.random = config.seed !== undefined ? this.createSeededRandom(config.seed) : Math.random;
+        
+        this.prices = new Map();
+        this.history = new Map();
+        this.historyLimit = config.historyLimit || 20000;
+        this.orders = new Map();
+        this.orderSequence = 0;
+        this.balance = { [this.quoteCurrency]: config.initialBalance || 10000 };
+        this.timer = null;
+        this.candleLoader = new CandleLoader();
+    }
+
+    // ccxt lifecycle
+    async loadMarkets() {
+        for (const [symbol, filePath] of Object.entries(this.replayFiles)) {
+            if (!this.replays.has(symbol)) {
+                this.replays.set(symbol, { candles: this.candleLoader.load(filePath), index: 0 });
+            }
+        }
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.tickInterval);
+        }
+
+        const symbols = new Set([...Object.keys(this.basePrices), ...Object.keys(this.instruments)]);
+        return Array.from(symbols).reduce((markets, symbol) => {
+            markets[symbol] = { id: symbol, symbol, active: true, type: this.findInstrument(symbol)?.type || 'spot' };
+            return markets;
+        }, {});
+    }
+
+    async close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Price feed
+    tick() {
+        const now = Date.now();
+
+        for (const symbol of this.prices.keys()) {
+            this.advancePrice(symbol, now);
+        }
+
+        this.processOrders(now);
+    }
+
+    advancePrice(symbol, timestamp = Date.now()) {
+        const replay = this.replays.get(symbol);
+        let price;
+
+        if (replay) {
+            // Replays loop over the file's closes
+            price = replay.candles[replay.index % replay.candles.length].close;
+            replay.index++;
+        } else {
+            const current = this.prices.get(symbol)?.price ?? this.getBasePrice(symbol);
+            const type = this.findInstrument(symbol)?.type;
+            const sigma = this.volatility[type] ?? 0.0002;
+            price = current * (1 + this.gaussian() * sigma);
+        }
+
+        this.prices.set(symbol, { price, timestamp });
+
+        const history = this.history.get(symbol) || [];
+        history.push({ timestamp, price });
+        if (history.length > this.historyLimit) history.shift();
+        this.history.set(symbol, history);
+
+        return price;
+    }
+
+    getPrice(symbol) {
+        if (!this.prices.has(symbol)) {
+            this.advancePrice(symbol);
+        }
+        return this.prices.get(symbol).price;
+    }
+
+    getBasePrice(symbol) {
+        return this.basePrices[symbol] ?? this.basePrices[this.normalizeSymbol(symbol)] ?? 100;
+    }
+
+    getSpread(symbol) {
+        const instrument = this.findInstrument(symbol);
+        const price = this.getPrice(symbol);
+
+        if (!instrument) return price * this.defaultSpread;
+
+        // Quantfury quotes forex spreads in pips, everything else in price units
+        if (instrument.type === 'forex') {
+            const pipSize = this.normalizeSymbol(symbol).includes('JPY') ? 0.01 : 0.0001;
+            return instrument.spread * pipSize;
+        }
+        return instrument.spread;
+    }
+
+    getQuote(symbol) {
+        const mid = this.getPrice(symbol);
+        const halfSpread = this.getSpread(symbol) / 2;
+        return { bid: mid - halfSpread, ask: mid + halfSpread, mid };
+    }
+
+    getLiquidity(symbol) {
+        return this.liquidity[symbol] ?? this.defaultLiquidity / this.getPrice(symbol);
+    }
+
+    // Market data
+    async fetchTicker(symbol) {
+        const { bid, ask, mid } = this.getQuote(symbol);
+        const timestamp = this.prices.get(symbol).timestamp;
+
+        return {
+            symbol,
+            timestamp,
+            datetime: new Date(timestamp).toISOString(),
+            bid,
+            ask,
+            last: mid,
+            close: mid
+        };
+    }
+
+    async fetchOrderBook(symbol, limit = 10) {
+        const { bid, ask } = this.getQuote(symbol);
+        const step = Math.max(this.getSpread(symbol), this.getPrice(symbol) * 0.00001);
+        const size = this.getLiquidity(symbol);
+        const levels = Array.from({ length: limit }, (_, i) => i);
+
+        return {
+            symbol,
+            timestamp: Date.now(),
+            bids: levels.map(i => [bid - step * i, size]),
+            asks: levels.map(i => [ask + step * i, size])
+        };
+    }
+
+    async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 100) {
+        const replay = this.replays.get(symbol);
+        if (replay) {
+            const upTo = Math.min(replay.index, replay.candles.length);
+            return replay.candles.slice(Math.max(0, upTo - limit), upTo)
+                .map(c => [c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
+        }
+
+        // Aggregate the simulated tick history into bars
+        this.getPrice(symbol);
+        const timeframeMs = this.timeframeToMs(timeframe);
+        const bars = new Map();
+
+        for (const { timestamp, price } of this.history.get(symbol) || []) {
+            if (since !== undefined && timestamp < since) continue;
+
+            const bucket = Math.floor(timestamp / timeframeMs) * timeframeMs;
+            const bar = bars.get(bucket);
+            if (!bar) {
+                bars.set(bucket, [bucket, price, price, price, price, 0]);
+            } else {
+                bar[2] = Math.max(bar[2], price);
+                bar[3] = Math.min(bar[3], price);
+                bar[4] = price;
+            }
+        }
+
+        return Array.from(bars.values()).slice(-limit);
+    }
+
+    // Balances
+    async fetchBalance() {
+        const result = { free: {}, used: {}, total: {} };
+
+        for (const [currency, total] of Object.entries(this.balance)) {
+            const used = this.getReservedBalance(currency);
+            result[currency] = { free: total - used, used, total };
+            result.free[currency] = total - used;
+            result.used[currency] = used;
+            result.total[currency] = total;
+        }
+
+        return result;
+    }
+
+    getReservedBalance(currency) {
+        if (currency !== this.quoteCurrency) return 0;
+
+        // Resting buy limits reserve quote currency
+        return Array.from(this.orders.values())
+            .filter(order => OPEN_STATUSES.includes(order.status) && order.type === 'limit' && order.side === 'buy')
+            .reduce((sum, order) => sum + order.remaining * order.price, 0);
+    }
+
+    // Orders
+    async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+        if (!['buy', 'sell'].includes(side)) {
+            throw new Error(`Invalid order side: ${side}`);
+        }
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error(`Invalid order amount: ${amount}`);
+        }
+
+        const orderType = this.normalizeOrderType(type);
+        const stopPrice = params.stopPrice ?? params.triggerPrice;
+
+        if (orderType === 'limit' && !Number.isFinite(price)) {
+            throw new Error('Limit orders require a price');
+        }
+        if (orderType === 'stop_market' && !Number.isFinite(stopPrice)) {
+            throw new Error('Stop orders require params.stopPrice');
+        }
+
+        // Margin check against instrument leverage
+        const referencePrice = price ?? stopPrice ?? this.getPrice(symbol);
+        const leverage = this.findInstrument(symbol)?.leverage || 1;
+        const free = (await this.fetchBalance())[this.quoteCurrency].free;
+        if (side === 'buy' && !params.reduceOnly && amount * referencePrice > free * leverage) {
+            throw new Error(`Insufficient funds: ${(amount * referencePrice).toFixed(2)} ${this.quoteCurrency} required`);
+        }
+
+        const now = Date.now();
+        const order = {
+            id: `paper_${now}_${++this.orderSequence}`,
+            clientOrderId: params.clientOrderId,
+            timestamp: now,
+            datetime: new Date(now).toISOString(),
+            lastTradeTimestamp: undefined,
+            symbol,
+            type: orderType,
+            side,
+            price: orderType === 'limit' ? price : undefined,
+            stopPrice,
+            triggerPrice: stopPrice,
+            amount,
+            filled: 0,
+            remaining: amount,
+            cost: 0,
+            average: undefined,
+            status: 'open',
+            triggered: false,
+            expiresAt: params.expireAfter ? now + params.expireAfter : undefined,
+            fee: { cost: 0, currency: this.quoteCurrency },
+            trades: [],
+            info: { reduceOnly: !!params.reduceOnly }
+        };
+
+        this.orders.set(order.id, order);
+        this.emit('orderCreated', order);
+
+        return this.snapshot(order);
+    }
+
+    async createMarketOrder(symbol, side, amount, price = undefined, params = {}) {
+        return this.createOrder(symbol, 'market', side, amount, price, params);
+    }
+
+    async createLimitOrder(symbol, side, amount, price, params = {}) {
+        return this.createOrder(symbol, 'limit', side, amount, price, params);
+    }
+
+    async cancelOrder(id, symbol = undefined) {
+        const order = this.orders.get(id);
+        if (!order) throw new ccxt.OrderNotFound(`Order ${id} not found`);
+        if (order.status !== 'open') throw new Error(`Order ${id} is already ${order.status}`);
+
+        order.status = 'canceled';
+        this.emit('orderCanceled', order);
+        return this.snapshot(order);
+    }
+
+    async fetchOrder(id, symbol = undefined, params = {}) {
+        const order = id
+            ? this.orders.get(id)
+            : Array.from(this.orders.values()).find(candidate => candidate.clientOrderId && candidate.clientOrderId === params.clientOrderId);
+        if (!order) throw new ccxt.OrderNotFound(`Order ${id || params.clientOrderId} not found`);
+        return this.snapshot(order);
+    }
+
+    async fetchOpenOrders(symbol = undefined) {
+        return Array.from(this.orders.values())
+            .filter(order => order.status === 'open' && (!symbol || order.symbol === symbol))
+            .map(order => this.snapshot(order));
+    }
+
+    processOrders(now = Date.now()) {
+        for (const order of this.orders.values()) {
+            if (order.status !== 'open') continue;
+
+            if (order.expiresAt && now >= order.expiresAt) {
+                order.status = 'expired';
+                this.emit('orderExpired', order);
+                continue;
+            }
+
+            // Simulated network/matching latency
+            if (now - order.timestamp < this.latency) continue;
+
+            const { bid, ask } = this.getQuote(order.symbol);
+            const marketPrice = order.side === 'buy' ? ask : bid;
+            let fillPrice = null;
+
+            if (order.type === 'market') {
+                fillPrice = marketPrice;
+            } else if (order.type === 'limit') {
+                const crosses = order.side === 'buy' ? ask <= order.price : bid >= order.price;
+                if (crosses) fillPrice = order.price;
+            } else if (order.type === 'stop_market') {
+                if (!order.triggered) {
+                    order.triggered = order.side === 'buy' ? ask >= order.stopPrice : bid <= order.stopPrice;
+                }
+                if (order.triggered) fillPrice = marketPrice;
+            }
+
+            if (fillPrice !== null) {
+                // Only part of the book is available each tick, larger orders fill partially
+                const quantity = Math.min(order.remaining, this.getLiquidity(order.symbol));
+                this.fillOrder(order, quantity, fillPrice, now);
+            }
+        }
+    }
+
+    fillOrder(order, quantity, price, timestamp) {
+        const cost = quantity * price;
+        const fee = cost * this.fee;
+        const base = this.getBaseCurrency(order.symbol);
+        const direction = order.side === 'buy' ? 1 : -1;
+
+        this.balance[base] = (this.balance[base] || 0) + quantity * direction;
+        this.balance[this.quoteCurrency] -= cost * direction + fee;
+
+        order.filled += quantity;
+        order.remaining = Math.max(0, order.amount - order.filled);
+        order.cost += cost;
+        order.average = order.cost / order.filled;
+        order.fee.cost += fee;
+        order.lastTradeTimestamp = timestamp;
+        order.trades.push({ timestamp, price, amount: quantity, cost, fee });
+
+        // Float dust below 1e-12 units counts as fully filled
+        if (order.remaining <= 1e-12) {
+            order.remaining = 0;
+            order.status = 'closed';
+            this.emit('orderFilled', order);
+        } else {
+            this.emit('orderPartiallyFilled', order);
+        }
+    }
+
+    // Utilities
+    snapshot(order) {
+        return { ...order, fee: { ...order.fee }, trades: order.trades.map(trade => ({ ...trade })) };
+    }
+
+    normalizeOrderType(type) {
+        const aliases = {
+            market: 'market',
+            limit: 'limit',
+            take_profit: 'limit',
+            stop: 'stop_market',
+            stop_loss: 'stop_market',
+            stop_market: 'stop_market'
+        };
+
+        if (!aliases[type]) throw new Error(`Unsupported order type: ${type}`);
+        return aliases[type];
+    }
+
+    normalizeSymbol(symbol) {
+        return symbol.replace('/', '').replace(/USDT$/, 'USD');
+    }
+
+    findInstrument(symbol) {
+        return this.instruments[symbol] || this.instruments[this.normalizeSymbol(symbol)] || null;
+    }
+
+    getBaseCurrency(symbol) {
+        if (symbol.includes('/')) return symbol.split('/')[0];
+        const normalized = this.normalizeSymbol(symbol);
+        return normalized.endsWith(this.quoteCurrency)
+            ? normalized.slice(0, -this.quoteCurrency.length)
+            : normalized;
+    }
+
+    timeframeToMs(timeframe) {
+        const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+        const match = /^(\d+)([mhdw])$/.exec(timeframe);
+        if (!match) throw new Error(`Unsupported timeframe: ${timeframe}`);
+        return parseInt(match[1]) * units[match[2]];
+    }
+
+    gaussian() {
+        // Box-Muller transform
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    createSeededRandom(seed) {
+        let state = (seed % 2147483647) || 1;
+        return () => {
+            state = (state * 16807) % 2147483647;
+            return state / 2147483647;
+        };
+    }
+}
+
+module.exports = PaperExchange;
@@ -1,6 +1,8 @@
 require('dotenv').config();
 const TradingManager = require('./TradingManager');
 const TradingTelegramBot = require('./telegram/TelegramBot');
+const BacktestEngine = require('./backtesting/BacktestEngine');
+const CandleLoader = require('./backtesting/CandleLoader');
 
 class AITradingSystem {
     constructor() {
@@ -24,7 +26,66 @@ class AITradingSystem {
                 port: process.env.TRADINGVIEW_WEBHOOK_PORT || 3000,
                 webhookSecret: process.env.TRADINGVIEW_WEBHOOK_SECRET,
                 allowedIPs: process.env.TRADINGVIEW_ALLOWED_IPS?.split(',') || [],
-                signalTTL: 60000 // 1 minute
+                signalTTL: 60000, // 1 minute
+                replayWindow: parseInt(process.env.WEBHOOK_REPLAY_WINDOW) || 300000, // 5 minutes
+                requirePayloadTimestamp: process.env.WEBHOOK_REQUIRE_TIMESTAMP === 'true',
+                sourcesFile: process.env.WEBHOOK_SOURCES_FILE,
+                // Token buckets; per-source values can be overridden in the sources file
+                rateLimit: {
+                    enabled: process.env.WEBHOOK_RATE_LIMIT_ENABLED !== 'false',
+                    perSource: {
+                        perMinute: parseInt(process.env.WEBHOOK_SOURCE_RATE_PER_MINUTE) || 60,
+                        burst: parseInt(process.env.WEBHOOK_SOURCE_BURST) || 20
+                    },
+                    perSymbol: {
+                        perMinute: parseInt(process.env.WEBHOOK_SYMBOL_RATE_PER_MINUTE) || 10,
+                        burst: parseInt(process.env.WEBHOOK_SYMBOL_BURST) || 3
+                    }
+                }
+            },
+            
+            // Bounded signal queue; webhooks get HTTP 429 once it is full
+            signalQueue: {
+                maxSize: parseInt(process.env.SIGNAL_QUEUE_MAX_SIZE) || 100
+            },
+            
+            // REST control API (/api/v1); disabled until at least one token is set
+            api: {
+                tokens: (process.env.API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean),
+                allowedIPs: process.env.API_ALLOWED_IPS?.split(',') || []
+            },
+            
+            // WebSocket event stream (/api/v1/stream), authenticated with the API tokens
+            eventStream: {
+                heartbeatInterval: parseInt(process.env.EVENT_STREAM_HEARTBEAT) || 30000,
+                maxBufferedBytes: parseInt(process.env.EVENT_STREAM_MAX_BUFFER) || 1048576
+            },
+            
+            // Prometheus /metrics; optional bearer token and IP list for the scraper
+            metrics: {
+                enabled: process.env.METRICS_ENABLED !== 'false',
+                token: process.env.METRICS_TOKEN || null,
+                allowedIPs: process.env.METRICS_ALLOWED_IPS?.split(',') || []
+            },
+            
+            // Web dashboard at /dashboard (uses the API tokens to log in)
+            dashboard: {
+                enabled: process.env.DASHBOARD_ENABLED !== 'false'
+            },
+            
+            // Dead-letter queue: transient failures retried with exponential backoff
+            deadLetter: {
+                maxAttempts: parseInt(process.env.DLQ_MAX_ATTEMPTS) || 3,
+                baseDelay: parseInt(process.env.DLQ_RETRY_DELAY) || 5000,
+                maxDelay: parseInt(process.env.DLQ_MAX_RETRY_DELAY) || 300000,
+                maxEntries: parseInt(process.env.DLQ_MAX_ENTRIES) || 500,
+                maxSignalAge: parseInt(process.env.DLQ_MAX_SIGNAL_AGE) || 600000
+            },
+            
+            // Quantfury alerts not executed within the TTL are marked expired
+            quantfury: {
+                initialBalance: parseFloat(process.env.INITIAL_CAPITAL) || 10000,
+                alertTtl: parseInt(process.env.QUANTFURY_ALERT_TTL) || 3600000
             },
             
             // Portfolio Configuration
@@ -33,12 +94,46 @@ class AITradingSystem {
                 maxRiskPerTrade: parseFloat(process.env.MAX_RISK_PER_TRADE) || 0.02,
                 maxPortfolioRisk: parseFloat(process.env.MAX_PORTFOLIO_RISK) || 0.10,
                 maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS) || 5,
-                correlationThreshold: 0.7
+                correlationThreshold: parseFloat(process.env.CORRELATION_THRESHOLD) || 0.7,
+                maxCorrelatedPositions: parseInt(process.env.MAX_CORRELATED_POSITIONS) || 2,
+                trailingStops: {
+                    // Fallback for signals without trailingStopLevels: atr, percent or none
+                    defaultRule: process.env.TRAILING_STOP_MODE === 'atr'
+                        ? { type: 'atr', multiplier: parseFloat(process.env.TRAILING_STOP_ATR_MULTIPLIER) || 2 }
+                        : process.env.TRAILING_STOP_MODE === 'percent'
+                            ? { type: 'percent', percent: parseFloat(process.env.TRAILING_STOP_PERCENT) || 0.01 }
+                            : null
+                }
+            },
+            
+            // Position sizing (leverage, margin and liquidation estimates)
+            sizing: {
+                accountCurrency: process.env.ACCOUNT_CURRENCY || 'USD',
+                maxMarginUsage: parseFloat(process.env.MAX_MARGIN_USAGE) || 0.8,
+                maintenanceMargin: parseFloat(process.env.MAINTENANCE_MARGIN) || 0.5
+            },
+            
+            // Rolling return correlations across instruments
+            correlation: {
+                timeframe: process.env.CORRELATION_TIMEFRAME || '1h',
+                window: parseInt(process.env.CORRELATION_WINDOW) || 100,
+                minObservations: parseInt(process.env.CORRELATION_MIN_OBSERVATIONS) || 30
+            },
+            
+            // Risk Guard (portfolio-wide circuit breaker)
+            riskGuard: {
+                enabled: process.env.RISK_GUARD_ENABLED !== 'false',
+                maxDailyLoss: parseFloat(process.env.RISK_MAX_DAILY_LOSS) || 0.05,
+                maxDrawdown: parseFloat(process.env.RISK_MAX_DRAWDOWN) || 0.15,
+                maxConsecutiveLosses: parseInt(process.env.RISK_MAX_CONSECUTIVE_LOSSES) || 5,
+                flattenOnTrip: process.env.RISK_FLATTEN_ON_TRIP === 'true'
             },
             
             // Trading Configuration
             trading: {
-                paperTrading: process.env.PAPER_TRADING === 'true',
+                paperTrading: process.env.PAPER_TRADING !== 'false', // Live only when explicitly disabled
+                enforceTradingHours: process.env.ENFORCE_TRADING_HOURS !== 'false', // Sessions from the instrument catalog
+                closePositionsOnShutdown: process.env.CLOSE_POSITIONS_ON_SHUTDOWN === 'true', // Live positions stay open by default
                 exchanges: {
                     binance: {
                         apiKey: process.env.BINANCE_API_KEY,
@@ -53,6 +148,48 @@ class AITradingSystem {
                 }
             },
             
+            // Market Data Configuration (live bars for strategy analyze())
+            marketData: {
+                enabled: process.env.MARKET_DATA_ENABLED === 'true',
+                source: process.env.MARKET_DATA_SOURCE || 'exchange', // exchange, websocket, replay
+                pollInterval: 30000,
+                historyLength: 300,
+                websocketUrl: process.env.MARKET_DATA_WS_URL,
+                replayFiles: process.env.MARKET_DATA_REPLAY_FILE
+                    ? { [process.env.MARKET_DATA_REPLAY_SYMBOL || 'XAUUSD']: process.env.MARKET_DATA_REPLAY_FILE }
+                    : {}
+            },
+            
+            // Paper Exchange Configuration (simulated venue for paper trading)
+            paperExchange: {
+                latency: parseInt(process.env.PAPER_EXCHANGE_LATENCY) || 250,
+                defaultLiquidity: parseFloat(process.env.PAPER_EXCHANGE_LIQUIDITY) || 250000,
+                tickInterval: 1000,
+                replayFiles: process.env.PAPER_EXCHANGE_REPLAY_FILE
+                    ? { [process.env.PAPER_EXCHANGE_REPLAY_SYMBOL || 'XAUUSD']: process.env.PAPER_EXCHANGE_REPLAY_FILE }
+                    : {}
+            },
+            
+            // Backtesting Configuration
+            backtest: {
+                spread: parseFloat(process.env.BACKTEST_SPREAD) || 0,
+                slippage: parseFloat(process.env.BACKTEST_SLIPPAGE) || 0.0005,
+                warmupBars: 100
+            },
+            
+            // Optimization Configuration (walk-forward windows in bars)
+            optimization: {
+                objective: process.env.OPTIMIZATION_OBJECTIVE || 'profitFactor',
+                inSampleBars: 1000,
+                outOfSampleBars: 250,
+                minTrades: 5
+            },
+            
+            // Database Configuration
+            database: {
+                path: process.env.DATABASE_PATH || './data/trading.db'
+            },
+            
             // Telegram Configuration
             telegram: {
                 token: process.env.TELEGRAM_BOT_TOKEN,
@@ -94,7 +231,7 @@ class AITradingSystem {
             
             // Initialize Telegram Bot
             if (this.config.telegram.token) {
-                this.telegramBot = new TradingTelegramBot(this.config.telegram);
+                this.telegramBot = new TradingTelegramBot({ ...this.config.telegram, metrics: this.tradingManager.metrics });
                 this.telegramBot.setTradingManager(this.tradingManager);
                 console.log('📱 Telegram Bot initialized');
             }
@@ -388,9 +525,95 @@ class AITradingSystem {
             case 'test-webhook':
                 await this.testWebhook();
                 break;
+            case 'backtest':
+                await this.runBacktest(args[0], args[1], args[2]);
+                break;
+            case 'optimize':
+                await this.runOptimization(args[0], args[1], args[2], args[3]);
+                break;
             default:
-                console.log('Available commands: start, stop, status, generate-landing, test-webhook');
+                console.log('Available commands: start, stop, status, generate-landing, test-webhook, backtest, optimize');
+        }
+    }
+
+    async runBacktest(strategyType, filePath, outputPath) {
+        if (!strategyType || !filePath) {
+            console.log('Usage: node src/index.js backtest <STRATEGY_TYPE> <candles.csv|json> [report.json]');
+            return null;
+        }
+
+        const StrategyClass = this.tradingManager.getStrategyClass(strategyType);
+        if (!StrategyClass) {
+            throw new Error(`Unknown strategy type: ${strategyType}`);
+        }
+
+        console.log(`🧪 Backtesting ${strategyType} on ${filePath}...`);
+
+        const engine = new BacktestEngine({
+            ...this.config.backtest,
+            initialCapital: this.config.portfolio.initialCapital,
+            portfolio: {
+                maxRiskPerTrade: this.config.portfolio.maxRiskPerTrade,
+                maxPortfolioRisk: this.config.portfolio.maxPortfolioRisk,
+                maxOpenPositions: this.config.portfolio.maxOpenPositions
+            }
+        });
+
+        const result = engine.runFromFile(new StrategyClass({ enabled: true }), filePath);
+        const { metrics } = result;
+
+        console.log(`📊 ${result.symbol} ${result.timeframe} - ${result.period.bars} bars, ${result.trades.length} trades`);
+        console.log(`💰 Total Return: ${(metrics.totalReturn * 100).toFixed(2)}%`);
+        console.log(`🎯 Win Rate: ${(metrics.winRate * 100).toFixed(1)}%`);
+        console.log(`📈 Profit Factor: ${metrics.profitFactor.toFixed(2)}`);
+        console.log(`📉 Max Drawdown: ${(metrics.maxDrawdown * 100).toFixed(2)}%`);
+        console.log(`⚡ Sharpe Ratio: ${metrics.sharpeRatio.toFixed(2)}`);
+
+        if (outputPath) {
+            require('fs').writeFileSync(outputPath, JSON.stringify(result, null, 2));
+            console.log(`💾 Report saved to ${outputPath}`);
+        }
+
+        return result;
+    }
+
+    async runOptimization(strategyType, filePath, objective, outputPath) {
+        if (!strategyType || !filePath) {
+            console.log('Usage: node src/index.js optimize <STRATEGY_TYPE> <candles.csv|json> [objective] [results.json|csv]');
+            return null;
+        }
+
+        const StrategyClass = this.tradingManager.getStrategyClass(strategyType);
+        if (!StrategyClass) {
+            throw new Error(`Unknown strategy type: ${strategyType}`);
+        }
+
+        console.log(`🔬 Walk-forward optimization of ${strategyType} on ${filePath}...`);
+
+        const strategy = new StrategyClass({ enabled: true });
+        const candles = new CandleLoader().load(filePath);
+        const results = strategy.optimizeParameters(candles, {
+            ...this.config.optimization,
+            objective: objective || this.config.optimization.objective,
+            backtest: {
+                ...this.config.backtest,
+                initialCapital: this.config.portfolio.initialCapital
+            }
+        });
+
+        const { aggregate } = results;
+        console.log(`📊 ${aggregate.windows} windows, ${aggregate.totalTrades} out-of-sample trades`);
+        console.log(`💰 OOS Return: ${(aggregate.totalReturn * 100).toFixed(2)}%`);
+        console.log(`📈 OOS Profit Factor: ${aggregate.profitFactor.toFixed(2)}`);
+        console.log(`📉 OOS Max Drawdown: ${(aggregate.maxDrawdown * 100).toFixed(2)}%`);
+        console.log('🎯 Recommended parameters:', results.recommendedParameters);
+
+        if (outputPath) {
+            const ParameterOptimizer = require('./backtesting/ParameterOptimizer');
+            new ParameterOptimizer({ objective: results.objective }).exportResults(results, outputPath);
         }
+
+        return results;
     }
 
     async testWebhook() {
@@ -430,6 +653,9 @@ async function main() {
         const command = process.argv[2];
         if (command) {
             await system.runCommand(command, process.argv.slice(3));
+            
+            // One-shot commands should not keep the process alive
+            if (command !== 'start') process.exit(0);
         } else {
             // Default: start the system
             await system.start();
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '../config/instruments.json');
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+let defaultRegistry = null;
+
+// Instrument specifications keyed by canonical symbol (Quantfury style: EURUSD, XAUUSD,
+// BTCUSD, AAPL). Venue entries override the base spec for that venue only.
+class InstrumentRegistry {
+    constructor(config = {}) {
+        this.file = config.file || DEFAULT_FILE;
+
+        const data = config.data || this.load(this.file);
+        this.sessions = data.sessions || {};
+        this.instruments = { ...data.instruments, ...config.instruments };
+
+        // venue -> venue symbol -> canonical symbol
+        this.venueSymbols = new Map();
+        for (const [symbol, spec] of Object.entries(this.instruments)) {
+            for (const [venue, venueSpec] of Object.entries(spec.venues || {})) {
+                if (!this.venueSymbols.has(venue)) this.venueSymbols.set(venue, new Map());
+                this.venueSymbols.get(venue).set(venueSpec.symbol || symbol, symbol);
+            }
+        }
+    }
+
+    static getDefault() {
+        if (!defaultRegistry) {
+            defaultRegistry = new InstrumentRegistry({ file: process.env.INSTRUMENTS_FILE });
+        }
+        return defaultRegistry;
+    }
+
+    load(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!data.instruments) {
+            throw new Error(`Instrument file ${filePath} has no "instruments" section`);
+        }
+        return data;
+    }
+
+    // Lookups
+    has(symbol) {
+        return Object.prototype.hasOwnProperty.call(this.instruments, symbol);
+    }
+
+    get(symbol, venue = null) {
+        if (!this.has(symbol)) return null;
+
+        const { venues = {}, ...base } = this.instruments[symbol];
+        const venueSpec = venue ? venues[venue] || {} : {};
+
+        return {
+            ...base,
+            ...venueSpec,
+            symbol,
+            venue,
+            venueSymbol: venueSpec.symbol || symbol,
+            venues: Object.keys(venues)
+        };
+    }
+
+    getSymbols({ type, venue } = {}) {
+        return Object.keys(this.instruments).filter(symbol => {
+            const spec = this.instruments[symbol];
+            if (type && spec.type !== type) return false;
+            if (venue && !spec.venues?.[venue]) return false;
+            return true;
+        });
+    }
+
+    getVenueInstruments(venue) {
+        const instruments = {};
+        for (const symbol of this.getSymbols({ venue })) {
+            instruments[symbol] = this.get(symbol, venue);
+        }
+        return instruments;
+    }
+
+    getVenues() {
+        return Array.from(this.venueSymbols.keys());
+    }
+
+    getVenueSymbol(symbol, venue) {
+        return this.instruments[symbol]?.venues?.[venue]?.symbol || null;
+    }
+
+    findByVenueSymbol(venue, venueSymbol) {
+        return this.venueSymbols.get(venue)?.get(venueSymbol) || null;
+    }
+
+    getLeverage(symbol, venue = null) {
+        return this.get(symbol, venue)?.leverage || 1;
+    }
+
+    getSpread(symbol, venue = null) {
+        return this.get(symbol, venue)?.spread ?? null;
+    }
+
+    getPipSize(symbol) {
+        return this.get(symbol)?.pipSize ?? null;
+    }
+
+    getTickSize(symbol, venue = null) {
+        return this.get(symbol, venue)?.tickSize ?? null;
+    }
+
+    getContractSize(symbol) {
+        return this.get(symbol)?.contractSize || 1;
+    }
+
+    getMinSize(symbol, venue = null) {
+        return this.get(symbol, venue)?.minSize ?? null;
+    }
+
+    // Trading hours
+    getSession(symbol) {
+        const sessionName = this.instruments[symbol]?.tradingHours;
+        return sessionName ? this.sessions[sessionName] || null : null;
+    }
+
+    isTradingOpen(symbol, at = Date.now()) {
+        const session = this.getSession(symbol);
+        if (!session || session.type === 'continuous') return true;
+
+        const { day, minutes } = this.getLocalTime(at, session.timezone || 'UTC');
+
+        const inBreak = (session.breaks || []).some(({ start, end }) =>
+            minutes >= this.toMinutes(start) && minutes < this.toMinutes(end)
+        );
+        if (inBreak) return false;
+
+        if (session.type === 'daily') {
+            return session.days.includes(day)
+                && minutes >= this.toMinutes(session.open)
+                && minutes < this.toMinutes(session.close);
+        }
+
+        // Weekly window, e.g. Sunday 17:00 -> Friday 17:00 New York
+        const weekMinute = day * 1440 + minutes;
+        const open = session.open.day * 1440 + this.toMinutes(session.open.time);
+        const close = session.close.day * 1440 + this.toMinutes(session.close.time);
+
+        return open <= close
+            ? weekMinute >= open && weekMinute < close
+            : weekMinute >= open || weekMinute < close;
+    }
+
+    getLocalTime(at, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(at));
+
+        const value = (type) => parts.find(part => part.type === type).value;
+        return {
+            day: WEEKDAYS[value('weekday')],
+            minutes: parseInt(value('hour')) * 60 + parseInt(value('minute'))
+        };
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+}
+
+module.exports = InstrumentRegistry;
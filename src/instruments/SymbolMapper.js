@@ -0,0 +1,100 @@
+const InstrumentRegistry = require('./InstrumentRegistry');
+
+const STABLECOINS = ['USDT', 'USDC', 'BUSD', 'TUSD', 'FDUSD'];
+const DEFAULT_ALIASES = {
+    GOLD: 'XAUUSD',
+    SILVER: 'XAGUSD',
+    USOIL: 'WTICRUD',
+    WTI: 'WTICRUD',
+    XBTUSD: 'BTCUSD'
+};
+
+// Canonical symbols are the catalog keys (EURUSD, XAUUSD, BTCUSD, AAPL). Everything that
+// arrives from TradingView (BINANCE:BTCUSDT), ccxt (BTC/USDT, BTC/USDT:USDT) or a user is
+// mapped to one of those, and back to the venue format right before it hits an exchange.
+class SymbolMapper {
+    constructor(config = {}) {
+        this.registry = config.registry || InstrumentRegistry.getDefault();
+        this.aliases = { ...DEFAULT_ALIASES, ...config.aliases };
+        this.cache = new Map();
+    }
+
+    // Any ticker -> catalog symbol, or null when it is not a known instrument
+    canonicalize(input) {
+        if (typeof input !== 'string' || !input.trim()) return null;
+
+        const key = input.trim().toUpperCase();
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.resolve(key));
+        }
+        return this.cache.get(key);
+    }
+
+    resolve(ticker) {
+        const { symbol } = this.parse(ticker);
+        const compact = this.foldStablecoin(symbol.replace(/[/\-_]/g, ''));
+
+        const candidates = [
+            symbol,
+            this.aliases[symbol],
+            ...this.registry.getVenues().map(venue => this.registry.findByVenueSymbol(venue, symbol)),
+            compact,
+            this.aliases[compact]
+        ];
+
+        return candidates.find(candidate => candidate && this.registry.has(candidate)) || null;
+    }
+
+    // BINANCE:BTCUSDT -> { exchange: 'BINANCE', symbol: 'BTCUSDT' }; BTC/USDT:USDT -> BTC/USDT
+    parse(ticker) {
+        let exchange = null;
+        let symbol = ticker.trim().toUpperCase();
+
+        const colon = symbol.indexOf(':');
+        if (colon !== -1) {
+            const head = symbol.slice(0, colon);
+            if (head.includes('/')) {
+                symbol = head; // ccxt settle currency suffix
+            } else {
+                exchange = head;
+                symbol = symbol.slice(colon + 1);
+            }
+        }
+
+        // TradingView perpetual tickers: BTCUSDT.P, BTCUSDTPERP
+        symbol = symbol.replace(/\.P$/, '').replace(/PERP$/, '');
+
+        return { exchange, symbol };
+    }
+
+    foldStablecoin(symbol) {
+        const stablecoin = STABLECOINS.find(coin => symbol.length > coin.length && symbol.endsWith(coin));
+        return stablecoin ? `${symbol.slice(0, -stablecoin.length)}USD` : symbol;
+    }
+
+    getExchange(ticker) {
+        return typeof ticker === 'string' ? this.parse(ticker).exchange : null;
+    }
+
+    // Catalog symbol -> the venue's own format; unknown symbols pass through untouched
+    toVenue(symbol, venue) {
+        const canonical = this.canonicalize(symbol);
+        return (canonical && venue && this.registry.getVenueSymbol(canonical, venue)) || symbol;
+    }
+
+    isKnown(symbol) {
+        return this.canonicalize(symbol) !== null;
+    }
+
+    // First known instrument mentioned in a plain-text alert
+    findInText(text) {
+        const tokens = text.toUpperCase().match(/[A-Z0-9!:./_-]{3,}/g) || [];
+        for (const token of tokens) {
+            const canonical = this.canonicalize(token.replace(/[.:]+$/, ''));
+            if (canonical) return canonical;
+        }
+        return null;
+    }
+}
+
+module.exports = SymbolMapper;
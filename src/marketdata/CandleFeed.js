@@ -0,0 +1,304 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const CandleLoader = require('../backtesting/CandleLoader');
+
+const TIMEFRAME_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+class CandleFeed extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.source = config.source || 'exchange'; // 'exchange', 'websocket' or 'replay'
+        this.historyLength = config.historyLength || 300;
+        
+        // Exchange polling
+        this.exchangeManager = config.exchangeManager || null;
+        this.pollInterval = config.pollInterval || 30000;
+        
+        // Websocket ticker stream
+        this.websocketUrl = config.websocketUrl || null;
+        this.parseMessage = config.parseMessage || ((message) => this.parseBinanceTrade(message));
+        this.symbolMap = config.symbolMap || {}; // Stream symbol -> strategy symbol
+        this.reconnectDelay = config.reconnectDelay || 5000;
+        
+        // Local replay
+        this.replayFiles = config.replayFiles || {}; // 'SYMBOL:TF' or 'SYMBOL' -> file path
+        this.replayInterval = config.replayInterval ?? 1000;
+        
+        this.subscriptions = new Map();
+        this.timers = [];
+        this.socket = null;
+        this.running = false;
+        this.candleLoader = new CandleLoader();
+    }
+
+    // Switching venues drops the bars of the previous one: the next poll seeds fresh
+    // history instead of mixing simulated and live prices
+    setExchangeManager(exchangeManager) {
+        if (this.exchangeManager && this.exchangeManager !== exchangeManager) {
+            for (const subscription of this.subscriptions.values()) {
+                subscription.candles = [];
+                subscription.building = null;
+                subscription.lastClosedAt = 0;
+            }
+        }
+        this.exchangeManager = exchangeManager;
+    }
+
+    subscribe(symbol, timeframe) {
+        const key = this.getKey(symbol, timeframe);
+        if (this.subscriptions.has(key)) return this.subscriptions.get(key);
+
+        const subscription = {
+            symbol,
+            timeframe,
+            timeframeMs: this.timeframeToMs(timeframe),
+            candles: [],
+            building: null,
+            lastClosedAt: 0
+        };
+
+        this.subscriptions.set(key, subscription);
+        return subscription;
+    }
+
+    async start() {
+        if (this.running) return;
+        if (this.subscriptions.size === 0) {
+            console.warn('⚠️ Candle feed has no subscriptions');
+            return;
+        }
+
+        this.running = true;
+
+        switch (this.source) {
+            case 'exchange':
+                await this.startExchangePolling();
+                break;
+            case 'websocket':
+                this.connectWebsocket();
+                break;
+            case 'replay':
+                this.startReplay();
+                break;
+            default:
+                this.running = false;
+                throw new Error(`Unknown candle feed source: ${this.source}`);
+        }
+
+        console.log(`🕯️ Candle feed started (${this.source}) for ${this.subscriptions.size} symbol/timeframe pairs`);
+    }
+
+    async stop() {
+        this.running = false;
+
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.close();
+            this.socket = null;
+        }
+
+        console.log('🕯️ Candle feed stopped');
+    }
+
+    // Exchange polling (closed bars from getKlines)
+    async startExchangePolling() {
+        if (!this.exchangeManager) {
+            this.running = false;
+            throw new Error('Candle feed source "exchange" requires an ExchangeManager');
+        }
+
+        for (const subscription of this.subscriptions.values()) {
+            await this.pollExchange(subscription);
+
+            const timer = setInterval(() => {
+                this.pollExchange(subscription).catch(error =>
+                    console.error(`❌ Candle poll failed for ${subscription.symbol} ${subscription.timeframe}:`, error.message)
+                );
+            }, Math.min(this.pollInterval, subscription.timeframeMs));
+            this.timers.push(timer);
+        }
+    }
+
+    async pollExchange(subscription) {
+        const ohlcv = await this.exchangeManager.getKlines(
+            subscription.symbol,
+            subscription.timeframe,
+            this.historyLength + 1
+        );
+        if (!ohlcv || ohlcv.length === 0) return;
+
+        const now = Date.now();
+        const closed = ohlcv
+            .map(([timestamp, open, high, low, close, volume]) => ({ timestamp, open, high, low, close, volume }))
+            .filter(bar => bar.timestamp + subscription.timeframeMs <= now);
+
+        // First poll seeds history without triggering strategies
+        if (subscription.lastClosedAt === 0) {
+            subscription.candles = closed.slice(-this.historyLength);
+            subscription.lastClosedAt = closed.length > 0 ? closed[closed.length - 1].timestamp : 0;
+            return;
+        }
+
+        for (const bar of closed) {
+            if (bar.timestamp > subscription.lastClosedAt) {
+                this.closeBar(subscription, bar);
+            }
+        }
+    }
+
+    // Websocket ticker stream (bars built from trades)
+    connectWebsocket() {
+        if (!this.websocketUrl) {
+            this.running = false;
+            throw new Error('Candle feed source "websocket" requires websocketUrl');
+        }
+
+        this.socket = new WebSocket(this.websocketUrl);
+
+        this.socket.on('open', () => console.log(`🔌 Candle feed connected to ${this.websocketUrl}`));
+
+        this.socket.on('message', (data) => {
+            try {
+                const tick = this.parseMessage(JSON.parse(data.toString()));
+                if (tick) {
+                    this.onTick(this.symbolMap[tick.symbol] || tick.symbol, tick.price, tick.volume, tick.timestamp);
+                }
+            } catch (error) {
+                console.error('❌ Invalid ticker message:', error.message);
+            }
+        });
+
+        this.socket.on('error', (error) => console.error('❌ Candle feed websocket error:', error.message));
+
+        this.socket.on('close', () => {
+            this.socket = null;
+            if (!this.running) return;
+
+            console.warn(`⚠️ Candle feed websocket closed, reconnecting in ${this.reconnectDelay}ms`);
+            const timer = setTimeout(() => {
+                if (this.running) this.connectWebsocket();
+            }, this.reconnectDelay);
+            this.timers.push(timer);
+        });
+    }
+
+    parseBinanceTrade(message) {
+        // Combined streams wrap the payload as { stream, data }
+        const trade = message.data || message;
+        if (trade.e !== 'trade' && trade.e !== 'aggTrade') return null;
+
+        return {
+            symbol: trade.s,
+            price: parseFloat(trade.p),
+            volume: parseFloat(trade.q),
+            timestamp: trade.T
+        };
+    }
+
+    onTick(symbol, price, volume = 0, timestamp = Date.now()) {
+        if (!Number.isFinite(price)) return;
+
+        for (const subscription of this.subscriptions.values()) {
+            if (subscription.symbol !== symbol) continue;
+
+            const bucket = Math.floor(timestamp / subscription.timeframeMs) * subscription.timeframeMs;
+
+            if (subscription.building && bucket > subscription.building.timestamp) {
+                this.closeBar(subscription, subscription.building);
+                subscription.building = null;
+            }
+
+            if (!subscription.building) {
+                subscription.building = { timestamp: bucket, open: price, high: price, low: price, close: price, volume: 0 };
+            }
+
+            const bar = subscription.building;
+            bar.high = Math.max(bar.high, price);
+            bar.low = Math.min(bar.low, price);
+            bar.close = price;
+            bar.volume += volume || 0;
+        }
+    }
+
+    // Local replay file
+    startReplay() {
+        for (const subscription of this.subscriptions.values()) {
+            const filePath = this.replayFiles[this.getKey(subscription.symbol, subscription.timeframe)]
+                || this.replayFiles[subscription.symbol];
+
+            if (!filePath) {
+                console.warn(`⚠️ No replay file for ${subscription.symbol} ${subscription.timeframe}`);
+                continue;
+            }
+
+            const bars = this.candleLoader.load(filePath);
+            let index = 0;
+
+            const timer = setInterval(() => {
+                if (index >= bars.length) {
+                    clearInterval(timer);
+                    this.emit('replayCompleted', { symbol: subscription.symbol, timeframe: subscription.timeframe });
+                    return;
+                }
+                this.closeBar(subscription, bars[index++]);
+            }, this.replayInterval);
+            this.timers.push(timer);
+        }
+    }
+
+    closeBar(subscription, bar) {
+        subscription.candles.push({ ...bar });
+        if (subscription.candles.length > this.historyLength) {
+            subscription.candles.shift();
+        }
+        subscription.lastClosedAt = bar.timestamp;
+
+        this.emit('barClosed', {
+            symbol: subscription.symbol,
+            timeframe: subscription.timeframe,
+            bar,
+            closeTime: bar.timestamp + subscription.timeframeMs,
+            candleData: this.candleLoader.toCandleData(subscription.candles)
+        });
+    }
+
+    getCandles(symbol, timeframe) {
+        return this.subscriptions.get(this.getKey(symbol, timeframe))?.candles || [];
+    }
+
+    // Utilities
+    getKey(symbol, timeframe) {
+        return `${symbol}:${timeframe}`;
+    }
+
+    timeframeToMs(timeframe) {
+        const match = /^(\d+)([mhdw])$/.exec(timeframe);
+        if (!match) {
+            throw new Error(`Unsupported timeframe: ${timeframe}`);
+        }
+        return parseInt(match[1]) * TIMEFRAME_UNITS[match[2]];
+    }
+
+    getStats() {
+        return {
+            source: this.source,
+            running: this.running,
+            subscriptions: Array.from(this.subscriptions.values()).map(sub => ({
+                symbol: sub.symbol,
+                timeframe: sub.timeframe,
+                bars: sub.candles.length,
+                lastClosedAt: sub.lastClosedAt
+            }))
+        };
+    }
+}
+
+module.exports = CandleFeed;
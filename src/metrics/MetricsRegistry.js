@@ -0,0 +1,184 @@
+// Prometheus text exposition (format 0.0.4) for counters, gauges and histograms.
+// Components register their metrics with the shared registry; values that already live
+// elsewhere (queue depth, equity) are read by collectors right before each scrape.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // label key -> { labels, value }
+    }
+
+    key(labels) {
+        return this.labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+    }
+
+    // Unknown labels are dropped and missing ones become '', so series stay consistent
+    pick(labels) {
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = String(labels[name] ?? '');
+        return picked;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (!(amount >= 0)) throw new Error(`Counter ${this.name} can only increase`);
+        const key = this.key(labels);
+        const entry = this.values.get(key) || { labels: this.pick(labels), value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    get(labels = {}) {
+        return this.values.get(this.key(labels))?.value || 0;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        if (typeof labels === 'number') [labels, value] = [{}, labels];
+        this.values.set(this.key(labels), { labels: this.pick(labels), value });
+    }
+
+    get(labels = {}) {
+        return this.values.get(this.key(labels))?.value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        if (typeof labels === 'number') [labels, value] = [{}, labels];
+        if (!Number.isFinite(value)) return;
+
+        const key = this.key(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels: this.pick(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor(config = {}) {
+        this.prefix = config.prefix ?? 'trading_';
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    // Registering the same name twice returns the existing metric, so components
+    // sharing a registry can each declare what they use
+    register(MetricClass, name, help, labelNames = [], ...args) {
+        const fullName = this.prefix + name;
+        const existing = this.metrics.get(fullName);
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`Metric ${fullName} already registered as ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const metric = new MetricClass(fullName, help, labelNames, ...args);
+        this.metrics.set(fullName, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(Counter, name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(Gauge, name, help, labelNames);
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(Histogram, name, help, labelNames, buckets);
+    }
+
+    // Runs before every render; may be async (e.g. a database ping)
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    async render() {
+        const results = await Promise.allSettled(this.collectors.map(collector => collector()));
+        results.filter(result => result.status === 'rejected').forEach(result => {
+            console.warn('⚠️ Metrics collector failed:', result.reason?.message || result.reason);
+        });
+
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = MetricsRegistry;
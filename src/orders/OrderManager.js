@@ -0,0 +1,477 @@
+const EventEmitter = require('events');
+const ccxt = require('ccxt');
+
+// Allowed transitions of the order state machine. 'unknown' means the submit request
+// failed in a way that leaves open whether the venue accepted it (timeout, dropped connection)
+const TRANSITIONS = {
+    new: ['submitted', 'rejected', 'unknown'],
+    unknown: ['submitted', 'partially_filled', 'filled', 'canceled', 'rejected', 'expired'],
+    submitted: ['partially_filled', 'filled', 'canceled', 'rejected', 'expired'],
+    partially_filled: ['partially_filled', 'filled', 'canceled', 'expired'],
+    filled: [],
+    canceled: [],
+    rejected: [],
+    expired: []
+};
+
+const TERMINAL_STATES = ['filled', 'canceled', 'rejected', 'expired'];
+
+const STATUS_EVENTS = {
+    submitted: 'orderSubmitted',
+    unknown: 'orderUnknown',
+    partially_filled: 'orderPartiallyFilled',
+    filled: 'orderFilled',
+    canceled: 'orderCanceled',
+    rejected: 'orderRejected',
+    expired: 'orderExpired'
+};
+
+// The venue refused an order. Never retried automatically: the signal that produced it
+// may already hold a partial position, and re-sending could open a duplicate.
+class OrderRejectedError extends Error {
+    constructor(message, order = null) {
+        super(message);
+        this.name = 'OrderRejectedError';
+        this.order = order;
+        this.transient = false;
+    }
+}
+
+class OrderManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.exchangeManager = config.exchangeManager || null;
+        this.pollInterval = config.pollInterval || 5000;
+        // How long an unknown order may stay invisible on the venue before it counts as never placed
+        this.unknownOrderTimeout = config.unknownOrderTimeout || 60000;
+        this.orders = new Map();
+        this.timer = null;
+        this.syncing = false;
+    }
+
+    setExchangeManager(exchangeManager) {
+        this.exchangeManager = exchangeManager;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.syncOpenOrders(), this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Order lifecycle
+    createOrder({ symbol, side, type = 'market', amount, price, stopPrice, positionId = null, role = 'entry', bracketId = null }) {
+        const now = Date.now();
+        const id = `ord_${now}_${Math.random().toString(36).substr(2, 9)}`;
+        const order = {
+            id,
+            clientOrderId: id, // Sent to the venue so an ambiguous submit can be looked up
+            exchangeOrderId: null,
+            exchange: this.exchangeManager?.activeExchange?.id || null,
+            positionId,
+            role,
+            bracketId,
+            symbol,
+            side,
+            type,
+            amount,
+            price: price ?? null,
+            stopPrice: stopPrice ?? null,
+            filled: 0,
+            remaining: amount,
+            average: null,
+            status: 'new',
+            error: null,
+            history: [{ status: 'new', timestamp: now }],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.orders.set(order.id, order);
+        this.emit('orderNew', order);
+        this.emit('orderUpdated', order);
+        return order;
+    }
+
+    async submitOrder({ params = {}, ...fields }) {
+        const order = this.createOrder(fields);
+
+        await this.send(order, async () => {
+            const exchangeOrder = await this.sendToExchange(order, { ...params, clientOrderId: order.clientOrderId });
+            order.exchangeOrderId = exchangeOrder.id;
+            this.transition(order, 'submitted');
+            this.applyExchangeUpdate(order, exchangeOrder);
+        });
+
+        return order;
+    }
+
+    // Market entry with exchange-side stop loss and take profit (ExchangeManager bracket/OCO).
+    // The OMS tracks the entry; the legs are registered as orders once the venue has them.
+    async submitBracket({ symbol, side, amount, stopLoss, takeProfit, positionId = null, params = {} }) {
+        const order = this.createOrder({ symbol, side, type: 'market', amount, positionId, role: 'entry' });
+
+        await this.send(order, async () => {
+            const group = await this.exchangeManager.createBracketOrder(symbol, side, amount, {
+                stopLoss,
+                takeProfit,
+                params: { ...params, clientOrderId: order.clientOrderId }
+            });
+            order.exchangeOrderId = group.entryOrderId;
+            order.bracketId = group.id;
+            this.transition(order, 'submitted');
+
+            // Market entries usually fill right away; pick that up without waiting for the poll
+            try {
+                await this.syncOrder(order);
+            } catch (error) {
+                console.error(`❌ Failed to sync bracket entry ${order.id}:`, error.message);
+            }
+        });
+
+        return order;
+    }
+
+    async send(order, request) {
+        try {
+            if (!this.exchangeManager) {
+                throw new Error('No exchange manager configured');
+            }
+            await request();
+
+        } catch (error) {
+            if (this.isAmbiguousError(error)) {
+                console.warn(`⚠️ Order ${order.id} outcome unknown, resolving by client id:`, error.message);
+                this.transition(order, 'unknown', { error: error.message });
+            } else {
+                this.transition(order, 'rejected', { error: error.message });
+            }
+        }
+    }
+
+    // ccxt raises NetworkError (RequestTimeout, ExchangeNotAvailable, ...) when the request
+    // may or may not have reached the matching engine; anything else is a definite answer
+    isAmbiguousError(error) {
+        return error instanceof ccxt.NetworkError;
+    }
+
+    async resolveUnknownOrder(order) {
+        try {
+            const exchangeOrder = await this.exchangeManager.fetchOrderByClientId(order.clientOrderId, order.symbol);
+            order.exchangeOrderId = exchangeOrder.id;
+            this.transition(order, 'submitted');
+            return this.applyExchangeUpdate(order, exchangeOrder);
+        } catch (error) {
+            if (!(error instanceof ccxt.OrderNotFound)) throw error;
+
+            // A late request can still land, so "not found" only counts once the grace period is over
+            if (Date.now() - order.createdAt >= this.unknownOrderTimeout) {
+                return this.transition(order, 'rejected', { error: `Not found on exchange: ${order.error || error.message}` });
+            }
+            return order;
+        }
+    }
+
+    sendToExchange(order, params) {
+        switch (order.type) {
+            case 'market':
+                return this.exchangeManager.createMarketOrder(order.symbol, order.side, order.amount, params);
+            case 'limit':
+                return this.exchangeManager.createLimitOrder(order.symbol, order.side, order.amount, order.price, params);
+            case 'stop_market':
+                return this.exchangeManager.createStopLossOrder(order.symbol, order.side, order.amount, order.stopPrice, params);
+            default:
+                throw new Error(`Unsupported order type: ${order.type}`);
+        }
+    }
+
+    async cancelOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) throw new Error(`Order ${orderId} not found`);
+        if (this.isTerminal(order)) return order;
+
+        // The venue may hold it under our client id; canceling only locally would orphan it
+        if (order.status === 'unknown') {
+            await this.resolveUnknownOrder(order);
+            if (order.status === 'unknown') throw new Error(`Order ${orderId} outcome still unknown`);
+            if (this.isTerminal(order)) return order;
+        }
+
+        if (order.exchangeOrderId) {
+            const exchangeOrder = await this.exchangeManager.cancelOrder(order.exchangeOrderId, order.symbol);
+            this.applyExchangeUpdate(order, exchangeOrder);
+        }
+
+        // Some venues answer a cancel with the pre-cancel snapshot
+        if (!this.isTerminal(order)) {
+            this.transition(order, 'canceled');
+        }
+
+        return order;
+    }
+
+    async cancelOrdersForPosition(positionId) {
+        const open = this.getOrdersForPosition(positionId).filter(order => !this.isTerminal(order));
+
+        for (const order of open) {
+            try {
+                await this.cancelOrder(order.id);
+            } catch (error) {
+                console.error(`❌ Failed to cancel order ${order.id}:`, error.message);
+            }
+        }
+
+        return open;
+    }
+
+    linkPosition(orderId, positionId) {
+        const order = this.orders.get(orderId);
+        if (!order) throw new Error(`Order ${orderId} not found`);
+
+        order.positionId = positionId;
+        order.updatedAt = Date.now();
+        this.emit('orderUpdated', order);
+        return order;
+    }
+
+    transition(order, status, changes = {}) {
+        const allowed = TRANSITIONS[order.status] || [];
+        if (!allowed.includes(status)) {
+            throw new Error(`Invalid order transition ${order.status} -> ${status} for ${order.id}`);
+        }
+
+        const now = Date.now();
+        Object.assign(order, changes, { status, updatedAt: now });
+        order.history.push({ status, timestamp: now, filled: order.filled });
+
+        this.emit(STATUS_EVENTS[status], order);
+        this.emit('orderUpdated', order);
+        return order;
+    }
+
+    // Map a ccxt order snapshot onto the state machine
+    applyExchangeUpdate(order, exchangeOrder) {
+        if (!exchangeOrder || this.isTerminal(order)) return order;
+
+        const filled = exchangeOrder.filled ?? order.filled;
+        const fillChanges = {
+            filled,
+            remaining: exchangeOrder.remaining ?? Math.max(0, order.amount - filled),
+            average: exchangeOrder.average ?? order.average
+        };
+
+        switch (exchangeOrder.status) {
+            case 'closed':
+            case 'filled':
+                return this.transition(order, 'filled', fillChanges);
+            case 'canceled':
+            case 'cancelled':
+                return this.transition(order, 'canceled', fillChanges);
+            case 'expired':
+                return this.transition(order, 'expired', fillChanges);
+            case 'rejected':
+                return this.transition(order, 'rejected', fillChanges);
+            default:
+                // Still open: only record progress when the fill quantity moved
+                if (filled > order.filled) {
+                    return this.transition(order, 'partially_filled', fillChanges);
+                }
+                return order;
+        }
+    }
+
+    async syncOrder(order) {
+        const exchangeOrder = await this.exchangeManager.fetchOrder(order.exchangeOrderId, order.symbol);
+        this.applyExchangeUpdate(order, exchangeOrder);
+
+        // Drive the bracket from the same snapshot so its legs go out as soon as the entry fills
+        if (order.bracketId) {
+            await this.exchangeManager.processBracketUpdate(exchangeOrder);
+            const group = this.exchangeManager.getBracketOrder(order.bracketId);
+            if (group && order.role === 'entry') this.trackBracket(order, group);
+        }
+        return order;
+    }
+
+    // Register the legs of an active bracket, or report that they could not be placed
+    trackBracket(entry, group) {
+        if (group.status === 'unprotected' && entry.bracketStatus !== 'unprotected') {
+            entry.bracketStatus = group.status;
+            this.emit('bracketUnprotected', entry, group);
+            return;
+        }
+        if (group.status !== 'active') return;
+        entry.bracketStatus = group.status;
+
+        const exitSide = group.side === 'buy' ? 'sell' : 'buy';
+        const legs = [
+            { role: 'stop_loss', exchangeOrderId: group.stopOrderId, type: 'stop_market', stopPrice: group.stopLoss },
+            { role: 'take_profit', exchangeOrderId: group.takeProfitOrderId, type: 'limit', price: group.takeProfit }
+        ];
+
+        for (const { exchangeOrderId, ...leg } of legs) {
+            // Native brackets keep their legs on the venue without separate ids
+            if (!exchangeOrderId || this.getOrderByExchangeId(exchangeOrderId)) continue;
+
+            const order = this.createOrder({
+                ...leg,
+                symbol: group.symbol,
+                side: exitSide,
+                amount: group.filledAmount,
+                positionId: entry.positionId,
+                bracketId: group.id
+            });
+            order.clientOrderId = null; // Placed by ExchangeManager, not under our client id
+            order.exchangeOrderId = exchangeOrderId;
+            this.transition(order, 'submitted');
+        }
+    }
+
+    async syncOpenOrders() {
+        if (this.syncing || !this.exchangeManager) return;
+        this.syncing = true;
+
+        try {
+            for (const order of this.getOpenOrders()) {
+                try {
+                    if (order.status === 'unknown') {
+                        await this.resolveUnknownOrder(order);
+                    } else if (order.exchangeOrderId) {
+                        await this.syncOrder(order);
+                    }
+                } catch (error) {
+                    console.error(`❌ Failed to sync order ${order.id}:`, error.message);
+                }
+            }
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    // Restart handling
+    restoreState({ orders = [] } = {}) {
+        for (const order of orders) {
+            this.orders.set(order.id, order);
+        }
+
+        if (orders.length > 0) {
+            console.log(`📋 Restored ${orders.length} active orders`);
+        }
+    }
+
+    async reconcile() {
+        const summary = { synced: 0, missing: 0, rejected: 0, unknown: 0, skipped: 0, failed: 0, orphans: [] };
+        const exchangeId = this.exchangeManager?.activeExchange?.id;
+
+        if (!exchangeId) {
+            console.warn('⚠️ Order reconciliation skipped: no active exchange');
+            return summary;
+        }
+
+        for (const order of this.getOpenOrders()) {
+            // Crashed before submission, from before client ids were sent - nothing to look up
+            if (!order.exchangeOrderId && !order.clientOrderId) {
+                this.transition(order, 'rejected', { error: 'Not submitted before restart' });
+                summary.rejected++;
+                continue;
+            }
+
+            if (order.exchange && order.exchange !== exchangeId) {
+                summary.skipped++;
+                continue;
+            }
+
+            if (!order.exchangeOrderId) {
+                // Crashed while the submit was in flight - the venue may have it
+                if (order.status === 'new') {
+                    this.transition(order, 'unknown', { error: 'Submit interrupted by restart' });
+                }
+
+                try {
+                    await this.resolveUnknownOrder(order);
+                    if (order.status === 'rejected') summary.rejected++;
+                    else if (order.status === 'unknown') summary.unknown++;
+                    else summary.synced++;
+                } catch (error) {
+                    console.error(`❌ Failed to resolve order ${order.id}, keeping it unknown for the next sync:`, error.message);
+                    summary.failed++;
+                }
+                continue;
+            }
+
+            try {
+                await this.syncOrder(order);
+                summary.synced++;
+            } catch (error) {
+                // Only a definite "not found" closes the order; a timeout says nothing about it
+                if (error instanceof ccxt.OrderNotFound) {
+                    this.transition(order, 'canceled', { error: `Not found on exchange during reconciliation: ${error.message}` });
+                    summary.missing++;
+                } else {
+                    console.error(`❌ Failed to reconcile order ${order.id}, keeping it ${order.status} for the next sync:`, error.message);
+                    summary.failed++;
+                }
+            }
+        }
+
+        // Orders open on the venue that the OMS does not know about
+        try {
+            const known = new Set(Array.from(this.orders.values()).map(order => order.exchangeOrderId));
+            const exchangeOrders = await this.exchangeManager.fetchOpenOrders();
+            summary.orphans = exchangeOrders.filter(order => !known.has(order.id));
+            summary.orphans.forEach(order => this.emit('orphanOrder', order));
+        } catch (error) {
+            console.error('❌ Failed to fetch open orders for reconciliation:', error.message);
+        }
+
+        console.log(`🔄 Orders reconciled: ${summary.synced} synced, ${summary.missing} missing, ${summary.rejected} rejected, ${summary.unknown} unknown, ${summary.failed} failed, ${summary.orphans.length} orphans`);
+        this.emit('reconciled', summary);
+        return summary;
+    }
+
+    // Queries
+    isTerminal(order) {
+        return TERMINAL_STATES.includes(order.status);
+    }
+
+    getOrder(orderId) {
+        return this.orders.get(orderId) || null;
+    }
+
+    getOrderByExchangeId(exchangeOrderId) {
+        return Array.from(this.orders.values()).find(order => order.exchangeOrderId === exchangeOrderId) || null;
+    }
+
+    getOpenOrders() {
+        return Array.from(this.orders.values()).filter(order => !this.isTerminal(order));
+    }
+
+    getOrdersForPosition(positionId) {
+        return Array.from(this.orders.values()).filter(order => order.positionId === positionId);
+    }
+
+    getStats() {
+        const byStatus = {};
+        for (const order of this.orders.values()) {
+            byStatus[order.status] = (byStatus[order.status] || 0) + 1;
+        }
+
+        return {
+            total: this.orders.size,
+            open: this.getOpenOrders().length,
+            byStatus
+        };
+    }
+}
+
+OrderManager.TRANSITIONS = TRANSITIONS;
+OrderManager.TERMINAL_STATES = TERMINAL_STATES;
+OrderManager.OrderRejectedError = OrderRejectedError;
+
+module.exports = OrderManager;
@@ -1,5 +1,7 @@
 const EventEmitter = require('events');
 const moment = require('moment');
+const TrailingStopManager = require('./TrailingStopManager');
+const PositionSizer = require('./PositionSizer');
 
 class PortfolioManager extends EventEmitter {
     constructor(config = {}) {
@@ -14,12 +16,24 @@ class PortfolioManager extends EventEmitter {
         this.maxPortfolioRisk = config.maxPortfolioRisk || 0.10; // 10%
         this.maxOpenPositions = config.maxOpenPositions || 5;
         this.correlationThreshold = config.correlationThreshold || 0.7;
+        this.maxCorrelatedPositions = config.maxCorrelatedPositions || 2;
+        this.correlationEngine = config.correlationEngine || null;
+        this.positionSizer = config.positionSizer || new PositionSizer(config.sizing);
+        
+        // Trailing stops
+        this.trailingStops = new TrailingStopManager(config.trailingStops);
+        this.trailingStops.on('stopMoved', (update) => {
+            this.emit('stopLossUpdated', update);
+        });
         
         // Performance tracking
         this.dailyPnL = [];
         this.lastUpdate = moment();
         
-        this.initializeTracking();
+        // Backtests drive updateDailyPnL() from bar time instead of a timer
+        if (config.trackDailyPnL !== false) {
+            this.initializeTracking();
+        }
     }
 
     initializeTracking() {
@@ -52,7 +66,13 @@ class PortfolioManager extends EventEmitter {
             return false;
         }
 
-        const positionSize = this.calculatePositionSize(signal);
+        // Scaling plans split the risk-based size between the entry and the add-on levels
+        const sizing = this.calculatePositionSize(signal);
+        const plannedSize = sizing.units;
+        const scaleIn = this.buildScaleInPlan(signal.metadata?.scalingLevels, plannedSize);
+        const positionSize = plannedSize * scaleIn.entryFraction;
+        const timestamp = signal.timestamp ? moment(signal.timestamp) : moment();
+
         const position = {
             id: this.generatePositionId(),
             symbol: signal.symbol,
@@ -60,58 +80,254 @@ class PortfolioManager extends EventEmitter {
             side: signal.side, // 'long' or 'short'
             entryPrice: signal.price,
             size: positionSize,
-            timestamp: moment(),
+            plannedSize,
+            filledSize: positionSize,
+            timestamp,
             stopLoss: signal.stopLoss,
             takeProfit: signal.takeProfit,
             status: 'open',
             unrealizedPnL: 0,
+            realizedPnL: 0,
             maxDrawdown: 0,
-            maxProfit: 0
+            maxProfit: 0,
+            leverage: sizing.leverage,
+            quoteRate: sizing.quoteRate,
+            liquidationPrice: sizing.liquidationPrice,
+            fills: [{ price: signal.price, size: positionSize, timestamp: timestamp.valueOf(), type: 'entry' }],
+            exits: [],
+            scaleInLevels: scaleIn.levels,
+            exitPlan: this.buildExitPlan(signal.metadata?.partialExitLevels)
         };
 
+        this.trailingStops.attach(position, this.trailingStops.ruleFromMetadata(signal.metadata));
+
         this.positions.set(position.id, position);
-        this.currentCapital -= positionSize * signal.price;
+        this.currentCapital -= this.getReservedCapital(position);
 
         this.emit('positionOpened', position);
         return position;
     }
 
-    closePosition(positionId, closePrice, reason = 'manual') {
+    closePosition(positionId, closePrice, reason = 'manual', closedAt = null) {
         const position = this.positions.get(positionId);
         if (!position) return false;
 
         const pnl = this.calculatePnL(position, closePrice);
+        const closeTimestamp = closedAt ? moment(closedAt) : moment();
+        const exits = [...(position.exits || []), {
+            price: closePrice,
+            size: position.size,
+            realizedPnL: pnl,
+            reason,
+            timestamp: closeTimestamp.valueOf()
+        }];
+
+        // The closed trade reports the whole round trip: every fill and every exit slice
         const trade = {
             ...position,
+            size: position.filledSize || position.size,
+            exits,
             closePrice,
-            closeTimestamp: moment(),
-            realizedPnL: pnl,
+            closeTimestamp,
+            realizedPnL: (position.realizedPnL || 0) + pnl,
             reason,
-            duration: moment().diff(position.timestamp, 'hours'),
+            duration: closeTimestamp.diff(position.timestamp, 'hours'),
             status: 'closed'
         };
 
         this.closedTrades.push(trade);
         this.positions.delete(positionId);
-        this.currentCapital += (position.size * closePrice);
+        // Release the margin reserved for the remaining size plus its side-aware PnL
+        this.currentCapital += this.getReservedCapital(position) + pnl;
 
         this.emit('positionClosed', trade);
         return trade;
     }
 
+    closePartial(positionId, closePrice, size, reason = 'partial_exit', closedAt = null) {
+        const position = this.positions.get(positionId);
+        if (!position) return false;
+
+        // Float dust: anything at or above the open size is a full close
+        if (size >= position.size * (1 - 1e-9)) {
+            return this.closePosition(positionId, closePrice, reason, closedAt);
+        }
+
+        const pnl = this.calculatePnL(position, closePrice, size);
+        const exit = {
+            price: closePrice,
+            size,
+            realizedPnL: pnl,
+            reason,
+            timestamp: (closedAt ? moment(closedAt) : moment()).valueOf()
+        };
+
+        position.size -= size;
+        position.realizedPnL = (position.realizedPnL || 0) + pnl;
+        position.exits = [...(position.exits || []), exit];
+        this.currentCapital += this.getReservedCapital(position, size) + pnl;
+
+        this.emit('positionPartiallyClosed', { position, exit });
+        return exit;
+    }
+
+    addToPosition(positionId, price, size, reason = 'scale_in', filledAt = null) {
+        const position = this.positions.get(positionId);
+        if (!position) return false;
+
+        const margin = this.getReservedCapital(position, size, price);
+        if (margin > this.getAvailableCapital()) {
+            this.emit('positionRejected', { symbol: position.symbol, strategy: position.strategy, checks: { capital: false }, positionId });
+            return false;
+        }
+
+        const fill = {
+            price,
+            size,
+            timestamp: (filledAt ? moment(filledAt) : moment()).valueOf(),
+            type: reason
+        };
+
+        // Average cost of what is still open plus the new fill
+        const newSize = position.size + size;
+        position.entryPrice = (position.entryPrice * position.size + price * size) / newSize;
+        position.size = newSize;
+        position.filledSize = (position.filledSize || 0) + size;
+        position.fills = [...(position.fills || []), fill];
+        position.liquidationPrice = this.positionSizer.calculateLiquidationPrice(position.side, position.entryPrice, position.leverage || 1);
+        this.currentCapital -= margin;
+
+        this.emit('positionScaledIn', { position, fill });
+        return fill;
+    }
+
+    // Live fills replace the signal price/size the position was opened with
+    applyEntryFill(positionId, price, size) {
+        const position = this.positions.get(positionId);
+        if (!position) return false;
+
+        const planned = position.fills[0];
+        const newSize = position.size - planned.size + size;
+        if (newSize <= 0) return this.cancelPosition(positionId, 'entry_unfilled');
+
+        this.currentCapital += this.getReservedCapital(position, planned.size, planned.price) - this.getReservedCapital(position, size, price);
+        position.entryPrice = (position.entryPrice * position.size - planned.price * planned.size + price * size) / newSize;
+        position.liquidationPrice = this.positionSizer.calculateLiquidationPrice(position.side, position.entryPrice, position.leverage || 1);
+        position.size = newSize;
+        position.filledSize = (position.filledSize || planned.size) - planned.size + size;
+        position.fills = [{ ...planned, price, size }, ...position.fills.slice(1)];
+
+        this.emit('positionUpdated', position);
+        return position;
+    }
+
+    cancelPosition(positionId, reason = 'canceled') {
+        const position = this.positions.get(positionId);
+        if (!position) return false;
+
+        // Never traded: give the reserved capital back without recording a trade
+        this.positions.delete(positionId);
+        this.currentCapital += this.getReservedCapital(position) + (position.realizedPnL || 0);
+
+        const canceled = { ...position, status: 'canceled', reason };
+        this.emit('positionCanceled', canceled);
+        return canceled;
+    }
+
+    // Scaling / partial exit plans
+    buildScaleInPlan(levels, plannedSize) {
+        const valid = (Array.isArray(levels) ? levels : [])
+            .filter(level => Number.isFinite(level.price) && level.size > 0);
+
+        if (valid.length === 0) {
+            return { entryFraction: 1, levels: [] };
+        }
+
+        // Fractions that add up to a full position are split evenly with the entry
+        const total = valid.reduce((sum, level) => sum + level.size, 0);
+        const even = 1 / (valid.length + 1);
+
+        return {
+            entryFraction: total >= 1 ? even : 1 - total,
+            levels: valid.map(level => ({
+                level: level.level,
+                price: level.price,
+                size: plannedSize * (total >= 1 ? even : level.size),
+                status: 'pending'
+            }))
+        };
+    }
+
+    buildExitPlan(levels) {
+        return (Array.isArray(levels) ? levels : [])
+            .filter(level => Number.isFinite(level.price) && level.percentage > 0)
+            .map((level, index) => ({
+                level: index + 1,
+                price: level.price,
+                percentage: level.percentage,
+                status: 'pending'
+            }));
+    }
+
+    getTriggeredScaleIns(position, price) {
+        const isLong = position.side === 'long';
+
+        return (position.scaleInLevels || []).filter(level =>
+            level.status === 'pending' &&
+            (isLong ? price <= level.price : price >= level.price) &&
+            (isLong ? price > position.stopLoss : price < position.stopLoss)
+        );
+    }
+
+    getTriggeredExits(position, price) {
+        const isLong = position.side === 'long';
+
+        return (position.exitPlan || []).filter(level =>
+            level.status === 'pending' && (isLong ? price >= level.price : price <= level.price)
+        );
+    }
+
+    executeScaleIn(position, level, fillPrice, filledAt = null) {
+        const fill = this.addToPosition(position.id, fillPrice, level.size, 'scale_in', filledAt);
+        level.status = fill ? 'filled' : 'skipped';
+        return fill;
+    }
+
+    executePartialExit(position, level, fillPrice, closedAt = null) {
+        // Percentages refer to the total filled size; the last pending level takes what is left
+        const isLast = position.exitPlan.every(other => other === level || other.status !== 'pending');
+        const size = isLast
+            ? position.size
+            : Math.min(position.size, position.filledSize * level.percentage / 100);
+
+        level.status = 'filled';
+        return this.closePartial(position.id, fillPrice, size, isLast ? 'take_profit' : `partial_exit_${level.level}`, closedAt);
+    }
+
     // Risk Management
     calculatePositionSize(signal) {
-        const riskAmount = this.currentCapital * this.maxRiskPerTrade;
-        const stopDistance = Math.abs(signal.price - signal.stopLoss) / signal.price;
-        
-        // Position size based on risk and stop distance
-        let positionValue = riskAmount / stopDistance;
-        
-        // Don't exceed available capital
-        const maxPositionValue = this.getAvailableCapital() * 0.8;
-        positionValue = Math.min(positionValue, maxPositionValue);
-        
-        return positionValue / signal.price; // Return size in units
+        return this.positionSizer.calculate({
+            symbol: signal.symbol,
+            side: signal.side,
+            price: signal.price,
+            stopLoss: signal.stopLoss,
+            capital: this.currentCapital,
+            availableCapital: this.getAvailableCapital(),
+            riskPerTrade: this.maxRiskPerTrade
+        });
+    }
+
+    setPositionSizer(positionSizer) {
+        this.positionSizer = positionSizer;
+    }
+
+    // Margin tied up by `size` units filled at `price`, in account currency
+    getReservedCapital(position, size = position.size, price = position.entryPrice) {
+        return this.getPositionNotional(position, size, price) / (position.leverage || 1);
+    }
+
+    getPositionNotional(position, size = position.size, price = position.entryPrice) {
+        return size * price * (position.quoteRate || 1);
     }
 
     checkRiskBudget(strategy, currentPrice) {
@@ -121,26 +337,25 @@ class PortfolioManager extends EventEmitter {
         return (currentRisk + newTradeRisk) <= this.maxPortfolioRisk;
     }
 
+    setCorrelationEngine(engine) {
+        this.correlationEngine = engine;
+    }
+
     checkCorrelationLimit(symbol) {
-        // Simplified correlation check - in production use real correlation data
         const correlatedSymbols = this.getCorrelatedSymbols(symbol);
         const correlatedPositions = Array.from(this.positions.values())
             .filter(pos => correlatedSymbols.includes(pos.symbol));
         
-        return correlatedPositions.length < 2; // Max 2 correlated positions
+        return correlatedPositions.length < this.maxCorrelatedPositions;
     }
 
     getCorrelatedSymbols(symbol) {
-        // Simplified - in production use actual correlation matrix
-        const correlationGroups = {
-            'BTC': ['ETH', 'LTC', 'BCH'],
-            'ETH': ['BTC', 'ADA', 'DOT'],
-            'ADA': ['ETH', 'DOT', 'SOL'],
-            'DOT': ['ETH', 'ADA', 'LINK']
-        };
+        // Without return history there is nothing to measure - no pair counts as correlated
+        if (!this.correlationEngine) return [];
         
-        const baseSymbol = symbol.replace('/USDT', '').replace('/USD', '');
-        return correlationGroups[baseSymbol] || [];
+        return this.correlationEngine
+            .getCorrelated(symbol, this.correlationThreshold)
+            .map(entry => entry.symbol);
     }
 
     // Performance Analytics
@@ -150,14 +365,15 @@ class PortfolioManager extends EventEmitter {
             if (!currentPrice) continue;
 
             const unrealizedPnL = this.calculatePnL(position, currentPrice);
-            const pnlPercent = unrealizedPnL / (position.size * position.entryPrice);
+            const pnlPercent = unrealizedPnL / this.getPositionNotional(position);
 
             // Update position metrics
             position.unrealizedPnL = unrealizedPnL;
             position.maxProfit = Math.max(position.maxProfit, pnlPercent);
             position.maxDrawdown = Math.min(position.maxDrawdown, pnlPercent);
 
-            // Check stop loss / take profit
+            // Trail the stop before checking stop loss / take profit
+            this.trailingStops.update(position, currentPrice);
             this.checkExitConditions(id, position, currentPrice);
         }
 
@@ -165,38 +381,39 @@ class PortfolioManager extends EventEmitter {
     }
 
     checkExitConditions(positionId, position, currentPrice) {
-        let shouldClose = false;
-        let reason = '';
-
-        if (position.side === 'long') {
-            if (currentPrice <= position.stopLoss) {
-                shouldClose = true;
-                reason = 'stop_loss';
-            } else if (currentPrice >= position.takeProfit) {
-                shouldClose = true;
-                reason = 'take_profit';
-            }
-        } else { // short
-            if (currentPrice >= position.stopLoss) {
-                shouldClose = true;
-                reason = 'stop_loss';
-            } else if (currentPrice <= position.takeProfit) {
-                shouldClose = true;
-                reason = 'take_profit';
-            }
+        const isLong = position.side === 'long';
+        const stopHit = isLong ? currentPrice <= position.stopLoss : currentPrice >= position.stopLoss;
+
+        if (stopHit) {
+            this.closePosition(positionId, currentPrice, this.getStopReason(position));
+            return;
+        }
+
+        for (const level of this.getTriggeredScaleIns(position, currentPrice)) {
+            this.executeScaleIn(position, level, currentPrice);
+        }
+
+        for (const level of this.getTriggeredExits(position, currentPrice)) {
+            this.executePartialExit(position, level, currentPrice);
+            if (!this.positions.has(positionId)) return;
         }
 
-        if (shouldClose) {
-            this.closePosition(positionId, currentPrice, reason);
+        const targetHit = isLong ? currentPrice >= position.takeProfit : currentPrice <= position.takeProfit;
+        if (targetHit) {
+            this.closePosition(positionId, currentPrice, 'take_profit');
         }
     }
 
-    calculatePnL(position, currentPrice) {
+    getStopReason(position) {
+        return this.trailingStops.hasTrailed(position) ? 'trailing_stop' : 'stop_loss';
+    }
+
+    calculatePnL(position, currentPrice, size = position.size) {
         const priceDiff = position.side === 'long' 
             ? currentPrice - position.entryPrice
             : position.entryPrice - currentPrice;
         
-        return position.size * priceDiff;
+        return size * priceDiff * (position.quoteRate || 1);
     }
 
     // Portfolio Analytics
@@ -228,7 +445,7 @@ class PortfolioManager extends EventEmitter {
 
     getOpenPositionsValue() {
         return Array.from(this.positions.values())
-            .reduce((total, pos) => total + (pos.size * pos.entryPrice), 0);
+            .reduce((total, pos) => total + this.getReservedCapital(pos), 0);
     }
 
     getTotalUnrealizedPnL() {
@@ -283,6 +500,25 @@ class PortfolioManager extends EventEmitter {
         return maxDD;
     }
 
+    // Realized equity after each closed trade, plus a mark-to-market point for open positions
+    getEquityCurve() {
+        const trades = this.closedTrades.slice()
+            .sort((a, b) => moment(a.closeTimestamp).valueOf() - moment(b.closeTimestamp).valueOf());
+
+        let equity = this.initialCapital;
+        const curve = [{ timestamp: trades.length > 0 ? moment(trades[0].timestamp).valueOf() : Date.now(), equity, pnl: 0 }];
+
+        for (const trade of trades) {
+            equity += trade.realizedPnL;
+            curve.push({ timestamp: moment(trade.closeTimestamp).valueOf(), equity, pnl: trade.realizedPnL, symbol: trade.symbol });
+        }
+
+        if (this.positions.size > 0) {
+            curve.push({ timestamp: Date.now(), equity: equity + this.getTotalUnrealizedPnL(), pnl: 0, unrealized: true });
+        }
+        return curve;
+    }
+
     getSharpeRatio() {
         if (this.dailyPnL.length < 2) return 0;
         
@@ -310,6 +546,39 @@ class PortfolioManager extends EventEmitter {
         }
     }
 
+    // Persistence
+    restoreState({ positions = [], closedTrades = [] } = {}) {
+        this.positions.clear();
+        this.closedTrades = [];
+
+        // Replay the same capital accounting used by openPosition/closePosition
+        let capital = this.initialCapital;
+
+        for (const trade of closedTrades) {
+            this.closedTrades.push({
+                ...trade,
+                timestamp: moment(trade.timestamp),
+                closeTimestamp: moment(trade.closeTimestamp)
+            });
+            capital += trade.realizedPnL;
+        }
+
+        for (const position of positions) {
+            this.positions.set(position.id, {
+                ...position,
+                timestamp: moment(position.timestamp)
+            });
+            // Partial exits already returned their slice of capital and PnL
+            capital -= this.getReservedCapital(position);
+            capital += position.realizedPnL || 0;
+        }
+
+        this.currentCapital = capital;
+
+        console.log(`♻️ Portfolio restored: ${this.positions.size} open positions, ${this.closedTrades.length} closed trades`);
+        this.emit('stateRestored', this.getPortfolioSummary());
+    }
+
     // Utilities
     generatePositionId() {
         return `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -321,7 +590,7 @@ class PortfolioManager extends EventEmitter {
         
         // Close underperforming positions
         for (const [id, position] of this.positions) {
-            const pnlPercent = position.unrealizedPnL / (position.size * position.entryPrice);
+            const pnlPercent = position.unrealizedPnL / this.getPositionNotional(position);
             
             // Close if loss > 15% or if position is underperforming significantly
             if (pnlPercent < -0.15) {
@@ -0,0 +1,120 @@
+const STABLECOINS = ['USDT', 'USDC', 'BUSD', 'DAI'];
+
+// Single sizing model shared by PortfolioManager and QuantfuryManager.
+// Units are in the instrument's base (coins, ounces, shares, base currency);
+// money values (risk, notional, margin, pip value) are in the account currency.
+class PositionSizer {
+    constructor(config = {}) {
+        this.accountCurrency = config.accountCurrency || 'USD';
+        this.instruments = config.instruments || {};
+        this.defaultLeverage = config.defaultLeverage || 1;
+        this.maxMarginUsage = config.maxMarginUsage ?? 0.8;         // Of available capital per position
+        this.maintenanceMargin = config.maintenanceMargin ?? 0.5;   // Stop-out at 50% margin level
+        this.rates = config.rates || {};                            // Account currency per 1 unit of quote currency
+    }
+
+    getInstrument(symbol) {
+        return this.instruments[symbol] || null;
+    }
+
+    calculate({ symbol, side, price, stopLoss, capital, availableCapital = capital, riskPerTrade = 0.02 }) {
+        if (!(price > 0)) {
+            throw new Error(`Invalid price for ${symbol}: ${price}`);
+        }
+
+        const instrument = this.getInstrument(symbol);
+        const leverage = instrument?.leverage || this.defaultLeverage;
+        const contractSize = instrument?.contractSize || 1;
+        const quoteCurrency = this.getQuoteCurrency(symbol, instrument);
+        const quoteRate = this.getQuoteRate(symbol, price, instrument);
+        const pipSize = this.getPipSize(symbol, instrument);
+
+        // Risk budget: losing `riskAmount` when the stop is hit
+        const riskAmount = capital * riskPerTrade;
+        const stopDistance = Number.isFinite(stopLoss) ? Math.abs(price - stopLoss) : 0;
+        const riskUnits = stopDistance > 0 ? riskAmount / (stopDistance * quoteRate) : Infinity;
+
+        // Margin budget: the position may tie up at most maxMarginUsage of free capital
+        const maxUnits = Math.max(0, availableCapital) * this.maxMarginUsage * leverage / (price * quoteRate);
+        const units = Math.min(riskUnits, maxUnits);
+
+        const notional = units * price * quoteRate;
+        const liquidationPrice = this.calculateLiquidationPrice(side, price, leverage);
+
+        return {
+            symbol,
+            side,
+            units,
+            lots: units / contractSize,
+            contractSize,
+            leverage,
+            quoteCurrency,
+            quoteRate,
+            notional,
+            margin: notional / leverage,
+            riskAmount,
+            riskAtStop: units * stopDistance * quoteRate,
+            pipSize,
+            pipValue: pipSize ? units * pipSize * quoteRate : null,
+            liquidationPrice,
+            stopBeyondLiquidation: this.isStopBeyondLiquidation(side, stopLoss, liquidationPrice),
+            limitedBy: riskUnits <= maxUnits ? 'risk' : 'margin'
+        };
+    }
+
+    // Isolated margin: liquidated once losses eat (1 - maintenance) of the posted margin
+    calculateLiquidationPrice(side, price, leverage) {
+        if (leverage <= 1) return null;
+
+        const move = price * (1 - this.maintenanceMargin) / leverage;
+        return side === 'long' ? price - move : price + move;
+    }
+
+    isStopBeyondLiquidation(side, stopLoss, liquidationPrice) {
+        if (liquidationPrice === null || !Number.isFinite(stopLoss)) return false;
+        return side === 'long' ? stopLoss <= liquidationPrice : stopLoss >= liquidationPrice;
+    }
+
+    // Currency handling
+    getQuoteCurrency(symbol, instrument = this.getInstrument(symbol)) {
+        if (instrument?.quoteCurrency) return instrument.quoteCurrency;
+        if (symbol.includes('/')) return symbol.split('/')[1].split(':')[0];
+
+        // EURUSD, USDJPY, XAUUSD, BTCUSD: the last three letters are the quote
+        if (/^[A-Z]{6}$/.test(symbol)) return symbol.slice(3);
+
+        return this.accountCurrency; // Stocks and CFDs quoted in the account currency
+    }
+
+    getBaseCurrency(symbol) {
+        if (symbol.includes('/')) return symbol.split('/')[0];
+        return /^[A-Z]{6}$/.test(symbol) ? symbol.slice(0, 3) : symbol;
+    }
+
+    isSameCurrency(a, b) {
+        const normalize = (currency) => STABLECOINS.includes(currency) ? 'USD' : currency;
+        return normalize(a) === normalize(b);
+    }
+
+    getQuoteRate(symbol, price, instrument = this.getInstrument(symbol)) {
+        const quote = this.getQuoteCurrency(symbol, instrument);
+        if (this.isSameCurrency(quote, this.accountCurrency)) return 1;
+
+        // USDJPY in a USD account: one yen is worth 1 / price dollars
+        if (this.isSameCurrency(this.getBaseCurrency(symbol), this.accountCurrency)) return 1 / price;
+
+        if (this.rates[quote]) return this.rates[quote];
+
+        throw new Error(`No ${quote}/${this.accountCurrency} conversion rate for ${symbol}`);
+    }
+
+    getPipSize(symbol, instrument = this.getInstrument(symbol)) {
+        if (instrument?.pipSize) return instrument.pipSize;
+        if (instrument?.type === 'forex') {
+            return this.getQuoteCurrency(symbol, instrument) === 'JPY' ? 0.01 : 0.0001;
+        }
+        return instrument?.tickSize || null;
+    }
+}
+
+module.exports = PositionSizer;
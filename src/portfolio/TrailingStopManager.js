@@ -0,0 +1,134 @@
+const EventEmitter = require('events');
+
+// Moves position stops in the favourable direction only. Supported rules:
+//   levels:  [{ triggerPrice, stopPrice, level }] as produced by generateTrailingLevels()
+//   atr:     { atr, multiplier, activation } - trail `multiplier` ATR behind the best price
+//            once price has moved `activation` ATR in favour
+//   percent: { percent, activation } - trail `percent` behind the best price once
+//            profit reaches `activation` (fraction of entry)
+class TrailingStopManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.defaultRule = config.defaultRule || null;
+        this.atrMultiplier = config.atrMultiplier || 2;
+        this.atrActivation = config.atrActivation ?? 1;
+    }
+
+    ruleFromMetadata(metadata = {}) {
+        if (Array.isArray(metadata.trailingStopLevels) && metadata.trailingStopLevels.length > 0) {
+            return { type: 'levels', levels: metadata.trailingStopLevels };
+        }
+
+        if (metadata.trailingStop) {
+            return metadata.trailingStop;
+        }
+
+        // Strategies that report ATR get ATR trailing when it is the configured default
+        if (this.defaultRule?.type === 'atr' && metadata.atr) {
+            return { ...this.defaultRule, atr: metadata.atr };
+        }
+
+        return this.defaultRule;
+    }
+
+    attach(position, rule) {
+        if (!rule || !this.isValidRule(rule)) return null;
+
+        const direction = position.side === 'long' ? 1 : -1;
+        const levels = rule.type === 'levels'
+            ? [...rule.levels].sort((a, b) => (a.triggerPrice - b.triggerPrice) * direction)
+            : undefined;
+
+        position.trailingStop = {
+            ...rule,
+            levels,
+            multiplier: rule.type === 'atr' ? (rule.multiplier || this.atrMultiplier) : undefined,
+            activation: rule.activation ?? (rule.type === 'atr' ? this.atrActivation : 0),
+            initialStop: position.stopLoss,
+            bestPrice: position.entryPrice,
+            currentLevel: 0,
+            moves: 0
+        };
+
+        return position.trailingStop;
+    }
+
+    isValidRule(rule) {
+        switch (rule.type) {
+            case 'levels':
+                return Array.isArray(rule.levels) && rule.levels.every(level =>
+                    Number.isFinite(level.triggerPrice) && Number.isFinite(level.stopPrice)
+                );
+            case 'atr':
+                return Number.isFinite(rule.atr) && rule.atr > 0;
+            case 'percent':
+                return Number.isFinite(rule.percent) && rule.percent > 0;
+            default:
+                return false;
+        }
+    }
+
+    update(position, price) {
+        const trailing = position.trailingStop;
+        if (!trailing || !Number.isFinite(price)) return null;
+
+        const isLong = position.side === 'long';
+        trailing.bestPrice = isLong ? Math.max(trailing.bestPrice, price) : Math.min(trailing.bestPrice, price);
+
+        const candidate = this.calculateStop(position, trailing, price);
+        if (candidate === null) return null;
+
+        // Ratchet only - never loosen the stop
+        const improves = isLong ? candidate > position.stopLoss : candidate < position.stopLoss;
+        if (!improves) return null;
+
+        const previousStop = position.stopLoss;
+        position.stopLoss = candidate;
+        trailing.moves++;
+
+        const update = { position, previousStop, newStop: candidate, price, level: trailing.currentLevel, type: trailing.type };
+        this.emit('stopMoved', update);
+        return update;
+    }
+
+    calculateStop(position, trailing, price) {
+        const isLong = position.side === 'long';
+        const direction = isLong ? 1 : -1;
+
+        switch (trailing.type) {
+            case 'levels': {
+                let stop = null;
+                while (trailing.currentLevel < trailing.levels.length) {
+                    const next = trailing.levels[trailing.currentLevel];
+                    const crossed = isLong ? price >= next.triggerPrice : price <= next.triggerPrice;
+                    if (!crossed) break;
+
+                    stop = next.stopPrice;
+                    trailing.currentLevel++;
+                }
+                return stop;
+            }
+
+            case 'atr': {
+                const favourable = (trailing.bestPrice - position.entryPrice) * direction;
+                if (favourable < trailing.activation * trailing.atr) return null;
+                return trailing.bestPrice - trailing.multiplier * trailing.atr * direction;
+            }
+
+            case 'percent': {
+                const favourable = (trailing.bestPrice - position.entryPrice) * direction / position.entryPrice;
+                if (favourable < trailing.activation) return null;
+                return trailing.bestPrice * (1 - trailing.percent * direction);
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    hasTrailed(position) {
+        return (position.trailingStop?.moves || 0) > 0;
+    }
+}
+
+module.exports = TrailingStopManager;
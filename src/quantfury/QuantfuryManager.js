@@ -1,51 +1,38 @@
 const EventEmitter = require('events');
 const axios = require('axios');
+const PositionSizer = require('../portfolio/PositionSizer');
+const InstrumentRegistry = require('../instruments/InstrumentRegistry');
 
 class QuantfuryManager extends EventEmitter {
     constructor(config = {}) {
         super();
         this.config = config;
         
-        // Quantfury no tiene API pública, así que manejamos todo via alertas inteligentes
+        // Quantfury no tiene API pública, así que manejamos todo via alertas inteligentes.
+        // Una alerta pasa de active a executed (simulateExecution) o expired (alertTtl);
+        // cada cambio se emite con alertUpdated y las ejecuciones con executionUpdated
         this.activeSignals = new Map();
         this.executedTrades = [];
+        this.initialBalance = config.initialBalance || 10000;
+        this.alertTtl = config.alertTtl || 3600000;
         this.virtualPortfolio = {
-            balance: config.initialBalance || 10000,
+            balance: this.initialBalance,
             positions: new Map(),
             unrealizedPnL: 0,
             realizedPnL: 0
         };
         
-        // Instrumentos disponibles en Quantfury
-        this.instruments = {
-            // Forex
-            'EURUSD': { type: 'forex', leverage: 30, spread: 0.1, commission: 0 },
-            'GBPUSD': { type: 'forex', leverage: 30, spread: 0.2, commission: 0 },
-            'USDJPY': { type: 'forex', leverage: 30, spread: 0.1, commission: 0 },
-            'AUDUSD': { type: 'forex', leverage: 30, spread: 0.1, commission: 0 },
-            'USDCAD': { type: 'forex', leverage: 30, spread: 0.1, commission: 0 },
-            
-            // Commodities
-            'XAUUSD': { type: 'metal', leverage: 20, spread: 0.5, commission: 0 },
-            'XAGUSD': { type: 'metal', leverage: 20, spread: 0.02, commission: 0 },
-            'WTICRUD': { type: 'commodity', leverage: 10, spread: 0.05, commission: 0 },
-            
-            // Crypto
-            'BTCUSD': { type: 'crypto', leverage: 10, spread: 1, commission: 0 },
-            'ETHUSD': { type: 'crypto', leverage: 10, spread: 0.5, commission: 0 },
-            'ADAUSD': { type: 'crypto', leverage: 10, spread: 0.001, commission: 0 },
-            'DOTUSD': { type: 'crypto', leverage: 10, spread: 0.01, commission: 0 },
-            
-            // Stocks
-            'AAPL': { type: 'stock', leverage: 5, spread: 0.01, commission: 0 },
-            'TSLA': { type: 'stock', leverage: 5, spread: 0.02, commission: 0 },
-            'GOOGL': { type: 'stock', leverage: 5, spread: 0.05, commission: 0 },
-            'AMZN': { type: 'stock', leverage: 5, spread: 0.05, commission: 0 },
-            'MSFT': { type: 'stock', leverage: 5, spread: 0.01, commission: 0 }
-        };
+        // Instrumentos disponibles en Quantfury (catálogo src/config/instruments.json)
+        this.instrumentRegistry = config.instrumentRegistry || InstrumentRegistry.getDefault();
+        this.instruments = this.instrumentRegistry.getVenueInstruments('quantfury');
         
         this.priceData = new Map();
         this.alertQueue = [];
+        this.positionSizer = new PositionSizer({ instruments: this.instruments, ...config.sizing });
+    }
+
+    setPositionSizer(positionSizer) {
+        this.positionSizer = positionSizer;
     }
 
     // Configuración específica para Quantfury
@@ -56,44 +43,52 @@ class QuantfuryManager extends EventEmitter {
             return null;
         }
 
-        // Calcular position size óptimo basado en leverage y riesgo
-        const leverage = instrument.leverage;
-        const riskAmount = this.virtualPortfolio.balance * 0.02; // 2% risk
-        const stopDistance = Math.abs(signal.price - signal.stopLoss) / signal.price;
-        const positionSize = (riskAmount / stopDistance) / signal.price;
-        const leveragedSize = positionSize * leverage;
+        // Tamaño por riesgo (2%) limitado por margen; el leverage solo reduce el margen requerido
+        const sizing = this.positionSizer.calculate({
+            symbol: signal.symbol,
+            side: signal.side,
+            price: signal.price,
+            stopLoss: signal.stopLoss,
+            capital: this.virtualPortfolio.balance,
+            riskPerTrade: this.config.riskPerTrade || 0.02
+        });
 
         const alert = {
             id: this.generateAlertId(),
             timestamp: Date.now(),
             platform: 'quantfury',
+            status: 'active',
             instrument: signal.symbol,
             action: signal.side, // 'long' o 'short'
             price: signal.price,
             stopLoss: signal.stopLoss,
             takeProfit: signal.takeProfit,
-            positionSize: leveragedSize,
-            leverage: leverage,
-            riskAmount: riskAmount,
+            positionSize: sizing.notional,
+            units: sizing.units,
+            leverage: sizing.leverage,
+            requiredMargin: sizing.margin,
+            liquidationPrice: sizing.liquidationPrice,
+            pipValue: sizing.pipValue,
+            riskAmount: sizing.riskAtStop,
             
             // Información específica de Quantfury
             spread: instrument.spread,
             type: instrument.type,
             
             // Instrucciones para ejecución manual
-            instructions: this.generateExecutionInstructions(signal, instrument, leveragedSize),
+            instructions: this.generateExecutionInstructions(signal, instrument, sizing),
             
             // Alertas de precio
             priceAlerts: this.generatePriceAlerts(signal),
             
             // Análisis de riesgo
-            riskAnalysis: this.analyzeRisk(signal, instrument, leveragedSize)
+            riskAnalysis: this.analyzeRisk(signal, instrument, sizing)
         };
 
         return alert;
     }
 
-    generateExecutionInstructions(signal, instrument, positionSize) {
+    generateExecutionInstructions(signal, instrument, sizing) {
         const instructions = {
             setup: [
                 `🎯 Abrir Quantfury app`,
@@ -103,7 +98,8 @@ class QuantfuryManager extends EventEmitter {
             ],
             entry: [
                 `📍 Precio de entrada: $${signal.price.toFixed(4)}`,
-                `💰 Tamaño posición: $${positionSize.toFixed(2)}`,
+                `💰 Tamaño posición: $${sizing.notional.toFixed(2)} (${sizing.units.toFixed(4)} unidades)`,
+                `🏦 Margen requerido: $${sizing.margin.toFixed(2)}`,
                 `🎯 Dirección: ${signal.side.toUpperCase()}`,
                 `⏰ Ejecutar AHORA o a precio de mercado`
             ],
@@ -111,7 +107,8 @@ class QuantfuryManager extends EventEmitter {
                 `🛑 Stop Loss: $${signal.stopLoss.toFixed(4)}`,
                 `🎯 Take Profit: $${signal.takeProfit.toFixed(4)}`,
                 `📊 Risk/Reward: ${signal.riskRewardRatio?.toFixed(2) || 'N/A'}`,
-                `💸 Riesgo máximo: $${(positionSize * 0.02).toFixed(2)}`
+                `💸 Riesgo máximo: $${sizing.riskAtStop.toFixed(2)}`,
+                ...(sizing.liquidationPrice !== null ? [`☠️ Liquidación estimada: $${sizing.liquidationPrice.toFixed(4)}`] : [])
             ],
             monitoring: [
                 `📱 Configurar alertas de precio en ${signal.stopLoss} y ${signal.takeProfit}`,
@@ -165,11 +162,11 @@ class QuantfuryManager extends EventEmitter {
         return alerts;
     }
 
-    analyzeRisk(signal, instrument, positionSize) {
+    analyzeRisk(signal, instrument, sizing) {
         const analysis = {
             instrumentRisk: this.getInstrumentRisk(instrument),
-            leverageRisk: this.getLeverageRisk(instrument.leverage),
-            positionRisk: this.getPositionRisk(positionSize),
+            leverageRisk: this.getLeverageRisk(sizing.leverage),
+            positionRisk: this.getPositionRisk(sizing.margin),
             marketRisk: this.getMarketRisk(signal.symbol),
             overallRisk: 'medium'
         };
@@ -210,8 +207,9 @@ class QuantfuryManager extends EventEmitter {
         return { score: 2, description: 'Leverage bajo - Riesgo controlado' };
     }
 
-    getPositionRisk(positionSize) {
-        const portfolioPercent = (positionSize / this.virtualPortfolio.balance) * 100;
+    getPositionRisk(margin) {
+        // Porcentaje del balance comprometido como margen
+        const portfolioPercent = (margin / this.virtualPortfolio.balance) * 100;
         
         if (portfolioPercent > 50) return { score: 9, description: 'Posición muy grande - Riesgo extremo' };
         if (portfolioPercent > 25) return { score: 7, description: 'Posición grande - Riesgo alto' };
@@ -333,6 +331,7 @@ class QuantfuryManager extends EventEmitter {
             side: alert.action,
             entryPrice: executionPrice,
             positionSize: alert.positionSize,
+            units: alert.units ?? alert.positionSize / alert.price,
             leverage: alert.leverage,
             stopLoss: alert.stopLoss,
             takeProfit: alert.takeProfit,
@@ -344,9 +343,11 @@ class QuantfuryManager extends EventEmitter {
         // Agregar a portfolio virtual
         this.virtualPortfolio.positions.set(execution.id, execution);
         this.executedTrades.push(execution);
+        this.updateAlertStatus(alert, 'executed', { executionId: execution.id, executedAt: executionTime });
 
         console.log(`✅ Simulated execution: ${execution.id}`);
         this.emit('executionSimulated', execution);
+        this.emit('executionUpdated', execution);
 
         return execution;
     }
@@ -364,7 +365,7 @@ class QuantfuryManager extends EventEmitter {
             ? closePrice - position.entryPrice
             : position.entryPrice - closePrice;
         
-        const pnl = priceDiff * position.positionSize;
+        const pnl = priceDiff * position.units * this.positionSizer.getQuoteRate(position.symbol, closePrice);
         const pnlPercent = (priceDiff / position.entryPrice) * 100;
 
         // Actualizar posición
@@ -382,10 +383,29 @@ class QuantfuryManager extends EventEmitter {
 
         console.log(`💰 Position closed: ${executionId} PnL: $${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
         this.emit('positionClosed', position);
+        this.emit('executionUpdated', position);
 
         return position;
     }
 
+    // Alertas no ejecutadas dentro de alertTtl dejan de estar activas
+    expireAlerts(now = Date.now()) {
+        const expired = Array.from(this.activeSignals.values())
+            .filter(alert => now - alert.timestamp > this.alertTtl);
+
+        for (const alert of expired) {
+            this.updateAlertStatus(alert, 'expired', { expiredAt: now });
+            console.log(`⌛ Quantfury alert expired: ${alert.id}`);
+        }
+        return expired;
+    }
+
+    updateAlertStatus(alert, status, fields = {}) {
+        Object.assign(alert, { status, ...fields });
+        this.activeSignals.delete(alert.id);
+        this.emit('alertUpdated', alert);
+    }
+
     // Obtener rendimiento del sistema
     getPerformanceStats() {
         const closedTrades = this.executedTrades.filter(t => t.status === 'closed');
@@ -397,7 +417,7 @@ class QuantfuryManager extends EventEmitter {
             losingTrades: closedTrades.length - winningTrades.length,
             winRate: closedTrades.length > 0 ? (winningTrades.length / closedTrades.length) * 100 : 0,
             totalPnL: this.virtualPortfolio.realizedPnL,
-            totalReturn: ((this.virtualPortfolio.balance - this.config.initialBalance) / this.config.initialBalance) * 100,
+            totalReturn: ((this.virtualPortfolio.balance - this.initialBalance) / this.initialBalance) * 100,
             openPositions: this.virtualPortfolio.positions.size,
             averageWin: winningTrades.length > 0 ? winningTrades.reduce((sum, t) => sum + t.realizedPnL, 0) / winningTrades.length : 0,
             averageLoss: (closedTrades.length - winningTrades.length) > 0 ? 
@@ -409,6 +429,34 @@ class QuantfuryManager extends EventEmitter {
         return stats;
     }
 
+    // Restaurar alertas y ejecuciones persistidas tras un reinicio. El portfolio virtual
+    // se reconstruye a partir de las ejecuciones: abiertas como posiciones, cerradas como PnL
+    restoreState({ alerts = [], executions = [] } = {}) {
+        this.activeSignals.clear();
+        this.alertQueue = [];
+        this.executedTrades = [];
+        this.virtualPortfolio.positions.clear();
+        this.virtualPortfolio.realizedPnL = 0;
+
+        for (const alert of alerts) {
+            const restored = { ...alert, status: alert.status || 'active' };
+            this.activeSignals.set(restored.id, restored);
+            this.alertQueue.push(restored);
+        }
+
+        for (const execution of executions) {
+            this.executedTrades.push(execution);
+            if (execution.status === 'closed') {
+                this.virtualPortfolio.realizedPnL += execution.realizedPnL || 0;
+            } else {
+                this.virtualPortfolio.positions.set(execution.id, execution);
+            }
+        }
+        this.virtualPortfolio.balance = this.initialBalance + this.virtualPortfolio.realizedPnL;
+
+        console.log(`♻️ Quantfury state restored: ${this.activeSignals.size} active alerts, ${this.virtualPortfolio.positions.size} open executions`);
+    }
+
     // Utilidades
     generateAlertId() {
         return `qf_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
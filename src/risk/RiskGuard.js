@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+
+// Portfolio-wide circuit breaker. Once tripped it stays tripped - across restarts -
+// until someone re-arms it explicitly (Telegram /rearm or the control API). The equity
+// peak, start-of-day equity and losing streak survive restarts too (`stateChanged`).
+class RiskGuard extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.enabled = config.enabled !== false;
+        this.maxDailyLoss = config.maxDailyLoss ?? 0.05;          // Fraction of start-of-day equity
+        this.maxDrawdown = config.maxDrawdown ?? 0.15;            // Fraction from the equity peak
+        this.maxConsecutiveLosses = config.maxConsecutiveLosses ?? 5;
+        this.flattenOnTrip = config.flattenOnTrip || false;
+
+        this.portfolioManager = null;
+        this.clock = config.clock || (() => Date.now());
+
+        this.tripped = null;
+        this.trips = [];
+        this.peakEquity = null;
+        this.dayStartEquity = null;
+        this.dayKey = null;
+        this.consecutiveLosses = 0;
+        this.lastState = null;
+    }
+
+    attach(portfolioManager) {
+        this.portfolioManager = portfolioManager;
+
+        portfolioManager.on('positionClosed', (trade) => {
+            this.consecutiveLosses = trade.realizedPnL < 0 ? this.consecutiveLosses + 1 : 0;
+            this.evaluate();
+        });
+
+        portfolioManager.on('positionsUpdated', () => this.evaluate());
+    }
+
+    getEquity() {
+        const summary = this.portfolioManager.getPortfolioSummary();
+        return summary.totalValue + summary.unrealizedPnL;
+    }
+
+    evaluate() {
+        if (!this.enabled || !this.portfolioManager) return null;
+
+        const equity = this.getEquity();
+        const dayKey = new Date(this.clock()).toISOString().slice(0, 10);
+
+        // New UTC day: daily loss is measured from the first equity seen today
+        if (dayKey !== this.dayKey) {
+            this.dayKey = dayKey;
+            this.dayStartEquity = equity;
+        }
+        this.peakEquity = Math.max(this.peakEquity ?? equity, equity);
+
+        const metrics = this.getMetrics(equity);
+        if (this.tripped) return metrics;
+
+        if (metrics.dailyLoss >= this.maxDailyLoss) {
+            this.trip('daily_loss', metrics);
+        } else if (metrics.drawdown >= this.maxDrawdown) {
+            this.trip('max_drawdown', metrics);
+        } else if (this.maxConsecutiveLosses > 0 && this.consecutiveLosses >= this.maxConsecutiveLosses) {
+            this.trip('consecutive_losses', metrics);
+        }
+
+        this.emitStateChange();
+        return metrics;
+    }
+
+    getState() {
+        return {
+            peakEquity: this.peakEquity,
+            dayStartEquity: this.dayStartEquity,
+            dayKey: this.dayKey,
+            consecutiveLosses: this.consecutiveLosses
+        };
+    }
+
+    // Only real changes are emitted: evaluate() runs on every price update
+    emitStateChange() {
+        const state = this.getState();
+        const key = JSON.stringify(state);
+        if (key === this.lastState) return;
+
+        this.lastState = key;
+        this.emit('stateChanged', state);
+    }
+
+    getMetrics(equity = this.getEquity()) {
+        return {
+            equity,
+            dayStartEquity: this.dayStartEquity,
+            peakEquity: this.peakEquity,
+            dailyLoss: this.dayStartEquity > 0 ? Math.max(0, (this.dayStartEquity - equity) / this.dayStartEquity) : 0,
+            drawdown: this.peakEquity > 0 ? Math.max(0, (this.peakEquity - equity) / this.peakEquity) : 0,
+            consecutiveLosses: this.consecutiveLosses
+        };
+    }
+
+    trip(reason, metrics = {}, { flatten = this.flattenOnTrip, by = 'system' } = {}) {
+        if (this.tripped) return this.tripped;
+
+        const trip = {
+            id: `trip_${this.clock()}_${Math.random().toString(36).substr(2, 9)}`,
+            reason,
+            metrics,
+            flatten,
+            trippedBy: by,
+            trippedAt: this.clock(),
+            rearmedAt: null,
+            rearmedBy: null
+        };
+
+        this.tripped = trip;
+        this.trips.push(trip);
+
+        console.warn(`🚨 Risk guard tripped: ${reason}`);
+        this.emit('tripped', trip);
+        return trip;
+    }
+
+    kill(by = 'manual') {
+        // Kill switch: always flattens, even if the guard had already tripped
+        const trip = this.tripped || this.trip('kill_switch', this.portfolioManager ? this.getMetrics() : {}, { flatten: true, by });
+        if (!trip.flatten) {
+            trip.flatten = true;
+            this.emit('tripped', trip);
+        }
+        return trip;
+    }
+
+    rearm(by = 'manual') {
+        if (!this.tripped) return null;
+
+        const trip = this.tripped;
+        trip.rearmedAt = this.clock();
+        trip.rearmedBy = by;
+        this.tripped = null;
+
+        // Re-arming accepts the current losses; thresholds apply from here on
+        const equity = this.portfolioManager ? this.getEquity() : null;
+        this.peakEquity = equity;
+        this.dayStartEquity = equity;
+        this.consecutiveLosses = 0;
+        this.emitStateChange();
+
+        console.log(`✅ Risk guard re-armed by ${by}`);
+        this.emit('rearmed', trip);
+        return trip;
+    }
+
+    canTrade() {
+        return !this.enabled || this.tripped === null;
+    }
+
+    // Without a saved state (older databases) the peak, start of day and losing streak are
+    // rebuilt from the realized equity curve of the closed trades
+    restoreState({ trips = [], state = null } = {}) {
+        this.trips = trips;
+        this.tripped = trips.find(trip => !trip.rearmedAt) || null;
+
+        Object.assign(this, state || this.rebuildState());
+        this.lastState = JSON.stringify(this.getState());
+
+        if (this.tripped) {
+            console.warn(`🚨 Risk guard still tripped since ${new Date(this.tripped.trippedAt).toISOString()} (${this.tripped.reason})`);
+        }
+    }
+
+    rebuildState() {
+        if (!this.portfolioManager) return {};
+
+        const dayKey = new Date(this.clock()).toISOString().slice(0, 10);
+        const rearmedAt = Math.max(0, ...this.trips.map(trip => trip.rearmedAt || 0));
+        let equity = this.portfolioManager.initialCapital;
+        let peakEquity = equity;
+        let dayStartEquity = null;
+        let consecutiveLosses = 0;
+
+        for (const trade of this.portfolioManager.closedTrades) {
+            const closedAt = new Date(trade.closeTimestamp).getTime();
+            if (dayStartEquity === null && new Date(closedAt).toISOString().slice(0, 10) === dayKey) {
+                dayStartEquity = equity;
+            }
+            equity += trade.realizedPnL;
+
+            // Re-arming accepted everything up to that point
+            if (closedAt <= rearmedAt) {
+                peakEquity = equity;
+                consecutiveLosses = 0;
+                if (dayStartEquity !== null) dayStartEquity = equity;
+                continue;
+            }
+            peakEquity = Math.max(peakEquity, equity);
+            consecutiveLosses = trade.realizedPnL < 0 ? consecutiveLosses + 1 : 0;
+        }
+
+        return { peakEquity, dayStartEquity: dayStartEquity ?? equity, dayKey, consecutiveLosses };
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            armed: this.canTrade(),
+            tripped: this.tripped,
+            limits: {
+                maxDailyLoss: this.maxDailyLoss,
+                maxDrawdown: this.maxDrawdown,
+                maxConsecutiveLosses: this.maxConsecutiveLosses
+            },
+            metrics: this.portfolioManager ? this.getMetrics() : null,
+            trips: this.trips.length
+        };
+    }
+}
+
+module.exports = RiskGuard;
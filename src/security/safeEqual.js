@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+// Constant-time comparison for secrets and tokens. Hashing first gives equal-length
+// buffers, so neither the content nor the length of the expected value leaks.
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+module.exports = safeEqual;
@@ -0,0 +1,189 @@
+const EventEmitter = require('events');
+
+// ccxt error classes and socket errors worth another try
+const TRANSIENT_ERRORS = ['NetworkError', 'RequestTimeout', 'ExchangeNotAvailable', 'DDoSProtection', 'RateLimitExceeded'];
+const TRANSIENT_MESSAGE = /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|network|rate limit|not initialized|No (live|paper) price/i;
+
+// Signals that failed or could not be processed. Transient failures are retried with
+// exponential backoff; everything else waits as `dead` until someone replays or discards it.
+// Every failure counts as an attempt, and a signal older than maxSignalAge expires instead
+// of being retried automatically: the market it was sent for has moved on.
+//   retrying -> queued -> resolved | retrying | dead
+//   retrying -> expired
+//   dead     -> queued (manual replay) | discarded
+class DeadLetterQueue extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.maxEntries = config.maxEntries || 500;
+        this.maxAttempts = config.maxAttempts || 3;
+        this.baseDelay = config.baseDelay || 5000;
+        this.backoffFactor = config.backoffFactor || 2;
+        this.maxDelay = config.maxDelay || 300000;
+        this.maxSignalAge = config.maxSignalAge || 600000;
+        this.isTransient = config.isTransient || ((error) => this.isTransientError(error));
+        this.clock = config.clock || (() => Date.now());
+
+        this.entries = new Map();
+    }
+
+    // reason: error, inactive or queue_full
+    add(signal, reason, error = null) {
+        const { deadLetterId, queuedAt, ...payload } = signal;
+        const now = this.clock();
+
+        const entry = {
+            id: `dl_${now.toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+            signal: payload,
+            symbol: payload.symbol || null,
+            type: payload.type || payload.action || null,
+            reason,
+            error: null,
+            attempts: 0,
+            status: 'dead',
+            signalAt: queuedAt || now,
+            nextRetryAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.entries.set(entry.id, entry);
+        this.trim();
+        return this.fail(entry.id, reason, error);
+    }
+
+    // Another failed attempt for an existing entry
+    fail(id, reason, error = null) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        const now = this.clock();
+        entry.attempts++;
+        entry.reason = reason;
+        entry.error = error ? { name: error.name, message: error.message } : null;
+        entry.updatedAt = now;
+
+        if (this.isRetryable(reason, error) && entry.attempts < this.maxAttempts) {
+            entry.status = 'retrying';
+            entry.nextRetryAt = now + this.getBackoff(entry.attempts);
+        } else {
+            entry.status = 'dead';
+            entry.nextRetryAt = null;
+        }
+
+        this.emit('updated', entry);
+        if (entry.status === 'dead') this.emit('dead', entry);
+        return entry;
+    }
+
+    isRetryable(reason, error) {
+        if (reason === 'queue_full') return true;
+        return reason === 'error' && !!error && this.isTransient(error);
+    }
+
+    // Errors can opt out with `transient = false`; rejected orders do (OrderRejectedError),
+    // so an entry refused with a timeout-like message is not re-sent blindly
+    isTransientError(error) {
+        if (error.transient !== undefined) return !!error.transient;
+        return TRANSIENT_ERRORS.includes(error.name)
+            || TRANSIENT_ERRORS.includes(error.constructor?.name)
+            || TRANSIENT_MESSAGE.test(error.message || '');
+    }
+
+    getBackoff(attempts) {
+        return Math.min(this.maxDelay, this.baseDelay * Math.pow(this.backoffFactor, Math.max(0, attempts - 1)));
+    }
+
+    isExpired(entry, now = this.clock()) {
+        return now - (entry.signalAt || entry.createdAt) > this.maxSignalAge;
+    }
+
+    // Retrying entries past maxSignalAge are closed rather than handed back to the queue
+    expireStale(now = this.clock()) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.status === 'retrying' && this.isExpired(entry, now))
+            .map(entry => this.close(entry.id, 'expired', 'age'));
+    }
+
+    getDue(now = this.clock()) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.status === 'retrying' && entry.nextRetryAt <= now);
+    }
+
+    // Handed back to the signal queue; the outcome arrives through resolve() or fail()
+    markQueued(id) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.status === 'queued') return null;
+
+        entry.status = 'queued';
+        entry.nextRetryAt = null;
+        entry.updatedAt = this.clock();
+        this.emit('updated', entry);
+        return entry;
+    }
+
+    resolve(id, by = 'retry') {
+        return this.close(id, 'resolved', by);
+    }
+
+    discard(id, by = 'manual') {
+        return this.close(id, 'discarded', by);
+    }
+
+    close(id, status, by) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        entry.status = status;
+        entry.closedBy = by;
+        entry.updatedAt = this.clock();
+        this.entries.delete(id);
+
+        this.emit('updated', entry);
+        this.emit(status, entry);
+        return entry;
+    }
+
+    // Over capacity: drop the oldest entry that is not sitting in the signal queue
+    trim() {
+        while (this.entries.size > this.maxEntries) {
+            const oldest = Array.from(this.entries.values())
+                .find(entry => entry.status !== 'queued') || this.entries.values().next().value;
+            this.discard(oldest.id, 'overflow');
+        }
+    }
+
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    list({ status } = {}) {
+        return Array.from(this.entries.values())
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    getStats() {
+        const byStatus = { retrying: 0, queued: 0, dead: 0 };
+        for (const entry of this.entries.values()) {
+            byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+        }
+        return { total: this.entries.size, ...byStatus };
+    }
+
+    // Entries in flight when the process stopped go back to retrying
+    restoreState(entries = []) {
+        for (const entry of entries) {
+            if (entry.status === 'queued') {
+                entry.status = 'retrying';
+                entry.nextRetryAt = this.clock();
+            }
+            this.entries.set(entry.id, entry);
+        }
+    }
+}
+
+module.exports = DeadLetterQueue;
@@ -1,5 +1,7 @@
 const EventEmitter = require('events');
 const { EMA, RSI, MACD, BollingerBands } = require('technicalindicators');
+const ParameterOptimizer = require('../backtesting/ParameterOptimizer');
+const InstrumentRegistry = require('../instruments/InstrumentRegistry');
 
 class BaseStrategy extends EventEmitter {
     constructor(config = {}) {
@@ -22,6 +24,16 @@ class BaseStrategy extends EventEmitter {
         
         // Strategy parameters (override in child classes)
         this.parameters = config.parameters || {};
+        
+        // Time source for session filters (replaced by the backtester)
+        this.clock = null;
+        
+        // Instrument specs (leverage, spread, pip size) from the shared catalog
+        this.instrumentRegistry = config.instrumentRegistry || InstrumentRegistry.getDefault();
+    }
+
+    getInstrument(symbol, venue = 'quantfury') {
+        return this.instrumentRegistry.get(symbol, venue);
     }
 
     // Abstract methods - must be implemented by child classes
@@ -227,6 +239,15 @@ class BaseStrategy extends EventEmitter {
         return { ...this.performance };
     }
 
+    // Clock
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    now() {
+        return this.clock ? this.clock() : Date.now();
+    }
+
     // Utilities
     generateSignalId() {
         return `${this.name}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
@@ -249,6 +270,45 @@ class BaseStrategy extends EventEmitter {
         this.parameters = { ...this.parameters, ...newParams };
         this.emit('parametersUpdated', { name: this.name, parameters: this.parameters });
     }
+
+    // Optimization - child classes declare which parameters can be searched
+    getParameterRanges() {
+        return {};
+    }
+
+    isValidParameterSet(params) {
+        return true;
+    }
+
+    optimizeParameters(candles, options = {}) {
+        const ranges = options.ranges || this.getParameterRanges();
+        if (Object.keys(ranges).length === 0) {
+            throw new Error(`${this.name} does not declare optimizable parameters`);
+        }
+
+        const optimizer = new ParameterOptimizer(options);
+        const searchOptions = {
+            ranges,
+            constraint: (params) => this.isValidParameterSet({ ...this.parameters, ...params }),
+            baseConfig: {
+                symbols: this.symbols,
+                timeframes: this.timeframes,
+                parameters: this.getParameters()
+            },
+            symbol: options.symbol,
+            timeframe: options.timeframe
+        };
+
+        const results = options.walkForward === false
+            ? optimizer.gridSearch(this.constructor, candles, searchOptions)
+            : optimizer.walkForward(this.constructor, candles, searchOptions);
+
+        if (options.apply) {
+            optimizer.applyResults(this, results);
+        }
+
+        return results;
+    }
 }
 
 module.exports = BaseStrategy;
\ No newline at end of file
@@ -259,41 +259,15 @@ class EMACrossoverStrategy extends BaseStrategy {
     }
 
     // Strategy-specific optimization
-    optimizeParameters(backtestResults) {
-        // Simple parameter optimization based on backtest results
-        const bestParams = { ...this.parameters };
-        let bestReturn = backtestResults.totalReturn || 0;
-        
-        // Test different EMA periods
-        const emaShortRange = [10, 15, 20, 25];
-        const emaLongRange = [40, 50, 60, 70];
-        
-        for (const emaShort of emaShortRange) {
-            for (const emaLong of emaLongRange) {
-                if (emaShort >= emaLong) continue;
-                
-                const testParams = { ...this.parameters, emaShort, emaLong };
-                // In a real implementation, you would run a backtest here
-                const simulatedReturn = this.simulateParameterPerformance(testParams);
-                
-                if (simulatedReturn > bestReturn) {
-                    bestReturn = simulatedReturn;
-                    bestParams.emaShort = emaShort;
-                    bestParams.emaLong = emaLong;
-                }
-            }
-        }
-        
-        return bestParams;
+    getParameterRanges() {
+        return {
+            emaShort: [10, 15, 20, 25],
+            emaLong: [40, 50, 60, 70]
+        };
     }
 
-    simulateParameterPerformance(params) {
-        // Simplified simulation - in reality, run full backtest
-        const baseline = 0.05; // 5% baseline return
-        const emaSpreadFactor = (params.emaLong - params.emaShort) / params.emaLong;
-        const optimizedReturn = baseline + (emaSpreadFactor * 0.1);
-        
-        return optimizedReturn + (Math.random() - 0.5) * 0.02; // Add some randomness
+    isValidParameterSet(params) {
+        return params.emaShort < params.emaLong;
     }
 
     getStrategyDescription() {
@@ -53,6 +53,17 @@ class ForexMomentumStrategy extends BaseStrategy {
         this.dailyPnL = 0;
         this.lastResetTime = Date.now();
         this.correlationMatrix = this.buildCorrelationMatrix();
+        this.correlationEngine = null;
+        this.positionProvider = null;
+    }
+
+    // Live wiring: measured correlations and the portfolio's open positions
+    setCorrelationEngine(engine) {
+        this.correlationEngine = engine;
+    }
+
+    setPositionProvider(provider) {
+        this.positionProvider = provider;
     }
 
     analyze(candleData, marketData = {}) {
@@ -479,7 +490,7 @@ class ForexMomentumStrategy extends BaseStrategy {
     }
 
     buildCorrelationMatrix() {
-        // Correlaciones típicas entre pares de forex
+        // Correlaciones típicas entre pares de forex (fallback sin historial de retornos)
         return {
             'EURUSD': { 'GBPUSD': 0.8, 'USDJPY': -0.6, 'AUDUSD': 0.7, 'USDCAD': -0.7 },
             'GBPUSD': { 'EURUSD': 0.8, 'USDJPY': -0.5, 'AUDUSD': 0.6, 'USDCAD': -0.6 },
@@ -489,9 +500,23 @@ class ForexMomentumStrategy extends BaseStrategy {
         };
     }
 
+    getCorrelations(symbol) {
+        const correlations = { ...(this.correlationMatrix[symbol] || {}) };
+        if (!this.correlationEngine) return correlations;
+        
+        // Las correlaciones medidas reemplazan a las típicas cuando hay datos suficientes
+        for (const other of this.correlationEngine.getSymbols()) {
+            if (other === symbol) continue;
+            const measured = this.correlationEngine.getCorrelation(symbol, other);
+            if (measured !== null) correlations[other] = measured;
+        }
+        
+        return correlations;
+    }
+
     filterByCorrelation(signals, symbol) {
         // Si ya tenemos trades activos de pares correlacionados, reducir strength
-        const correlations = this.correlationMatrix[symbol] || {};
+        const correlations = this.getCorrelations(symbol);
         
         return signals.map(signal => {
             let adjustedStrength = signal.strength;
@@ -508,19 +533,13 @@ class ForexMomentumStrategy extends BaseStrategy {
     }
 
     getForexLeverage(symbol) {
-        // Leverage típico en Quantfury para forex majors
-        return 30;
+        // Leverage de Quantfury según el catálogo de instrumentos
+        return this.getInstrument(symbol)?.leverage || 30;
     }
 
     getForexSpread(symbol) {
-        const spreads = {
-            'EURUSD': 0.1,
-            'GBPUSD': 0.2,
-            'USDJPY': 0.1,
-            'AUDUSD': 0.1,
-            'USDCAD': 0.1
-        };
-        return spreads[symbol] || 0.2;
+        // Spread en pips según el catálogo de instrumentos
+        return this.getInstrument(symbol)?.spread ?? 0.2;
     }
 
     generateTrailingLevels(entryPrice, side, atr) {
@@ -574,7 +593,7 @@ class ForexMomentumStrategy extends BaseStrategy {
     }
 
     isActiveSession() {
-        const hour = new Date().getUTCHours();
+        const hour = new Date(this.now()).getUTCHours();
         const sessions = this.parameters.tradingSessions;
         
         return (
@@ -585,7 +604,7 @@ class ForexMomentumStrategy extends BaseStrategy {
     }
 
     getCurrentSession() {
-        const hour = new Date().getUTCHours();
+        const hour = new Date(this.now()).getUTCHours();
         const sessions = this.parameters.tradingSessions;
         
         if (hour >= sessions.london.start && hour < sessions.london.end) return 'london';
@@ -595,19 +614,39 @@ class ForexMomentumStrategy extends BaseStrategy {
     }
 
     hasActiveTrade(symbol) {
-        // Implementar lógica para verificar trades activos
-        return false; // Placeholder
+        if (!this.positionProvider) return false;
+        return this.positionProvider().some(position => position.symbol === symbol);
     }
 
     getCorrelationRisk(symbol) {
-        // Calcular riesgo de correlación con trades activos
-        return 'low'; // Placeholder
+        // Mayor correlación absoluta con un trade activo
+        const correlations = this.getCorrelations(symbol);
+        const maxCorrelation = Object.keys(correlations)
+            .filter(pair => this.hasActiveTrade(pair))
+            .reduce((max, pair) => Math.max(max, Math.abs(correlations[pair])), 0);
+        
+        if (maxCorrelation > 0.8) return 'high';
+        if (maxCorrelation > 0.6) return 'medium';
+        return 'low';
+    }
+
+    // Rangos para optimización
+    getParameterRanges() {
+        return {
+            adxTrendThreshold: [20, 25, 30],
+            smaFast: [10, 20],
+            smaSlow: [50, 100]
+        };
+    }
+
+    isValidParameterSet(params) {
+        return params.smaFast < params.smaSlow && params.adxTrendThreshold < params.adxStrongTrend;
     }
 
     resetDailyCounters() {
         this.dailyPnL = 0;
         this.currentTrades = 0;
-        this.lastResetTime = Date.now();
+        this.lastResetTime = this.now();
         console.log('🔄 Forex daily counters reset');
     }
 
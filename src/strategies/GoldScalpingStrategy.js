@@ -300,7 +300,7 @@ class GoldScalpingStrategy extends BaseStrategy {
         
         // Incrementar contador de trades diarios
         this.dailyTrades++;
-        this.lastTradeTime = Date.now();
+        this.lastTradeTime = this.now();
         
         return {
             side: scalpingSignal.side,
@@ -322,10 +322,10 @@ class GoldScalpingStrategy extends BaseStrategy {
                 tradingSession: this.getCurrentSession(),
                 dailyTradeCount: this.dailyTrades,
                 
-                // Específico para Quantfury
-                leverage: 20, // Oro permite 20x en Quantfury
+                // Específico para Quantfury (catálogo de instrumentos)
+                leverage: this.getInstrument('XAUUSD')?.leverage,
                 instrument: 'XAUUSD',
-                spread: 0.5,
+                spread: this.getInstrument('XAUUSD')?.spread,
                 
                 // Gestión avanzada
                 scalingLevels: this.generateScalingLevels(currentPrice, scalpingSignal.side, atr),
@@ -406,13 +406,12 @@ class GoldScalpingStrategy extends BaseStrategy {
     }
 
     isActiveHour() {
-        const now = new Date();
-        const hour = now.getUTCHours();
+        const hour = new Date(this.now()).getUTCHours();
         return hour >= this.parameters.activeHours.start && hour <= this.parameters.activeHours.end;
     }
 
     getCurrentSession() {
-        const hour = new Date().getUTCHours();
+        const hour = new Date(this.now()).getUTCHours();
         if (hour >= 8 && hour < 12) return 'london_morning';
         if (hour >= 12 && hour < 16) return 'london_afternoon';
         if (hour >= 16 && hour < 20) return 'ny_session';
@@ -421,7 +420,7 @@ class GoldScalpingStrategy extends BaseStrategy {
 
     isNewsTime() {
         // Implementar filtro de noticias básico
-        const now = Date.now();
+        const now = this.now();
         
         // Evitar trades si hay noticias recientes conocidas
         for (const [eventTime, importance] of this.newsEvents) {
@@ -448,6 +447,19 @@ class GoldScalpingStrategy extends BaseStrategy {
         }
     }
 
+    // Rangos para optimización
+    getParameterRanges() {
+        return {
+            emaFast: [5, 8, 13],
+            emaSlow: [21, 34],
+            bbDeviation: [1.5, 2, 2.5]
+        };
+    }
+
+    isValidParameterSet(params) {
+        return params.emaFast < params.emaSlow;
+    }
+
     resetDailyCounters() {
         this.dailyTrades = 0;
         console.log('🔄 Daily trade counters reset');
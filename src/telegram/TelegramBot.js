@@ -1,5 +1,6 @@
 const TelegramBot = require('node-telegram-bot-api');
 const EventEmitter = require('events');
+const MetricsRegistry = require('../metrics/MetricsRegistry');
 
 class TradingTelegramBot extends EventEmitter {
     constructor(config = {}) {
@@ -8,6 +9,8 @@ class TradingTelegramBot extends EventEmitter {
         this.chatId = config.chatId || process.env.TELEGRAM_CHAT_ID;
         this.bot = null;
         this.tradingManager = null;
+        this.sendFailures = (config.metrics || new MetricsRegistry())
+            .counter('telegram_send_failures_total', 'Telegram messages that could not be sent', ['error']);
         
         // Message templates
         this.templates = {
@@ -48,6 +51,10 @@ class TradingTelegramBot extends EventEmitter {
             { command: 'pause', description: 'Pausar trading' },
             { command: 'resume', description: 'Reanudar trading' },
             { command: 'paper', description: 'Alternar paper trading' },
+            { command: 'risk', description: 'Estado del risk guard' },
+            { command: 'rearm', description: 'Rearmar el risk guard' },
+            { command: 'kill', description: 'Kill switch: bloquear entradas y cerrar todo' },
+            { command: 'dlq', description: 'Señales fallidas (dead-letter queue)' },
             { command: 'help', description: 'Mostrar ayuda' }
         ]);
 
@@ -61,12 +68,18 @@ class TradingTelegramBot extends EventEmitter {
         this.bot.onText(/\/pause/, (msg) => this.handlePause(msg));
         this.bot.onText(/\/resume/, (msg) => this.handleResume(msg));
         this.bot.onText(/\/paper/, (msg) => this.handleTogglePaper(msg));
+        this.bot.onText(/\/risk/, (msg) => this.handleRiskStatus(msg));
+        this.bot.onText(/\/rearm/, (msg) => this.handleRearm(msg));
+        this.bot.onText(/\/kill/, (msg) => this.handleKill(msg));
         this.bot.onText(/\/help/, (msg) => this.handleHelp(msg));
         
         // Advanced commands
         this.bot.onText(/\/enable_strategy (.+)/, (msg, match) => this.handleEnableStrategy(msg, match[1]));
         this.bot.onText(/\/disable_strategy (.+)/, (msg, match) => this.handleDisableStrategy(msg, match[1]));
         this.bot.onText(/\/close_position (.+)/, (msg, match) => this.handleClosePosition(msg, match[1]));
+        this.bot.onText(/\/dlq$/, (msg) => this.handleDeadLetters(msg));
+        this.bot.onText(/\/dlq_replay (.+)/, (msg, match) => this.handleReplayDeadLetter(msg, match[1].trim()));
+        this.bot.onText(/\/dlq_discard (.+)/, (msg, match) => this.handleDiscardDeadLetter(msg, match[1].trim()));
         this.bot.onText(/\/set_risk (.+)/, (msg, match) => this.handleSetRisk(msg, match[1]));
     }
 
@@ -102,6 +115,14 @@ class TradingTelegramBot extends EventEmitter {
             this.notifyPositionRejected(rejection);
         });
 
+        this.tradingManager.on('riskGuardTripped', (trip) => {
+            this.notifyRiskGuardTripped(trip);
+        });
+
+        this.tradingManager.on('signalDeadLettered', (entry) => {
+            this.notifyDeadLetter(entry);
+        });
+
         // Daily portfolio updates
         setInterval(() => {
             this.sendPortfolioUpdate();
@@ -240,8 +261,8 @@ class TradingTelegramBot extends EventEmitter {
             return;
         }
 
-        // In a full implementation, you'd add pause functionality to TradingManager
-        await this.sendMessage("⏸️ Trading pausado temporalmente");
+        this.tradingManager.pause(`telegram:${msg.from?.username || msg.chat.id}`);
+        await this.sendMessage("⏸️ Trading pausado. Las señales recibidas van a la dead-letter queue (/dlq)");
     }
 
     async handleResume(msg) {
@@ -255,6 +276,11 @@ class TradingTelegramBot extends EventEmitter {
             return;
         }
 
+        if (!this.tradingManager.resume(`telegram:${msg.from?.username || msg.chat.id}`)) {
+            await this.sendMessage("❌ El Trading Manager está detenido, no pausado");
+            return;
+        }
+
         await this.sendMessage("▶️ Trading reanudado");
     }
 
@@ -278,16 +304,134 @@ class TradingTelegramBot extends EventEmitter {
         helpMessage += "🔴 `/close_all` \\- Cerrar todas las posiciones\\n";
         helpMessage += "⏸️ `/pause` \\- Pausar trading\\n";
         helpMessage += "▶️ `/resume` \\- Reanudar trading\\n";
-        helpMessage += "💱 `/paper` \\- Alternar paper trading\\n\\n";
+        helpMessage += "💱 `/paper` \\- Alternar paper trading\\n";
+        helpMessage += "🛡️ `/risk` \\- Estado del risk guard\\n";
+        helpMessage += "🔓 `/rearm` \\- Rearmar el risk guard\\n";
+        helpMessage += "☠️ `/kill` \\- Kill switch\\n\\n";
         helpMessage += "*Comandos Avanzados:*\\n";
         helpMessage += "`/enable_strategy NOMBRE` \\- Activar estrategia\\n";
         helpMessage += "`/disable_strategy NOMBRE` \\- Desactivar estrategia\\n";
         helpMessage += "`/close_position SYMBOL` \\- Cerrar posición específica\\n";
         helpMessage += "`/set_risk 0\\.02` \\- Cambiar riesgo por trade\\n";
+        helpMessage += "`/dlq` \\- Señales fallidas\\n";
+        helpMessage += "`/dlq_replay ID` \\- Reintentar señal fallida\\n";
+        helpMessage += "`/dlq_discard ID` \\- Descartar señal fallida\\n";
 
         await this.sendMessage(helpMessage, { parse_mode: 'MarkdownV2' });
     }
 
+    async handleRiskStatus(msg) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        const status = this.tradingManager.riskGuard.getStatus();
+        const metrics = status.metrics;
+        let message = status.armed ? "🛡️ Risk guard armado\n\n" : `🚨 Risk guard disparado: ${status.tripped.reason}\n\n`;
+        message += `📉 Pérdida diaria: ${(metrics.dailyLoss * 100).toFixed(2)}% / ${(status.limits.maxDailyLoss * 100).toFixed(2)}%\n`;
+        message += `📉 Drawdown: ${(metrics.drawdown * 100).toFixed(2)}% / ${(status.limits.maxDrawdown * 100).toFixed(2)}%\n`;
+        message += `🔴 Pérdidas seguidas: ${metrics.consecutiveLosses} / ${status.limits.maxConsecutiveLosses}`;
+
+        await this.sendMessage(message);
+    }
+
+    async handleRearm(msg) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        const trip = this.tradingManager.rearmRiskGuard(`telegram:${msg.from?.username || msg.chat.id}`);
+        await this.sendMessage(trip
+            ? `✅ Risk guard rearmado (disparo previo: ${trip.reason})`
+            : "🛡️ El risk guard ya estaba armado");
+    }
+
+    async handleKill(msg) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        this.tradingManager.killSwitch(`telegram:${msg.from?.username || msg.chat.id}`);
+        await this.sendMessage("☠️ Kill switch activado: entradas bloqueadas y posiciones cerrándose. Usa /rearm para reanudar.");
+    }
+
+    async notifyRiskGuardTripped(trip) {
+        const metrics = trip.metrics || {};
+        let message = `🚨 RISK GUARD DISPARADO\n\nMotivo: ${trip.reason}\n`;
+        if (metrics.equity !== undefined) {
+            message += `Equity: $${metrics.equity.toFixed(2)}\n`;
+            message += `Pérdida diaria: ${(metrics.dailyLoss * 100).toFixed(2)}%\n`;
+            message += `Drawdown: ${(metrics.drawdown * 100).toFixed(2)}%\n`;
+        }
+        message += trip.flatten ? "\nCerrando todas las posiciones." : "\nNuevas entradas bloqueadas.";
+        message += "\nUsa /rearm para reanudar.";
+
+        await this.sendMessage(message);
+    }
+
+    async handleDeadLetters(msg) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        const entries = this.tradingManager.getDeadLetters();
+        if (entries.length === 0) {
+            await this.sendMessage("📭 No hay señales en la dead-letter queue");
+            return;
+        }
+
+        let message = `💀 Dead-letter queue (${entries.length})\n\n`;
+        for (const entry of entries.slice(0, 10)) {
+            message += `${entry.id} · ${entry.symbol} ${entry.type} · ${entry.status}\n`;
+            message += `   ${entry.reason}${entry.error ? `: ${entry.error.message}` : ''} · intentos: ${entry.attempts}\n`;
+        }
+        if (entries.length > 10) message += `\n… y ${entries.length - 10} más`;
+        message += "\n/dlq_replay ID · /dlq_discard ID";
+
+        await this.sendMessage(message);
+    }
+
+    async handleReplayDeadLetter(msg, id) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        try {
+            const entry = this.tradingManager.replayDeadLetter(id, `telegram:${msg.from?.username || msg.chat.id}`);
+            await this.sendMessage(`🔁 Señal ${entry.symbol} ${entry.type} reenviada a la cola`);
+        } catch (error) {
+            await this.sendMessage(`❌ No se pudo reintentar ${id}: ${error.message}`);
+        }
+    }
+
+    async handleDiscardDeadLetter(msg, id) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        try {
+            const entry = this.tradingManager.discardDeadLetter(id, `telegram:${msg.from?.username || msg.chat.id}`);
+            await this.sendMessage(`🗑️ Señal ${entry.symbol} ${entry.type} descartada`);
+        } catch (error) {
+            await this.sendMessage(`❌ No se pudo descartar ${id}: ${error.message}`);
+        }
+    }
+
+    async notifyDeadLetter(entry) {
+        let message = `💀 Señal fallida: ${entry.symbol} ${entry.type}\n`;
+        message += `Motivo: ${entry.reason}${entry.error ? ` (${entry.error.message})` : ''}\n`;
+        message += `Intentos: ${entry.attempts}\n\n`;
+        message += `/dlq_replay ${entry.id} · /dlq_discard ${entry.id}`;
+
+        await this.sendMessage(message);
+    }
+
     // Advanced command handlers
     async handleEnableStrategy(msg, strategyName) {
         if (!this.tradingManager) {
@@ -309,6 +453,22 @@ class TradingTelegramBot extends EventEmitter {
         await this.sendMessage(`⏸️ Estrategia *${strategyName}* desactivada`, { parse_mode: 'MarkdownV2' });
     }
 
+    async handleClosePosition(msg, target) {
+        if (!this.tradingManager) {
+            await this.sendMessage("❌ Trading Manager no está conectado");
+            return;
+        }
+
+        try {
+            const trades = await this.tradingManager.closePosition(target.trim(), 'telegram_command');
+            await this.sendMessage(trades.length > 0
+                ? `✅ ${trades.length} posición(es) cerrada(s) en ${target}`
+                : `📭 No hay posiciones abiertas en ${target}`);
+        } catch (error) {
+            await this.sendMessage(`❌ Error cerrando ${target}: ${error.message}`);
+        }
+    }
+
     // Notification methods
     async notifyPositionOpened(position) {
         const message = this.formatTemplate(this.templates.positionOpened, {
@@ -442,6 +602,7 @@ class TradingTelegramBot extends EventEmitter {
             await this.bot.sendMessage(this.chatId, text, options);
         } catch (error) {
             console.error('Error sending Telegram message:', error);
+            this.sendFailures.inc({ error: error.code || error.name || 'Error' });
         }
     }
 
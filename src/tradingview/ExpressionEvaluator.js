@@ -0,0 +1,113 @@
+// Numbers, named variables, + - * /, parentheses and unary signs. Parsed by hand so
+// nothing from an alert payload ever reaches eval() or new Function().
+const TOKEN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/iy;
+const OPERATORS = ['+', '-', '*', '/', '(', ')'];
+
+class ExpressionEvaluator {
+    constructor(config = {}) {
+        this.maxLength = config.maxLength || 200;
+    }
+
+    evaluate(expression, variables = {}) {
+        const state = { tokens: this.tokenize(expression), pos: 0, variables };
+        const result = this.parseSum(state);
+
+        if (state.pos < state.tokens.length) {
+            throw new Error(`Unexpected "${state.tokens[state.pos].value}"`);
+        }
+        if (!Number.isFinite(result)) {
+            throw new Error('Expression does not evaluate to a finite number');
+        }
+        return result;
+    }
+
+    // Identifiers an expression refers to, used to order dependent fields
+    getVariables(expression) {
+        return this.tokenize(expression)
+            .filter(token => token.type === 'identifier')
+            .map(token => token.value);
+    }
+
+    tokenize(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new Error('Empty expression');
+        }
+        if (expression.length > this.maxLength) {
+            throw new Error(`Expression longer than ${this.maxLength} characters`);
+        }
+
+        const tokens = [];
+        TOKEN.lastIndex = 0;
+        let match;
+        while (TOKEN.lastIndex < expression.length && (match = TOKEN.exec(expression))) {
+            const [, number, identifier, operator] = match;
+            if (number !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(number) });
+            } else if (identifier !== undefined) {
+                tokens.push({ type: 'identifier', value: identifier });
+            } else if (operator !== undefined) {
+                if (!OPERATORS.includes(operator)) throw new Error(`Unsupported character "${operator}"`);
+                tokens.push({ type: 'operator', value: operator });
+            }
+        }
+        return tokens;
+    }
+
+    // sum := product (('+' | '-') product)*
+    parseSum(state) {
+        let value = this.parseProduct(state);
+        while (this.peek(state, '+') || this.peek(state, '-')) {
+            const operator = state.tokens[state.pos++].value;
+            const right = this.parseProduct(state);
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    // product := factor (('*' | '/') factor)*
+    parseProduct(state) {
+        let value = this.parseFactor(state);
+        while (this.peek(state, '*') || this.peek(state, '/')) {
+            const operator = state.tokens[state.pos++].value;
+            const right = this.parseFactor(state);
+            if (operator === '/' && right === 0) throw new Error('Division by zero');
+            value = operator === '*' ? value * right : value / right;
+        }
+        return value;
+    }
+
+    // factor := number | identifier | ('+' | '-') factor | '(' sum ')'
+    parseFactor(state) {
+        const token = state.tokens[state.pos++];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number') return token.value;
+
+        if (token.type === 'identifier') {
+            const value = Object.prototype.hasOwnProperty.call(state.variables, token.value)
+                ? state.variables[token.value]
+                : undefined;
+            if (!Number.isFinite(value)) throw new Error(`Unknown variable "${token.value}"`);
+            return value;
+        }
+
+        if (token.value === '-') return -this.parseFactor(state);
+        if (token.value === '+') return this.parseFactor(state);
+
+        if (token.value === '(') {
+            const value = this.parseSum(state);
+            if (!this.peek(state, ')')) throw new Error('Missing closing parenthesis');
+            state.pos++;
+            return value;
+        }
+
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+
+    peek(state, operator) {
+        const token = state.tokens[state.pos];
+        return token !== undefined && token.type === 'operator' && token.value === operator;
+    }
+}
+
+module.exports = ExpressionEvaluator;
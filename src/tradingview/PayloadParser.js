@@ -0,0 +1,262 @@
+const ExpressionEvaluator = require('./ExpressionEvaluator');
+
+// Numeric payload fields whose quoted values may also hold an expression ("close * 0.9985")
+const NUMERIC_FIELDS = [
+    'price', 'close', 'open', 'high', 'low', 'volume',
+    'stop_loss', 'sl', 'take_profit', 'tp',
+    'rsi', 'macd', 'ema8', 'ema20', 'ema21', 'ema50', 'atr',
+    'confidence', 'risk_reward', 'support', 'resistance'
+];
+
+// Unquoted value inside a relaxed payload that is not a JSON literal
+class Expression {
+    constructor(source) {
+        this.source = source;
+    }
+}
+
+// TradingView renders `"stop_loss": {{close}} * 0.9985` as-is, which is not valid JSON.
+// Webhook bodies are read as text: strict JSON first, then a relaxed object syntax whose
+// values may be arithmetic over the payload's other numeric fields (close - 2*atr).
+class PayloadParser {
+    constructor(config = {}) {
+        this.evaluator = config.evaluator || new ExpressionEvaluator();
+        this.numericFields = config.numericFields || NUMERIC_FIELDS;
+        // Alerts are flat; a deeply nested body is rejected before it reaches the stack limit
+        this.maxDepth = config.maxDepth || 32;
+    }
+
+    // Raw body -> { payload, errors }; throws only when the body is not parseable at all
+    parse(body) {
+        if (typeof body !== 'string') return this.resolve(body);
+
+        const text = body.trim();
+        if (!text.startsWith('{')) {
+            return { payload: body, errors: [] }; // plain-text alert
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            payload = this.parseRelaxed(text);
+        }
+        this.checkDepth(payload);
+
+        return this.resolve(payload);
+    }
+
+    resolve(payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return { payload, errors: [] };
+        }
+
+        const resolved = { ...payload };
+        const errors = [];
+        const pending = new Map();
+
+        for (const [field, value] of Object.entries(payload)) {
+            if (value instanceof Expression) {
+                pending.set(field, value.source);
+            } else if (this.numericFields.includes(field) && this.isExpression(value)) {
+                pending.set(field, value);
+            }
+        }
+
+        // Expressions may depend on each other (tp: price + 2*atr, price: close); resolve in order
+        while (pending.size > 0) {
+            let progressed = false;
+
+            for (const [field, source] of pending) {
+                let dependencies;
+                try {
+                    dependencies = this.evaluator.getVariables(source);
+                } catch (error) {
+                    dependencies = [];
+                }
+                if (dependencies.some(name => name !== field && pending.has(name))) continue;
+
+                try {
+                    resolved[field] = this.evaluator.evaluate(source, this.getVariables(resolved));
+                } catch (error) {
+                    errors.push({ field, rule: 'expression', message: `${field}: ${error.message}`, value: source });
+                    resolved[field] = NaN;
+                }
+                pending.delete(field);
+                progressed = true;
+            }
+
+            if (!progressed) {
+                for (const [field, source] of pending) {
+                    errors.push({ field, rule: 'expression', message: `${field}: circular reference`, value: source });
+                    resolved[field] = NaN;
+                }
+                pending.clear();
+            }
+        }
+
+        return { payload: resolved, errors };
+    }
+
+    // Finite numeric fields, with close/price standing in for each other
+    getVariables(payload) {
+        const variables = {};
+        for (const [field, value] of Object.entries(payload)) {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number === 'number' && Number.isFinite(number)) variables[field] = number;
+        }
+        if (variables.close === undefined && variables.price !== undefined) variables.close = variables.price;
+        if (variables.price === undefined && variables.close !== undefined) variables.price = variables.close;
+        return variables;
+    }
+
+    isExpression(value) {
+        return typeof value === 'string'
+            && value.trim() !== ''
+            && Number.isNaN(Number(value))
+            && /[+\-*/]/.test(value);
+    }
+
+    // Iterative, so a body nested thousands of levels deep cannot overflow the stack here either
+    checkDepth(payload) {
+        const stack = [[payload, 1]];
+        while (stack.length > 0) {
+            const [value, depth] = stack.pop();
+            if (!value || typeof value !== 'object') continue;
+            if (depth > this.maxDepth) {
+                throw new SyntaxError(`Payload nested deeper than ${this.maxDepth} levels`);
+            }
+            for (const child of Object.values(value)) stack.push([child, depth + 1]);
+        }
+    }
+
+    // Relaxed syntax: JSON objects, arrays and strings, plus bare expressions as values
+    parseRelaxed(text) {
+        const state = { text, pos: 0, depth: 0 };
+        const value = this.parseValue(state);
+
+        this.skipWhitespace(state);
+        if (state.pos < text.length) {
+            throw new SyntaxError(`Unexpected "${text[state.pos]}" at position ${state.pos}`);
+        }
+        return value;
+    }
+
+    parseValue(state) {
+        this.skipWhitespace(state);
+        const char = state.text[state.pos];
+
+        if (char === '{' || char === '[') {
+            if (++state.depth > this.maxDepth) {
+                throw new SyntaxError(`Payload nested deeper than ${this.maxDepth} levels`);
+            }
+            const value = char === '{' ? this.parseObject(state) : this.parseArray(state);
+            state.depth--;
+            return value;
+        }
+        if (char === '"') return this.parseString(state);
+        return this.parseBare(state);
+    }
+
+    parseObject(state) {
+        const object = {};
+        state.pos++;
+
+        this.skipWhitespace(state);
+        if (state.text[state.pos] === '}') {
+            state.pos++;
+            return object;
+        }
+
+        while (true) {
+            this.skipWhitespace(state);
+            const key = this.parseString(state);
+
+            this.skipWhitespace(state);
+            this.expect(state, ':');
+            object[key] = this.parseValue(state);
+
+            this.skipWhitespace(state);
+            if (state.text[state.pos] === ',') {
+                state.pos++;
+                continue;
+            }
+            this.expect(state, '}');
+            return object;
+        }
+    }
+
+    parseArray(state) {
+        const array = [];
+        state.pos++;
+
+        this.skipWhitespace(state);
+        if (state.text[state.pos] === ']') {
+            state.pos++;
+            return array;
+        }
+
+        while (true) {
+            array.push(this.parseValue(state));
+
+            this.skipWhitespace(state);
+            if (state.text[state.pos] === ',') {
+                state.pos++;
+                continue;
+            }
+            this.expect(state, ']');
+            return array;
+        }
+    }
+
+    parseString(state) {
+        const pattern = /"(?:[^"\\]|\\.)*"/y;
+        pattern.lastIndex = state.pos;
+
+        const match = pattern.exec(state.text);
+        if (!match) throw new SyntaxError(`Expected string at position ${state.pos}`);
+
+        state.pos = pattern.lastIndex;
+        return JSON.parse(match[0]);
+    }
+
+    // Everything up to the next , } or ] outside parentheses
+    parseBare(state) {
+        const start = state.pos;
+        let depth = 0;
+
+        while (state.pos < state.text.length) {
+            const char = state.text[state.pos];
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (depth === 0 && (char === ',' || char === '}' || char === ']')) break;
+            state.pos++;
+        }
+
+        const source = state.text.slice(start, state.pos).trim();
+        if (!source) throw new SyntaxError(`Expected value at position ${start}`);
+
+        try {
+            return JSON.parse(source); // numbers, true, false, null
+        } catch (error) {
+            return new Expression(source);
+        }
+    }
+
+    expect(state, char) {
+        if (state.text[state.pos] !== char) {
+            throw new SyntaxError(`Expected "${char}" at position ${state.pos}`);
+        }
+        state.pos++;
+    }
+
+    skipWhitespace(state) {
+        while (state.pos < state.text.length && /\s/.test(state.text[state.pos])) {
+            state.pos++;
+        }
+    }
+}
+
+PayloadParser.NUMERIC_FIELDS = NUMERIC_FIELDS;
+
+module.exports = PayloadParser;
@@ -0,0 +1,57 @@
+// Token bucket per key: up to `burst` requests at once, refilled at `perMinute`.
+class RateLimiter {
+    constructor(config = {}) {
+        this.perMinute = config.perMinute || 60;
+        this.burst = config.burst || this.perMinute;
+        this.maxKeys = config.maxKeys || 10000;
+        this.buckets = new Map(); // key -> { tokens, updatedAt }
+    }
+
+    // -> { allowed, remaining, retryAfter (ms until the next token) }
+    take(key, now = Date.now()) {
+        const bucket = this.refill(key, now);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+        }
+
+        const refillRate = this.perMinute / 60000; // tokens per ms
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillRate) };
+    }
+
+    refill(key, now) {
+        let bucket = this.buckets.get(key);
+
+        if (!bucket) {
+            if (this.buckets.size >= this.maxKeys) this.prune(now);
+            bucket = { tokens: this.burst, updatedAt: now };
+            this.buckets.set(key, bucket);
+            return bucket;
+        }
+
+        const elapsed = Math.max(0, now - bucket.updatedAt);
+        bucket.tokens = Math.min(this.burst, bucket.tokens + elapsed * this.perMinute / 60000);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Full buckets carry no state worth keeping
+    prune(now = Date.now()) {
+        for (const key of Array.from(this.buckets.keys())) {
+            if (this.refill(key, now).tokens >= this.burst) this.buckets.delete(key);
+        }
+
+        // Still full of busy keys: drop the oldest
+        while (this.buckets.size >= this.maxKeys) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+    }
+
+    reset(key = null) {
+        if (key === null) this.buckets.clear();
+        else this.buckets.delete(key);
+    }
+}
+
+module.exports = RateLimiter;
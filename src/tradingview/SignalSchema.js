@@ -0,0 +1,181 @@
+const ACTIONS = ['buy', 'sell', 'close', 'long', 'short', 'exit'];
+const ENTRY_ACTIONS = ['buy', 'sell', 'long', 'short'];
+const LONG_ACTIONS = ['buy', 'long'];
+
+// Field specs apply to the normalized signal produced by WebhookReceiver.extractSignalData.
+//   type:        'string' | 'number'
+//   required:    always required; requiredFor: only for these actions
+//   enum, gt, min, max: value constraints
+//   scale, unit: fields stored in another unit than the payload's; violations report
+//                limits and values in payload units (value * scale, then unit)
+// Rules are cross-field checks between already typed fields.
+const BASE_SCHEMA = {
+    fields: {
+        symbol: { type: 'string', required: true },
+        action: { type: 'string', required: true, enum: ACTIONS },
+        price: { type: 'number', gt: 0 },
+        stopLoss: { type: 'number', gt: 0 },
+        takeProfit: { type: 'number', gt: 0 },
+        timeframe: { type: 'string' },
+        strategy: { type: 'string' },
+        'indicators.rsi': { type: 'number', min: 0, max: 100 },
+        'indicators.atr': { type: 'number', min: 0 },
+        'indicators.volume': { type: 'number', min: 0 },
+        'metadata.confidence': { type: 'number', min: 0, max: 1, scale: 100, unit: '% (payload confidence is a percentage, 0-100)' },
+        'metadata.riskReward': { type: 'number', gt: 0 }
+    },
+    rules: ['knownSymbol', 'stopLossSide', 'takeProfitSide']
+};
+
+// Built-in strategies send full brackets; anything else falls back to `default`
+const DEFAULT_SCHEMAS = {
+    default: BASE_SCHEMA,
+    GOLD_SCALPING: {
+        extends: 'default',
+        fields: {
+            price: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS },
+            stopLoss: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS },
+            takeProfit: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS },
+            'indicators.atr': { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS }
+        }
+    },
+    FOREX_MOMENTUM: {
+        extends: 'default',
+        fields: {
+            price: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS },
+            stopLoss: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS },
+            takeProfit: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS }
+        }
+    },
+    EMA_CROSSOVER: {
+        extends: 'default',
+        fields: {
+            price: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS },
+            stopLoss: { type: 'number', gt: 0, requiredFor: ENTRY_ACTIONS }
+        }
+    }
+};
+
+class SignalSchema {
+    constructor(config = {}) {
+        this.schemas = { ...DEFAULT_SCHEMAS, ...config.schemas };
+        this.isKnownSymbol = config.isKnownSymbol || (() => true);
+
+        this.rules = {
+            knownSymbol: (signal) => {
+                if (typeof signal.symbol === 'string' && !this.isKnownSymbol(signal.symbol)) {
+                    return { field: 'symbol', rule: 'knownSymbol', message: `Unknown instrument ${signal.symbol}` };
+                }
+                return null;
+            },
+            stopLossSide: (signal) => this.checkSide(signal, 'stopLoss', -1),
+            takeProfitSide: (signal) => this.checkSide(signal, 'takeProfit', 1)
+        };
+    }
+
+    // Schema key: explicit strategy_type, then the strategy name, then `default`
+    resolveSchemaName(signal) {
+        const candidates = [signal.strategyType, signal.strategy]
+            .filter(name => typeof name === 'string')
+            .map(name => SignalSchema.normalizeName(name));
+
+        return candidates.find(name => this.schemas[name]) || 'default';
+    }
+
+    // 'gold scalping', 'gold-scalping' -> GOLD_SCALPING
+    static normalizeName(name) {
+        return name.trim().toUpperCase().replace(/[\s-]+/g, '_');
+    }
+
+    getSchema(name) {
+        const schema = this.schemas[name];
+        if (!schema) throw new Error(`Unknown signal schema: ${name}`);
+        if (!schema.extends) return schema;
+
+        const parent = this.getSchema(schema.extends);
+        return {
+            fields: { ...parent.fields, ...schema.fields },
+            rules: schema.rules || parent.rules
+        };
+    }
+
+    validate(signal) {
+        const schemaName = this.resolveSchemaName(signal);
+        const schema = this.getSchema(schemaName);
+        const action = typeof signal.action === 'string' ? signal.action.toLowerCase() : null;
+        const violations = [];
+
+        for (const [field, spec] of Object.entries(schema.fields)) {
+            violations.push(...this.checkField(field, this.getValue(signal, field), spec, action));
+        }
+
+        // Cross-field rules skip fields that already failed on their own
+        for (const ruleName of schema.rules || []) {
+            const violation = this.rules[ruleName]?.(signal);
+            if (violation) violations.push(violation);
+        }
+
+        return { valid: violations.length === 0, schema: schemaName, violations };
+    }
+
+    checkField(field, value, spec, action) {
+        const required = spec.required || (spec.requiredFor && spec.requiredFor.includes(action));
+
+        if (value === undefined || value === null || value === '') {
+            return required ? [{ field, rule: 'required', message: `${field} is required` }] : [];
+        }
+
+        if (spec.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+            return [{ field, rule: 'type', message: `${field} must be a number`, value }];
+        }
+        if (spec.type === 'string' && typeof value !== 'string') {
+            return [{ field, rule: 'type', message: `${field} must be a string`, value }];
+        }
+
+        const violations = [];
+        const compare = typeof value === 'string' ? value.toLowerCase() : value;
+        const shown = (number) => (spec.scale ? number * spec.scale : number);
+        const unit = spec.unit || '';
+
+        if (spec.enum && !spec.enum.includes(compare)) {
+            violations.push({ field, rule: 'enum', message: `${field} must be one of ${spec.enum.join(', ')}`, value });
+        }
+        if (spec.gt !== undefined && !(value > spec.gt)) {
+            violations.push({ field, rule: 'gt', message: `${field} must be greater than ${shown(spec.gt)}${unit}`, value: shown(value) });
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            violations.push({ field, rule: 'min', message: `${field} must be at least ${shown(spec.min)}${unit}`, value: shown(value) });
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            violations.push({ field, rule: 'max', message: `${field} must be at most ${shown(spec.max)}${unit}`, value: shown(value) });
+        }
+
+        return violations;
+    }
+
+    // Longs: stop below entry, target above; shorts the other way round
+    checkSide(signal, field, expected) {
+        const action = signal.action?.toLowerCase();
+        if (!ENTRY_ACTIONS.includes(action)) return null;
+        if (!Number.isFinite(signal.price) || !Number.isFinite(signal[field])) return null;
+
+        const direction = LONG_ACTIONS.includes(action) ? 1 : -1;
+        if (Math.sign(signal[field] - signal.price) === expected * direction) return null;
+
+        const position = expected * direction > 0 ? 'above' : 'below';
+        return {
+            field,
+            rule: `${field}Side`,
+            message: `${field} must be ${position} price for ${action} signals`,
+            value: signal[field]
+        };
+    }
+
+    getValue(signal, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), signal);
+    }
+}
+
+SignalSchema.ACTIONS = ACTIONS;
+
+module.exports = SignalSchema;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const safeEqual = require('../security/safeEqual');
+
+const PAYLOAD_SECRET_FIELDS = ['secret', 'passphrase'];
+const SIGNATURE_HEADERS = ['x-webhook-signature', 'x-tradingview-signature'];
+
+// Nonces seen inside the replay window; older ones can no longer pass the timestamp check
+class NonceStore {
+    constructor(config = {}) {
+        this.ttl = config.ttl || 600000;
+        this.maxSize = config.maxSize || 10000;
+        this.nonces = new Map(); // nonce -> expiresAt
+    }
+
+    // false when the nonce was already used
+    use(nonce, now = Date.now()) {
+        this.prune(now);
+
+        if (this.nonces.has(nonce)) return false;
+
+        // Map keeps insertion order, so the first entries are the oldest
+        if (this.nonces.size >= this.maxSize) {
+            this.nonces.delete(this.nonces.keys().next().value);
+        }
+        this.nonces.set(nonce, now + this.ttl);
+        return true;
+    }
+
+    prune(now = Date.now()) {
+        for (const [nonce, expiresAt] of this.nonces) {
+            if (expiresAt > now) break;
+            this.nonces.delete(nonce);
+        }
+    }
+
+    get size() {
+        return this.nonces.size;
+    }
+}
+
+// Two ways to authenticate a webhook:
+//   hmac:    X-Webhook-Signature = hex HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`)
+//            with X-Webhook-Timestamp (epoch s or ms) and X-Webhook-Nonce headers
+//   payload: "secret" (or "passphrase") field inside the JSON, for TradingView which can't set
+//            headers; an optional "timestamp" field ({{timenow}}) is checked against the window
+// Without a configured secret every request passes, as before.
+class WebhookAuth {
+    constructor(config = {}) {
+        this.secret = config.secret || null;
+        this.replayWindow = config.replayWindow || 300000; // 5 minutes
+        this.allowPayloadSecret = config.allowPayloadSecret !== false;
+        this.requirePayloadTimestamp = config.requirePayloadTimestamp || false;
+        this.nonceStore = config.nonceStore || new NonceStore({ ttl: this.replayWindow * 2 });
+    }
+
+    setSecret(secret) {
+        this.secret = secret || null;
+    }
+
+    // -> { ok: true, method } or { ok: false, reason }
+    authenticate({ rawBody = '', headers = {}, payload = null }, now = Date.now()) {
+        if (!this.secret) return { ok: true, method: 'none' };
+
+        const signature = SIGNATURE_HEADERS.map(name => headers[name]).find(Boolean);
+        if (signature) {
+            return this.verifyHmac(rawBody, signature, headers['x-webhook-timestamp'], headers['x-webhook-nonce'], now);
+        }
+
+        if (this.allowPayloadSecret && payload && typeof payload === 'object') {
+            const field = PAYLOAD_SECRET_FIELDS.find(name => payload[name] !== undefined);
+            if (field) return this.verifyPayloadSecret(payload, field, now);
+        }
+
+        return { ok: false, reason: 'Missing credentials' };
+    }
+
+    verifyHmac(rawBody, signature, timestamp, nonce, now) {
+        if (!timestamp || !nonce) {
+            return { ok: false, reason: 'Missing timestamp or nonce header' };
+        }
+
+        const freshness = this.checkTimestamp(timestamp, now);
+        if (!freshness.ok) return freshness;
+
+        const expected = this.sign(rawBody, timestamp, nonce);
+        if (!safeEqual(String(signature).toLowerCase(), expected)) {
+            return { ok: false, reason: 'Invalid signature' };
+        }
+
+        // Only burn the nonce once the signature is known to be genuine
+        if (!this.nonceStore.use(`${nonce}`, now)) {
+            return { ok: false, reason: 'Nonce already used' };
+        }
+
+        return { ok: true, method: 'hmac' };
+    }
+
+    verifyPayloadSecret(payload, field, now) {
+        const provided = payload[field];
+        delete payload[field]; // never store or log the secret with the signal
+
+        if (typeof provided !== 'string' || !safeEqual(provided, this.secret)) {
+            return { ok: false, reason: 'Invalid secret' };
+        }
+
+        if (payload.timestamp !== undefined) {
+            const freshness = this.checkTimestamp(payload.timestamp, now);
+            if (!freshness.ok) return freshness;
+        } else if (this.requirePayloadTimestamp) {
+            return { ok: false, reason: 'Missing timestamp' };
+        }
+
+        return { ok: true, method: 'payload' };
+    }
+
+    sign(rawBody, timestamp, nonce) {
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${nonce}.${rawBody}`)
+            .digest('hex');
+    }
+
+    checkTimestamp(value, now) {
+        const timestamp = this.parseTimestamp(value);
+        if (timestamp === null) {
+            return { ok: false, reason: 'Invalid timestamp' };
+        }
+        if (Math.abs(now - timestamp) > this.replayWindow) {
+            return { ok: false, reason: 'Timestamp outside replay window' };
+        }
+        return { ok: true };
+    }
+
+    // Epoch seconds, epoch milliseconds or an ISO date (TradingView {{timenow}})
+    parseTimestamp(value) {
+        if (typeof value === 'string' && /^\d+$/.test(value.trim())) value = Number(value);
+
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return value < 1e12 ? value * 1000 : value;
+        }
+        if (typeof value === 'string') {
+            const parsed = Date.parse(value);
+            return Number.isNaN(parsed) ? null : parsed;
+        }
+        return null;
+    }
+}
+
+WebhookAuth.NonceStore = NonceStore;
+
+module.exports = WebhookAuth;
@@ -1,13 +1,65 @@
+const fs = require('fs');
 const express = require('express');
-const crypto = require('crypto');
 const EventEmitter = require('events');
+const SymbolMapper = require('../instruments/SymbolMapper');
+const SignalSchema = require('./SignalSchema');
+const PayloadParser = require('./PayloadParser');
+const WebhookAuth = require('./WebhookAuth');
+const RateLimiter = require('./RateLimiter');
+const MetricsRegistry = require('../metrics/MetricsRegistry');
 
 class TradingViewWebhookReceiver extends EventEmitter {
     constructor(config = {}) {
         super();
         this.port = config.port || 3000;
         this.webhookSecret = config.webhookSecret || process.env.TRADINGVIEW_WEBHOOK_SECRET;
+        this.auth = new WebhookAuth({
+            secret: this.webhookSecret,
+            replayWindow: config.replayWindow,
+            allowPayloadSecret: config.allowPayloadSecret,
+            requirePayloadTimestamp: config.requirePayloadTimestamp
+        });
         this.allowedIPs = config.allowedIPs || []; // TradingView IPs for security
+        this.symbolMapper = config.symbolMapper || new SymbolMapper();
+
+        // Token buckets per source and per source+symbol; `enabled: false` turns both off
+        const rateLimit = config.rateLimit || {};
+        this.rateLimitEnabled = rateLimit.enabled !== false;
+        this.sourceRateLimit = rateLimit.perSource || { perMinute: 60, burst: 20 };
+        this.symbolLimiter = new RateLimiter(rateLimit.perSymbol || { perMinute: 10, burst: 3 });
+
+        // Backpressure from the consumer's queue, see setQueueGuard()
+        this.queueGuard = config.queueGuard || null;
+        this.droppedSignals = { sourceRateLimit: 0, symbolRateLimit: 0, queueFull: 0 };
+
+        // Per-source outcome of every webhook request, exported on /metrics
+        const metrics = config.metrics || new MetricsRegistry();
+        this.counters = {
+            received: metrics.counter('webhook_signals_received_total', 'Webhook requests received per source', ['source']),
+            accepted: metrics.counter('webhook_signals_accepted_total', 'Signals passed on for processing', ['source']),
+            rejected: metrics.counter('webhook_signals_rejected_total', 'Webhook requests refused (ip, auth, parse, permission, schema, invalid)', ['source', 'reason']),
+            duplicated: metrics.counter('webhook_signals_duplicated_total', 'Duplicate signals ignored', ['source']),
+            dropped: metrics.counter('webhook_signals_dropped_total', 'Signals dropped by rate limits or a full queue', ['source', 'reason'])
+        };
+        this.healthCheck = null;
+
+        // POST /webhook keeps the global secret; each configured source gets /webhook/:source/:strategy
+        this.defaultSource = {
+            name: 'tradingview',
+            auth: this.auth,
+            allowedIPs: [],
+            symbols: null,
+            strategies: null,
+            limiter: new RateLimiter(this.sourceRateLimit)
+        };
+        this.sources = new Map();
+        this.loadSources(config);
+
+        this.payloadParser = new PayloadParser({ numericFields: config.numericFields });
+        this.signalSchema = new SignalSchema({
+            schemas: config.schemas,
+            isKnownSymbol: (symbol) => this.symbolMapper.isKnown(symbol)
+        });
         this.app = express();
         this.server = null;
         
@@ -15,21 +67,67 @@ class TradingViewWebhookReceiver extends EventEmitter {
         this.recentSignals = new Map();
         this.signalTTL = config.signalTTL || 60000; // 1 minute
         
+        // Schema rejections kept for review
+        this.rejectedSignals = [];
+        this.maxRejectedSignals = config.maxRejectedSignals || 100;
+        
         this.setupMiddleware();
         this.setupRoutes();
     }
 
+    // Sources come from config.sources or a JSON file ({ "sources": { name: spec } }).
+    // Secrets stay out of the file via secretEnv.
+    loadSources(config) {
+        const specs = config.sources
+            || (config.sourcesFile ? JSON.parse(fs.readFileSync(config.sourcesFile, 'utf8')).sources : {})
+            || {};
+
+        for (const [name, spec] of Object.entries(specs)) {
+            if (spec.enabled === false) continue;
+
+            const secret = spec.secret || (spec.secretEnv && process.env[spec.secretEnv]);
+            if (!secret) {
+                console.warn(`Webhook source ${name} has no secret, endpoint disabled`);
+                continue;
+            }
+
+            this.sources.set(name, {
+                name,
+                auth: new WebhookAuth({
+                    secret,
+                    replayWindow: spec.replayWindow || config.replayWindow,
+                    allowPayloadSecret: spec.allowPayloadSecret,
+                    requirePayloadTimestamp: spec.requirePayloadTimestamp
+                }),
+                allowedIPs: spec.allowedIPs || [],
+                symbols: spec.symbols
+                    ? new Set(spec.symbols.map(symbol => this.symbolMapper.canonicalize(symbol) || symbol.toUpperCase()))
+                    : null,
+                strategies: spec.strategies
+                    ? new Set(spec.strategies.map(strategy => SignalSchema.normalizeName(strategy)))
+                    : null,
+                limiter: new RateLimiter(spec.rateLimit || this.sourceRateLimit)
+            });
+        }
+    }
+
     setupMiddleware() {
-        // Parse JSON with larger limit for TradingView data
+        // Webhook bodies are read as text: TradingView sends non-JSON alerts as text/plain
+        this.app.use('/webhook', express.text({ type: '*/*', limit: '1mb' }));
         this.app.use(express.json({ limit: '1mb' }));
         
         // Security middleware
         this.app.use((req, res, next) => {
-            // Log all webhook attempts
-            console.log(`Webhook received from ${req.ip} at ${new Date().toISOString()}`);
+            // Log webhook attempts only; API, metrics and dashboard polling would drown them out
+            if (req.path === '/webhook' || req.path.startsWith('/webhook/')) {
+                console.log(`Webhook received from ${req.ip} at ${new Date().toISOString()}`);
+            }
             
-            // IP whitelist (optional)
-            if (this.allowedIPs.length > 0 && !this.allowedIPs.includes(req.ip)) {
+            // IP whitelist (optional); per-source endpoints, the control API and /metrics use their own list
+            // instead, and the dashboard shell holds no data (it calls the API with a token)
+            const ownWhitelist = req.path.startsWith('/webhook/') || req.path.startsWith('/api/')
+                || req.path.startsWith('/dashboard') || req.path === '/metrics';
+            if (!ownWhitelist && this.allowedIPs.length > 0 && !this.allowedIPs.includes(req.ip)) {
                 console.warn(`Rejected webhook from unauthorized IP: ${req.ip}`);
                 return res.status(403).json({ error: 'Unauthorized IP' });
             }
@@ -37,46 +135,54 @@ class TradingViewWebhookReceiver extends EventEmitter {
             next();
         });
 
-        // Signature verification middleware
+        // Strict JSON, relaxed payloads with arithmetic ({{close}} * 0.9985) or plain text.
+        // The raw text is kept for HMAC; parse errors are reported after authentication.
         this.app.use('/webhook', (req, res, next) => {
-            if (this.webhookSecret) {
-                const signature = req.headers['x-tradingview-signature'];
-                if (!this.verifySignature(req.body, signature)) {
-                    console.warn('Invalid webhook signature');
-                    return res.status(401).json({ error: 'Invalid signature' });
-                }
+            req.rawBody = typeof req.body === 'string' ? req.body : '';
+            req.body = null;
+            req.expressionErrors = [];
+            req.parseError = null;
+
+            try {
+                const { payload, errors } = this.payloadParser.parse(req.rawBody);
+                req.body = payload;
+                req.expressionErrors = errors;
+            } catch (error) {
+                req.parseError = error;
             }
+
             next();
         });
     }
 
     setupRoutes() {
         // Main webhook endpoint
-        this.app.post('/webhook', (req, res) => {
-            try {
-                const signal = this.parseWebhookData(req.body);
-                
-                if (this.isDuplicateSignal(signal)) {
-                    console.log('Duplicate signal ignored:', signal.id);
-                    return res.status(200).json({ status: 'duplicate_ignored' });
-                }
-                
-                this.processSignal(signal);
-                res.status(200).json({ status: 'received', signalId: signal.id });
-                
-            } catch (error) {
-                console.error('Webhook processing error:', error);
-                res.status(400).json({ error: 'Invalid webhook data' });
+        this.app.post('/webhook', (req, res) => this.handleWebhook(req, res, this.defaultSource));
+
+        // Per-source endpoints, e.g. /webhook/partner/gold_scalping
+        this.app.post('/webhook/:source/:strategy', (req, res) => {
+            const source = this.sources.get(req.params.source);
+            if (!source) {
+                return res.status(404).json({ error: 'Unknown webhook source' });
             }
+            this.handleWebhook(req, res, source, req.params.strategy);
         });
 
-        // Health check endpoint
-        this.app.get('/health', (req, res) => {
-            res.json({ 
+        // Health check endpoint; setHealthCheck() adds real dependency checks
+        this.app.get('/health', async (req, res) => {
+            const health = {
                 status: 'active', 
                 timestamp: new Date().toISOString(),
                 recentSignals: this.recentSignals.size
-            });
+            };
+            if (!this.healthCheck) return res.json(health);
+
+            try {
+                const checks = await this.healthCheck();
+                res.status(checks.status === 'unhealthy' ? 503 : 200).json({ ...health, ...checks });
+            } catch (error) {
+                res.status(503).json({ ...health, status: 'unhealthy', error: error.message });
+            }
         });
 
         // Signal history endpoint
@@ -86,6 +192,140 @@ class TradingViewWebhookReceiver extends EventEmitter {
                 .slice(0, 50);
             res.json(signals);
         });
+
+        // Schema rejections, newest first
+        this.app.get('/signals/rejected', (req, res) => {
+            res.json(this.rejectedSignals.slice().reverse());
+        });
+    }
+
+    handleWebhook(req, res, source, strategy = null) {
+        const labels = { source: source.name };
+        this.counters.received.inc(labels);
+
+        if (source.allowedIPs.length > 0 && !source.allowedIPs.includes(req.ip)) {
+            console.warn(`Rejected ${source.name} webhook from unauthorized IP: ${req.ip}`);
+            this.counters.rejected.inc({ ...labels, reason: 'ip' });
+            return res.status(403).json({ error: 'Unauthorized IP' });
+        }
+
+        const auth = source.auth.authenticate({ rawBody: req.rawBody, headers: req.headers, payload: req.body });
+        if (!auth.ok) {
+            console.warn(`Webhook authentication failed for ${source.name} from ${req.ip}: ${auth.reason}`);
+            this.counters.rejected.inc({ ...labels, reason: 'auth' });
+            return res.status(401).json({ error: 'Unauthorized', reason: auth.reason });
+        }
+
+        // Counted after authentication so nobody can drain another source's bucket
+        if (this.rateLimitEnabled) {
+            const limit = source.limiter.take(source.name);
+            if (!limit.allowed) {
+                return this.dropSignal(res, { source: source.name }, 'sourceRateLimit', limit.retryAfter);
+            }
+        }
+
+        if (req.parseError) {
+            console.warn('Unparseable webhook body:', req.parseError.message);
+            this.counters.rejected.inc({ ...labels, reason: 'parse' });
+            return res.status(400).json({ error: 'Invalid webhook data', detail: req.parseError.message });
+        }
+
+        try {
+            const signal = this.parseWebhookData(req.body);
+            signal.webhookSource = source.name;
+
+            // The endpoint decides the strategy, not the payload
+            if (strategy) {
+                signal.strategy = SignalSchema.normalizeName(strategy);
+                signal.strategyType = signal.strategy;
+            }
+
+            const denied = this.checkSourcePermissions(source, signal);
+            if (denied) {
+                console.warn(`Webhook source ${source.name} not allowed: ${denied}`);
+                this.counters.rejected.inc({ ...labels, reason: 'permission' });
+                return res.status(403).json({ error: 'Forbidden', reason: denied });
+            }
+
+            const validation = this.signalSchema.validate(signal);
+            if (req.expressionErrors.length > 0) {
+                validation.valid = false;
+                validation.violations.unshift(...req.expressionErrors);
+            }
+            if (!validation.valid) {
+                this.recordRejection(signal, validation);
+                this.counters.rejected.inc({ ...labels, reason: 'schema' });
+                return res.status(422).json({
+                    error: 'Invalid signal',
+                    signalId: signal.id,
+                    schema: validation.schema,
+                    violations: validation.violations
+                });
+            }
+            
+            if (this.isDuplicateSignal(signal)) {
+                console.log('Duplicate signal ignored:', signal.id);
+                this.counters.duplicated.inc(labels);
+                return res.status(200).json({ status: 'duplicate_ignored' });
+            }
+
+            if (this.rateLimitEnabled) {
+                const limit = this.symbolLimiter.take(`${source.name}:${signal.symbol}`);
+                if (!limit.allowed) {
+                    return this.dropSignal(res, signal, 'symbolRateLimit', limit.retryAfter);
+                }
+            }
+
+            if (this.queueGuard && !this.queueGuard()) {
+                return this.dropSignal(res, signal, 'queueFull', 1000);
+            }
+            
+            this.processSignal(signal);
+            this.counters.accepted.inc(labels);
+            res.status(200).json({ status: 'received', signalId: signal.id });
+            
+        } catch (error) {
+            console.error('Webhook processing error:', error);
+            this.counters.rejected.inc({ ...labels, reason: 'invalid' });
+            res.status(400).json({ error: 'Invalid webhook data' });
+        }
+    }
+
+    // 429 with Retry-After; the sender is expected to back off
+    dropSignal(res, signal, reason, retryAfterMs) {
+        const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        const source = signal.webhookSource || signal.source;
+
+        this.droppedSignals[reason]++;
+        this.counters.dropped.inc({ source, reason });
+        console.warn(`Signal dropped (${reason}) from ${source}${signal.symbol ? ` for ${signal.symbol}` : ''}`);
+        this.emit('signalDropped', {
+            signalId: signal.id || null,
+            source,
+            symbol: signal.symbol || null,
+            action: signal.action || null,
+            reason,
+            droppedAt: Date.now()
+        });
+
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many requests', reason, retryAfter });
+    }
+
+    // null when allowed, otherwise the reason
+    checkSourcePermissions(source, signal) {
+        if (source.strategies) {
+            const strategy = typeof signal.strategy === 'string' ? SignalSchema.normalizeName(signal.strategy) : null;
+            if (!strategy || !source.strategies.has(strategy)) {
+                return `strategy ${signal.strategy} not allowed`;
+            }
+        }
+
+        if (source.symbols && !source.symbols.has(signal.symbol)) {
+            return `symbol ${signal.symbol} not allowed`;
+        }
+
+        return null;
     }
 
     parseWebhookData(data) {
@@ -121,42 +361,66 @@ class TradingViewWebhookReceiver extends EventEmitter {
             extracted.strategy = this.extractStrategyFromText(data);
         } else if (typeof data === 'object') {
             // JSON-based alert (recommended format)
-            extracted.symbol = data.symbol || data.ticker;
+            const rawSymbol = data.symbol || data.ticker;
+            extracted.rawSymbol = rawSymbol;
+            extracted.symbol = this.symbolMapper.canonicalize(rawSymbol) || rawSymbol;
             extracted.action = data.action || data.signal;
-            extracted.price = parseFloat(data.price || data.close);
+            extracted.price = this.toNumber(data.price ?? data.close);
             extracted.strategy = data.strategy || data.indicator;
+            extracted.strategyType = data.strategy_type;
             extracted.timeframe = data.timeframe || data.interval;
             
             // Extract technical indicators
             extracted.indicators = {
-                rsi: parseFloat(data.rsi),
-                macd: parseFloat(data.macd),
-                ema20: parseFloat(data.ema20),
-                ema50: parseFloat(data.ema50),
-                volume: parseFloat(data.volume),
-                atr: parseFloat(data.atr)
+                rsi: this.toNumber(data.rsi),
+                macd: this.toNumber(data.macd),
+                ema20: this.toNumber(data.ema20),
+                ema50: this.toNumber(data.ema50),
+                volume: this.toNumber(data.volume),
+                atr: this.toNumber(data.atr)
             };
 
             // Stop loss and take profit levels
-            extracted.stopLoss = parseFloat(data.stop_loss || data.sl);
-            extracted.takeProfit = parseFloat(data.take_profit || data.tp);
+            extracted.stopLoss = this.toNumber(data.stop_loss ?? data.sl);
+            extracted.takeProfit = this.toNumber(data.take_profit ?? data.tp);
             
             // Additional metadata
             extracted.metadata = {
-                confidence: parseFloat(data.confidence),
-                riskReward: parseFloat(data.risk_reward),
+                confidence: this.toFraction(data.confidence),
+                riskReward: this.toNumber(data.risk_reward),
                 trend: data.trend,
-                support: parseFloat(data.support),
-                resistance: parseFloat(data.resistance),
-                exchange: data.exchange || 'BINANCE'
+                support: this.toNumber(data.support),
+                resistance: this.toNumber(data.resistance),
+                exchange: data.exchange || this.symbolMapper.getExchange(rawSymbol) || 'BINANCE'
             };
         }
 
         return extracted;
     }
 
+    // Missing fields stay undefined; present but non-numeric ones become NaN so the schema reports them
+    toNumber(value) {
+        if (value === undefined || value === null || value === '') return undefined;
+        if (typeof value === 'number') return value;
+        return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    }
+
+    // Payloads send percentages (0-100); signals carry fractions (0-1) like the strategies.
+    // A value below 1 is almost certainly a fraction sent by mistake: 0.85 becomes 0.85%
+    toFraction(value, field = 'confidence') {
+        const number = this.toNumber(value);
+        if (number === undefined) return undefined;
+        if (number > 0 && number < 1) {
+            console.warn(`⚠️ Webhook ${field} ${number} read as ${number}% - payload ${field} is a percentage (0-100)`);
+        }
+        return number / 100;
+    }
+
     // Text parsing helpers for basic TradingView alerts
     extractSymbolFromText(text) {
+        const known = this.symbolMapper.findInText(text);
+        if (known) return known;
+
         const symbolMatch = text.match(/([A-Z]{2,10}USDT?)/i);
         return symbolMatch ? symbolMatch[1].toUpperCase() : null;
     }
@@ -193,6 +457,8 @@ class TradingViewWebhookReceiver extends EventEmitter {
         
         // Clean old signals
         this.cleanOldSignals();
+
+        this.emit('signalReceived', signal);
         
         // Validate signal
         if (!this.isValidSignal(signal)) {
@@ -228,8 +494,8 @@ class TradingViewWebhookReceiver extends EventEmitter {
             return false;
         }
 
-        // Symbol format validation
-        if (!/^[A-Z]{2,10}(USDT?|BTC|ETH)$/i.test(signal.symbol)) {
+        // Symbol must map to a catalog instrument (USDJPY, XAUUSD, BINANCE:BTCUSDT...)
+        if (!this.symbolMapper.isKnown(signal.symbol)) {
             return false;
         }
 
@@ -241,10 +507,32 @@ class TradingViewWebhookReceiver extends EventEmitter {
         return true;
     }
 
+    recordRejection(signal, validation) {
+        const rejection = {
+            signalId: signal.id,
+            symbol: signal.symbol,
+            action: signal.action,
+            schema: validation.schema,
+            violations: validation.violations,
+            payload: signal.raw,
+            rejectedAt: Date.now()
+        };
+
+        this.rejectedSignals.push(rejection);
+        if (this.rejectedSignals.length > this.maxRejectedSignals) {
+            this.rejectedSignals.shift();
+        }
+
+        console.warn(`Signal rejected (${validation.schema}): ${validation.violations.map(v => v.message).join('; ')}`);
+        this.emit('signalRejected', rejection);
+        return rejection;
+    }
+
     isDuplicateSignal(signal) {
         // Check for duplicate signals within TTL window
         for (const [id, existingSignal] of this.recentSignals) {
             if (existingSignal.symbol === signal.symbol && 
+                existingSignal.webhookSource === signal.webhookSource &&
                 existingSignal.action === signal.action &&
                 (signal.timestamp - existingSignal.timestamp) < this.signalTTL) {
                 return true;
@@ -262,20 +550,6 @@ class TradingViewWebhookReceiver extends EventEmitter {
         }
     }
 
-    verifySignature(payload, signature) {
-        if (!this.webhookSecret || !signature) return true; // Skip if no secret
-        
-        const expectedSignature = crypto
-            .createHmac('sha256', this.webhookSecret)
-            .update(JSON.stringify(payload))
-            .digest('hex');
-            
-        return crypto.timingSafeEqual(
-            Buffer.from(signature, 'hex'),
-            Buffer.from(expectedSignature, 'hex')
-        );
-    }
-
     generateSignalId() {
         return `tv_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`;
     }
@@ -309,6 +583,17 @@ class TradingViewWebhookReceiver extends EventEmitter {
     // Configuration methods
     setWebhookSecret(secret) {
         this.webhookSecret = secret;
+        this.auth.setSecret(secret);
+    }
+
+    // fn() -> false when the consumer cannot take another signal
+    setQueueGuard(fn) {
+        this.queueGuard = fn;
+    }
+
+    // fn() -> { status: 'healthy' | 'degraded' | 'unhealthy', ... } merged into /health
+    setHealthCheck(fn) {
+        this.healthCheck = fn;
     }
 
     addAllowedIP(ip) {
@@ -321,8 +606,12 @@ class TradingViewWebhookReceiver extends EventEmitter {
         return {
             port: this.port,
             recentSignalsCount: this.recentSignals.size,
+            rejectedSignalsCount: this.rejectedSignals.length,
             allowedIPs: this.allowedIPs.length,
-            hasSecret: !!this.webhookSecret
+            hasSecret: !!this.webhookSecret,
+            sources: Array.from(this.sources.keys()),
+            droppedSignals: { ...this.droppedSignals },
+            usedNonces: this.auth.nonceStore.size
         };
     }
 }
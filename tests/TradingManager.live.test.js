@@ -0,0 +1,197 @@
+const ccxt = require('ccxt');
+const TradingManager = require('../src/TradingManager');
+const ExchangeManager = require('../src/exchanges/ExchangeManager');
+const MockExchange = require('./mocks/MockExchange');
+
+const SIGNAL = { type: 'buy', action: 'buy', symbol: 'XAUUSD', price: 2000, stopLoss: 1990, takeProfit: 2020, strategy: 'TEST' };
+
+async function createLiveManager(mock) {
+    const exchangeManager = new ExchangeManager({ instances: { mock }, orderCheckInterval: 60000 });
+    await exchangeManager.initialize();
+
+    const tm = new TradingManager({
+        paperTrading: false,
+        enforceTradingHours: false,
+        exchangeManager,
+        portfolio: { trackDailyPnL: false },
+        database: { path: ':memory:' }
+    });
+    tm.orderManager.setExchangeManager(exchangeManager);
+    return tm;
+}
+
+// Stops, closes and fallbacks run as background executions
+async function settle(tm) {
+    while (tm.pendingExecutions.size > 0) {
+        await Promise.allSettled(Array.from(tm.pendingExecutions));
+    }
+}
+
+function ordersFor(tm, positionId) {
+    const byRole = {};
+    for (const order of tm.orderManager.getOrdersForPosition(positionId)) byRole[order.role] = order;
+    return byRole;
+}
+
+describe('TradingManager live execution', () => {
+    let mock;
+    let tm;
+
+    beforeEach(async () => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        mock = new MockExchange({ price: 2000.5 });
+        tm = await createLiveManager(mock);
+    });
+
+    afterEach(async () => {
+        await tm.exchangeManager.shutdown();
+        jest.restoreAllMocks();
+    });
+
+    async function openLong() {
+        await tm.processSignal({ ...SIGNAL });
+        await settle(tm);
+        return Array.from(tm.portfolioManager.positions.values())[0];
+    }
+
+    describe('entry', () => {
+        test('fills the entry and prices the position from the venue fill', async () => {
+            const position = await openLong();
+
+            expect(position.entryPrice).toBe(2000.5);
+            const [entry] = mock.find(order => order.type === 'market');
+            expect(entry).toMatchObject({ side: 'buy', amount: position.size, status: 'closed' });
+
+            const { entry: order } = ordersFor(tm, position.id);
+            expect(order).toMatchObject({ status: 'filled', exchangeOrderId: entry.id, filled: position.size });
+            expect(entry.clientOrderId).toBe(order.clientOrderId);
+        });
+
+        test('rolls the position back when the venue rejects the entry', async () => {
+            const capital = tm.portfolioManager.currentCapital;
+            const errors = [];
+            tm.on('signalError', ({ error }) => errors.push(error.message));
+            mock.failNext(new ccxt.InsufficientFunds('Margin is insufficient'));
+
+            await tm.processSignal({ ...SIGNAL });
+            await settle(tm);
+
+            expect(tm.portfolioManager.positions.size).toBe(0);
+            expect(tm.portfolioManager.currentCapital).toBe(capital);
+            expect(tm.orderManager.getStats().byStatus).toEqual({ rejected: 1 });
+            expect(mock.orders.size).toBe(0);
+            expect(errors).toEqual([expect.stringContaining('Margin is insufficient')]);
+        });
+
+        test('dead-letters a rejected entry without scheduling a retry', async () => {
+            mock.failNext(new ccxt.InvalidOrder('Order would trigger immediately, network timeout on price check'));
+
+            await tm.processSignal({ ...SIGNAL });
+
+            const [entry] = tm.getDeadLetters();
+            expect(entry).toMatchObject({ status: 'dead', reason: 'error', error: { name: 'OrderRejectedError' } });
+            expect(tm.deadLetters.getDue(Date.now() + 3600000)).toEqual([]);
+        });
+
+        test('keeps an entry whose response was lost and resolves it by client id', async () => {
+            mock.failNext(new ccxt.RequestTimeout('timed out'), { accepted: true });
+
+            await tm.processSignal({ ...SIGNAL });
+            const position = Array.from(tm.portfolioManager.positions.values())[0];
+            expect(position).toBeDefined();
+            expect(ordersFor(tm, position.id).entry.status).toBe('unknown');
+
+            await tm.orderManager.syncOpenOrders();
+            await settle(tm);
+
+            expect(ordersFor(tm, position.id).entry.status).toBe('filled');
+            expect(position.entryPrice).toBe(2000.5);
+            // The bracket never registered, so the stop comes from the fallback path
+            expect(mock.find(order => order.type === 'stop_market')).toHaveLength(1);
+        });
+    });
+
+    describe('dead-letter retry', () => {
+        test('reprices a retried signal and keeps its stop and target distances', async () => {
+            mock.price = 2010;
+
+            const retry = await tm.buildPositionSignal({ ...SIGNAL, deadLetterId: 'dl_1' }, 'long');
+            expect(retry).toMatchObject({ price: 2010, stopLoss: 2000, takeProfit: 2030 });
+
+            const fresh = await tm.buildPositionSignal({ ...SIGNAL }, 'long');
+            expect(fresh).toMatchObject({ price: 2000, stopLoss: 1990, takeProfit: 2020 });
+        });
+    });
+
+    describe('stop placement', () => {
+        test('rests a reduce-only stop and take profit at the signal levels', async () => {
+            const position = await openLong();
+
+            const [stop] = mock.find(order => order.type === 'stop_market');
+            const [takeProfit] = mock.find(order => order.type === 'limit');
+            expect(stop).toMatchObject({ side: 'sell', amount: position.size, stopPrice: 1990, reduceOnly: true, status: 'open' });
+            expect(takeProfit).toMatchObject({ side: 'sell', amount: position.size, price: 2020, reduceOnly: true, status: 'open' });
+
+            const orders = ordersFor(tm, position.id);
+            expect(orders.stop_loss).toMatchObject({ exchangeOrderId: stop.id, status: 'submitted' });
+            expect(orders.take_profit).toMatchObject({ exchangeOrderId: takeProfit.id, status: 'submitted' });
+        });
+
+        test('keeps the stop when the take-profit leg is refused', async () => {
+            jest.spyOn(mock, 'createLimitOrder').mockRejectedValueOnce(new ccxt.InvalidOrder('Post only order would match'));
+
+            const position = await openLong();
+
+            expect(mock.find(order => order.type === 'stop_market')).toHaveLength(1);
+            expect(ordersFor(tm, position.id).take_profit).toBeUndefined();
+        });
+
+        test('falls back to a plain exchange stop when the bracket stop is refused', async () => {
+            const createOrder = mock.createOrder.bind(mock);
+            let refused = false;
+            jest.spyOn(mock, 'createOrder').mockImplementation(async (...args) => {
+                if (args[1] === 'stop_market' && !refused) {
+                    refused = true;
+                    throw new ccxt.InvalidOrder('Stop price would trigger immediately');
+                }
+                return createOrder(...args);
+            });
+
+            const position = await openLong();
+
+            const [stop] = mock.find(order => order.type === 'stop_market');
+            expect(stop).toMatchObject({ stopPrice: 1990, amount: position.size, status: 'open' });
+            expect(ordersFor(tm, position.id).stop_loss.exchangeOrderId).toBe(stop.id);
+        });
+    });
+
+    describe('close', () => {
+        test('flattens with a reduce-only market order and cancels the legs', async () => {
+            const position = await openLong();
+
+            await tm.closePosition('XAUUSD', 'manual');
+            await settle(tm);
+
+            expect(tm.portfolioManager.positions.size).toBe(0);
+            const exit = mock.find(order => order.type === 'market' && order.side === 'sell');
+            expect(exit).toEqual([expect.objectContaining({ amount: position.size, reduceOnly: true, status: 'closed' })]);
+            expect(mock.find(order => order.type !== 'market').map(order => order.status)).toEqual(['canceled', 'canceled']);
+            expect(ordersFor(tm, position.id).exit.status).toBe('filled');
+        });
+
+        test('closes the position when the exchange stop fills and cancels the take profit', async () => {
+            const position = await openLong();
+            const [stop] = mock.find(order => order.type === 'stop_market');
+
+            mock.fill(stop.id, 1990);
+            await tm.orderManager.syncOpenOrders();
+            await settle(tm);
+
+            expect(tm.portfolioManager.positions.size).toBe(0);
+            const [trade] = tm.portfolioManager.closedTrades;
+            expect(trade).toMatchObject({ id: position.id, reason: 'stop_loss', closePrice: 1990 });
+            expect(mock.find(order => order.type === 'limit')[0].status).toBe('canceled');
+            expect(mock.find(order => order.type === 'market')).toHaveLength(1);
+        });
+    });
+});
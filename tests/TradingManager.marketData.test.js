@@ -0,0 +1,68 @@
+const TradingManager = require('../src/TradingManager');
+const ExchangeManager = require('../src/exchanges/ExchangeManager');
+const MockExchange = require('./mocks/MockExchange');
+
+async function createManager({ paperTrading, port }) {
+    const mock = new MockExchange({ price: 2000.5 });
+    const exchangeManager = new ExchangeManager({ instances: { mock }, orderCheckInterval: 60000 });
+    await exchangeManager.initialize();
+
+    const tm = new TradingManager({
+        paperTrading,
+        enforceTradingHours: false,
+        exchangeManager,
+        webhook: { port },
+        marketData: { enabled: true, source: 'exchange', pollInterval: 3600000 },
+        correlation: { symbols: ['XAUUSD'] },
+        portfolio: { trackDailyPnL: false },
+        positionMonitorInterval: 3600000,
+        database: { path: ':memory:' }
+    });
+    return { tm, mock };
+}
+
+describe('TradingManager market data', () => {
+    let tm;
+    let mock;
+
+    beforeEach(() => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+    });
+
+    afterEach(async () => {
+        await tm.stop();
+        await tm.exchangeManager.shutdown();
+        jest.restoreAllMocks();
+    });
+
+    test('polls live bars from the exchange when started in live mode', async () => {
+        ({ tm, mock } = await createManager({ paperTrading: false, port: 39471 }));
+        const fetchOHLCV = jest.spyOn(mock, 'fetchOHLCV');
+
+        await tm.start();
+
+        expect(tm.candleFeed.exchangeManager).toBe(tm.exchangeManager);
+        expect(fetchOHLCV).toHaveBeenCalledWith('XAUUSD', expect.any(String), undefined, expect.any(Number));
+        expect(tm.candleFeed.getCandles('XAUUSD', '1h').every(bar => bar.close === 2000.5)).toBe(true);
+    });
+
+    test('re-points the candle feed at the live exchange when switching from paper', async () => {
+        ({ tm, mock } = await createManager({ paperTrading: true, port: 39472 }));
+        await tm.start();
+        expect(tm.candleFeed.exchangeManager).toBe(tm.paperExchange);
+
+        const fetchOHLCV = jest.spyOn(mock, 'fetchOHLCV');
+        await tm.setPaperTrading(false);
+
+        expect(tm.candleFeed.exchangeManager).toBe(tm.exchangeManager);
+        // Simulated history is dropped; the next poll seeds it from the venue
+        expect(tm.candleFeed.getCandles('XAUUSD', '1h')).toEqual([]);
+
+        const analyze = jest.spyOn(tm, 'onBarClosed');
+        await tm.candleFeed.pollExchange(tm.candleFeed.subscriptions.get(tm.candleFeed.getKey('XAUUSD', '1h')));
+
+        expect(fetchOHLCV).toHaveBeenCalled();
+        expect(tm.candleFeed.getCandles('XAUUSD', '1h').every(bar => bar.close === 2000.5)).toBe(true);
+        expect(analyze).not.toHaveBeenCalled();
+    });
+});
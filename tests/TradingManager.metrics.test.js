@@ -0,0 +1,33 @@
+const TradingManager = require('../src/TradingManager');
+
+function sample(text, series) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+describe('TradingManager metrics', () => {
+    let tm;
+
+    beforeEach(() => {
+        ['log', 'warn'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        tm = new TradingManager({ portfolio: { trackDailyPnL: false }, database: { path: ':memory:' } });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('counts partial exits of open positions as realized PnL', async () => {
+        const pm = tm.portfolioManager;
+        const closed = pm.openPosition({ symbol: 'XAUUSD', side: 'long', price: 2000, stopLoss: 1990, takeProfit: 2030, strategy: 'GOLD_SCALPING' });
+        const closedTrade = pm.closePosition(closed.id, 2005, 'manual');
+        const open = pm.openPosition({ symbol: 'XAUUSD', side: 'long', price: 2000, stopLoss: 1990, takeProfit: 2030, strategy: 'GOLD_SCALPING' });
+        pm.closePartial(open.id, 2010, open.size / 2);
+
+        const partial = open.realizedPnL;
+        expect(partial).toBeGreaterThan(0);
+
+        const text = await tm.metrics.render();
+        expect(sample(text, 'trading_realized_pnl')).toBeCloseTo(closedTrade.realizedPnL + partial);
+        expect(sample(text, 'trading_strategy_realized_pnl{strategy="GOLD_SCALPING"}')).toBeCloseTo(closedTrade.realizedPnL + partial);
+        expect(sample(text, 'trading_strategy_closed_trades{strategy="GOLD_SCALPING"}')).toBe(1);
+    });
+});
@@ -0,0 +1,71 @@
+const express = require('express');
+const ControlApi = require('../../src/api/ControlApi');
+const { listen } = require('../helpers/http');
+
+const TOKEN = 'control-token';
+const UNAUTHORIZED = { error: { code: 'UNAUTHORIZED', message: 'Missing or invalid bearer token' } };
+
+describe('ControlApi bearer-token auth', () => {
+    let server;
+    let tradingManager;
+
+    beforeEach(async () => {
+        tradingManager = { getStatus: jest.fn(() => ({ isRunning: true, paperTrading: true })) };
+        const app = express();
+        app.use(express.json());
+        new ControlApi(tradingManager, { tokens: [TOKEN] }).mount(app);
+        server = await listen(app);
+    });
+
+    afterEach(() => server.close());
+
+    const getStatus = (path = '/api/v1/status', headers = {}) => server.request('GET', path, { headers });
+
+    test('answers an authorised read with { data }', async () => {
+        const response = await getStatus(undefined, { authorization: `Bearer ${TOKEN}` });
+
+        expect(response.status).toBe(200);
+        expect(response.json).toEqual({ data: { isRunning: true, paperTrading: true } });
+    });
+
+    test('refuses a missing token', async () => {
+        const response = await getStatus();
+
+        expect(response.status).toBe(401);
+        expect(response.headers.get('www-authenticate')).toBe('Bearer');
+        expect(response.json).toEqual(UNAUTHORIZED);
+        expect(tradingManager.getStatus).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['a wrong token', `Bearer wrong-${TOKEN}`],
+        ['an empty token', 'Bearer '],
+        ['another scheme', `Basic ${TOKEN}`]
+    ])('refuses %s in the Authorization header', async (label, authorization) => {
+        const response = await getStatus(undefined, { authorization });
+
+        expect(response.status).toBe(401);
+        expect(response.json).toEqual(UNAUTHORIZED);
+    });
+
+    test.each([
+        ['a wrong token', 'wrong'],
+        ['the valid token', TOKEN]
+    ])('refuses %s in ?token= (only the header is read)', async (label, token) => {
+        const response = await getStatus(`/api/v1/status?token=${token}`);
+
+        expect(response.status).toBe(401);
+        expect(response.json).toEqual(UNAUTHORIZED);
+        expect(tradingManager.getStatus).not.toHaveBeenCalled();
+    });
+
+    test('reports malformed JSON bodies in the same error shape', async () => {
+        const response = await server.request('POST', '/api/v1/trading/pause', {
+            body: '{"reason":',
+            headers: { authorization: `Bearer ${TOKEN}`, 'content-type': 'application/json' }
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.json).toEqual({ error: { code: 'BAD_REQUEST', message: 'Malformed JSON body' } });
+    });
+});
@@ -0,0 +1,22 @@
+// Serves an express app on an ephemeral localhost port for request-level specs
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url,
+                request: async (method, path, { body, headers = {} } = {}) => {
+                    const response = await fetch(url + path, { method, headers, body });
+                    const text = await response.text();
+                    let json = null;
+                    try { json = JSON.parse(text); } catch (error) { /* not JSON */ }
+                    return { status: response.status, headers: response.headers, json, text };
+                },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = { listen };
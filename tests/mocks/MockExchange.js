@@ -0,0 +1,110 @@
+const ccxt = require('ccxt');
+
+// In-memory stand-in for a ccxt exchange: market orders fill at `price` in the create
+// response, everything else rests until fill() or cancelOrder(). failNext() makes the
+// next createOrder throw, optionally after the venue has accepted the order (a lost response).
+class MockExchange {
+    constructor({ id = 'mock', price = 2000, markets = { XAUUSD: { id: 'XAUUSD', symbol: 'XAUUSD' } } } = {}) {
+        this.id = id;
+        this.has = { createOrder: true, cancelOrder: true, fetchOrder: true, fetchOpenOrders: true, fetchOHLCV: true };
+        this.markets = markets;
+        this.price = price;
+        this.orders = new Map();
+        this.failures = [];
+        this.sequence = 0;
+    }
+
+    async loadMarkets() {
+        return this.markets;
+    }
+
+    async fetchTicker(symbol) {
+        return { symbol, last: this.price, bid: this.price, ask: this.price };
+    }
+
+    // Flat bars at `price`, the last one still forming
+    async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 100) {
+        const step = { m: 60000, h: 3600000, d: 86400000 }[timeframe.slice(-1)] * parseInt(timeframe);
+        const current = Math.floor(Date.now() / step) * step;
+        return Array.from({ length: limit }, (_, i) => {
+            const timestamp = current - (limit - 1 - i) * step;
+            return [timestamp, this.price, this.price, this.price, this.price, 1];
+        });
+    }
+
+    async fetchBalance() {
+        return { USD: { free: 1000000, used: 0, total: 1000000 } };
+    }
+
+    failNext(error, { accepted = false } = {}) {
+        this.failures.push({ error, accepted });
+    }
+
+    async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+        const failure = this.failures.shift();
+        if (failure && !failure.accepted) throw failure.error;
+
+        const order = {
+            id: `mock_${++this.sequence}`,
+            clientOrderId: params.clientOrderId,
+            symbol,
+            type,
+            side,
+            amount,
+            price,
+            stopPrice: params.stopPrice,
+            reduceOnly: !!params.reduceOnly,
+            status: 'open',
+            filled: 0,
+            remaining: amount,
+            average: undefined
+        };
+        this.orders.set(order.id, order);
+        if (type === 'market') this.fill(order.id);
+
+        if (failure) throw failure.error;
+        return { ...order };
+    }
+
+    async createMarketOrder(symbol, side, amount, price = undefined, params = {}) {
+        return this.createOrder(symbol, 'market', side, amount, price, params);
+    }
+
+    async createLimitOrder(symbol, side, amount, price, params = {}) {
+        return this.createOrder(symbol, 'limit', side, amount, price, params);
+    }
+
+    async cancelOrder(id) {
+        const order = this.orders.get(id);
+        if (!order || order.status !== 'open') throw new ccxt.OrderNotFound(`Order ${id} not found`);
+        order.status = 'canceled';
+        return { ...order };
+    }
+
+    async fetchOrder(id, symbol = undefined, params = {}) {
+        const order = id
+            ? this.orders.get(id)
+            : Array.from(this.orders.values()).find(candidate => candidate.clientOrderId === params.clientOrderId);
+        if (!order) throw new ccxt.OrderNotFound(`Order ${id || params.clientOrderId} not found`);
+        return { ...order };
+    }
+
+    async fetchOpenOrders(symbol = undefined) {
+        return Array.from(this.orders.values())
+            .filter(order => order.status === 'open' && (!symbol || order.symbol === symbol))
+            .map(order => ({ ...order }));
+    }
+
+    // Venue-side fill of a resting order (stop triggered, limit touched)
+    fill(id, price = this.price) {
+        const order = this.orders.get(id);
+        Object.assign(order, { status: 'closed', filled: order.amount, remaining: 0, average: order.price ?? price });
+        return order;
+    }
+
+    find(predicate) {
+        return Array.from(this.orders.values()).filter(predicate);
+    }
+}
+
+module.exports = MockExchange;
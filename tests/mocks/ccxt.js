@@ -0,0 +1,5 @@
+// ccxt's CommonJS bundle pulls in ESM-only crypto packages that jest cannot load. Specs
+// talk to MockExchange instead of a real venue and only need ccxt's error classes, so
+// jest maps `ccxt` to them here (see "jest" in package.json); instanceof checks in src
+// see the same classes as in production.
+module.exports = require('../../node_modules/ccxt/dist/cjs/src/base/errors.js');
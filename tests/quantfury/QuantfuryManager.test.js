@@ -0,0 +1,64 @@
+const QuantfuryManager = require('../../src/quantfury/QuantfuryManager');
+
+const SIGNAL = { symbol: 'XAUUSD', side: 'long', action: 'buy', price: 2000, stopLoss: 1990, takeProfit: 2020 };
+
+describe('QuantfuryManager alert lifecycle', () => {
+    let manager;
+    let updates;
+
+    beforeEach(() => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        manager = new QuantfuryManager({ initialBalance: 10000, alertTtl: 60000 });
+        updates = [];
+        manager.on('alertUpdated', alert => updates.push([alert.id, alert.status]));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('creates alerts as active', async () => {
+        const alert = await manager.processQuantfurySignal({ ...SIGNAL });
+        expect(alert.status).toBe('active');
+        expect(manager.getActiveAlerts()).toEqual([alert]);
+    });
+
+    test('marks an alert executed when it fills', async () => {
+        const alert = await manager.processQuantfurySignal({ ...SIGNAL });
+        const executions = [];
+        manager.on('executionUpdated', execution => executions.push(execution.status));
+
+        const execution = manager.simulateExecution(alert.id, 2001);
+
+        expect(alert).toMatchObject({ status: 'executed', executionId: execution.id });
+        expect(manager.getActiveAlerts()).toEqual([]);
+        expect(updates).toEqual([[alert.id, 'executed']]);
+
+        manager.closePosition(execution.id, 2011, 'take_profit');
+        expect(executions).toEqual(['open', 'closed']);
+    });
+
+    test('expires alerts older than the ttl', async () => {
+        const alert = await manager.processQuantfurySignal({ ...SIGNAL });
+
+        expect(manager.expireAlerts(alert.timestamp + 60000)).toEqual([]);
+        expect(manager.expireAlerts(alert.timestamp + 60001)).toEqual([alert]);
+        expect(alert.status).toBe('expired');
+        expect(manager.getActiveAlerts()).toEqual([]);
+        expect(updates).toEqual([[alert.id, 'expired']]);
+    });
+
+    test('rebuilds the virtual portfolio from persisted executions', () => {
+        manager.restoreState({
+            alerts: [{ id: 'qf_1', instrument: 'XAUUSD', timestamp: Date.now() }],
+            executions: [
+                { id: 'exec_1', status: 'closed', realizedPnL: 150 },
+                { id: 'exec_2', status: 'closed', realizedPnL: -50 },
+                { id: 'exec_3', status: 'open', symbol: 'XAUUSD' }
+            ]
+        });
+
+        expect(manager.getActiveAlerts()).toEqual([expect.objectContaining({ id: 'qf_1', status: 'active' })]);
+        expect(manager.virtualPortfolio).toMatchObject({ balance: 10100, realizedPnL: 100 });
+        expect(Array.from(manager.virtualPortfolio.positions.keys())).toEqual(['exec_3']);
+        expect(manager.getPerformanceStats()).toMatchObject({ totalTrades: 2, winningTrades: 1, totalReturn: 1 });
+    });
+});
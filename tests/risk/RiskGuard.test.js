@@ -0,0 +1,104 @@
+const EventEmitter = require('events');
+const RiskGuard = require('../../src/risk/RiskGuard');
+
+const NOW = Date.parse('2026-03-10T15:00:00Z');
+
+// Just enough of PortfolioManager for the guard: equity, closed trades and the two events
+function createPortfolio({ equity = 10000, closedTrades = [] } = {}) {
+    const portfolio = new EventEmitter();
+    portfolio.initialCapital = 10000;
+    portfolio.equity = equity;
+    portfolio.closedTrades = closedTrades;
+    portfolio.getPortfolioSummary = () => ({ totalValue: portfolio.equity, unrealizedPnL: 0 });
+    return portfolio;
+}
+
+function trade(realizedPnL, closeTimestamp) {
+    return { realizedPnL, closeTimestamp: new Date(closeTimestamp).toISOString() };
+}
+
+function createGuard(portfolio, config = {}) {
+    const guard = new RiskGuard({ maxDailyLoss: 0.05, maxDrawdown: 0.1, maxConsecutiveLosses: 3, ...config, clock: () => NOW });
+    guard.attach(portfolio);
+    return guard;
+}
+
+describe('RiskGuard state', () => {
+    beforeEach(() => {
+        ['log', 'warn'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('emits stateChanged only when the state moves', () => {
+        const portfolio = createPortfolio();
+        const guard = createGuard(portfolio);
+        const states = [];
+        guard.on('stateChanged', state => states.push(state));
+
+        guard.evaluate();
+        guard.evaluate();
+        portfolio.equity = 10200;
+        guard.evaluate();
+
+        expect(states).toEqual([
+            { peakEquity: 10000, dayStartEquity: 10000, dayKey: '2026-03-10', consecutiveLosses: 0 },
+            { peakEquity: 10200, dayStartEquity: 10000, dayKey: '2026-03-10', consecutiveLosses: 0 }
+        ]);
+    });
+
+    test('keeps measuring from the saved peak and start of day after a restart', () => {
+        const portfolio = createPortfolio({ equity: 9500 });
+        const guard = createGuard(portfolio);
+        guard.restoreState({ state: { peakEquity: 10500, dayStartEquity: 10100, dayKey: '2026-03-10', consecutiveLosses: 2 } });
+
+        const metrics = guard.evaluate();
+
+        expect(metrics).toMatchObject({ peakEquity: 10500, dayStartEquity: 10100, consecutiveLosses: 2 });
+        expect(guard.tripped).toMatchObject({ reason: 'daily_loss' });
+    });
+
+    test('starts a new day from the current equity even with a saved state', () => {
+        const portfolio = createPortfolio({ equity: 9900 });
+        const guard = createGuard(portfolio);
+        guard.restoreState({ state: { peakEquity: 10000, dayStartEquity: 10500, dayKey: '2026-03-09', consecutiveLosses: 0 } });
+
+        expect(guard.evaluate()).toMatchObject({ dayStartEquity: 9900, dailyLoss: 0 });
+    });
+
+    test('rebuilds the state from closed trades when none was saved', () => {
+        const portfolio = createPortfolio({
+            equity: 10300,
+            closedTrades: [
+                trade(800, '2026-03-08T10:00:00Z'),
+                trade(-200, '2026-03-09T10:00:00Z'),
+                trade(-100, '2026-03-10T09:00:00Z'),
+                trade(-200, '2026-03-10T11:00:00Z')
+            ]
+        });
+        const guard = createGuard(portfolio);
+        guard.restoreState();
+
+        expect(guard.getState()).toEqual({ peakEquity: 10800, dayStartEquity: 10600, dayKey: '2026-03-10', consecutiveLosses: 3 });
+        expect(guard.evaluate().drawdown).toBeCloseTo(500 / 10800);
+        expect(guard.tripped).toMatchObject({ reason: 'consecutive_losses' });
+    });
+
+    test('ignores losses accepted by a re-arm when rebuilding', () => {
+        const portfolio = createPortfolio({
+            equity: 9500,
+            closedTrades: [
+                trade(-300, '2026-03-09T10:00:00Z'),
+                trade(-300, '2026-03-09T11:00:00Z'),
+                trade(100, '2026-03-10T10:00:00Z'),
+                trade(-300, '2026-03-10T11:00:00Z')
+            ]
+        });
+        const guard = createGuard(portfolio);
+        const rearmedAt = Date.parse('2026-03-09T12:00:00Z');
+        guard.restoreState({ trips: [{ id: 'trip_1', reason: 'consecutive_losses', trippedAt: rearmedAt - 1000, rearmedAt }] });
+
+        expect(guard.getState()).toMatchObject({ peakEquity: 9500, dayStartEquity: 9400, consecutiveLosses: 1 });
+        expect(guard.canTrade()).toBe(true);
+    });
+});
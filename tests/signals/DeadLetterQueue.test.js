@@ -0,0 +1,73 @@
+const DeadLetterQueue = require('../../src/signals/DeadLetterQueue');
+
+const SIGNAL = { type: 'buy', action: 'buy', symbol: 'XAUUSD', price: 2000 };
+
+function createQueue(config = {}) {
+    const queue = new DeadLetterQueue({ baseDelay: 1000, maxSignalAge: 60000, ...config, clock: () => queue.now });
+    queue.now = 1700000000000;
+    return queue;
+}
+
+function timeout() {
+    return Object.assign(new Error('Request timed out'), { name: 'RequestTimeout' });
+}
+
+describe('DeadLetterQueue', () => {
+    test('retries transient errors with backoff', () => {
+        const queue = createQueue();
+        const entry = queue.add({ ...SIGNAL }, 'error', timeout());
+
+        expect(entry).toMatchObject({ status: 'retrying', attempts: 1, nextRetryAt: queue.now + 1000 });
+        expect(queue.getDue()).toEqual([]);
+        expect(queue.getDue(queue.now + 1000)).toEqual([entry]);
+    });
+
+    test('does not retry errors that opt out with transient = false', () => {
+        const queue = createQueue();
+        const error = Object.assign(new Error('network timeout while pricing'), { transient: false });
+        expect(queue.add({ ...SIGNAL }, 'error', error).status).toBe('dead');
+    });
+
+    test('counts queue_full failures as attempts', () => {
+        const queue = createQueue({ maxAttempts: 2 });
+        const entry = queue.add({ ...SIGNAL }, 'queue_full');
+        expect(entry).toMatchObject({ status: 'retrying', attempts: 1 });
+
+        queue.markQueued(entry.id);
+        queue.fail(entry.id, 'queue_full');
+        expect(entry).toMatchObject({ status: 'dead', attempts: 2 });
+    });
+
+    test('expires retrying entries older than maxSignalAge', () => {
+        const queue = createQueue();
+        const expired = [];
+        queue.on('expired', entry => expired.push(entry.id));
+        const entry = queue.add({ ...SIGNAL, queuedAt: queue.now - 30000 }, 'error', timeout());
+
+        queue.now += 20000;
+        expect(queue.expireStale()).toEqual([]);
+
+        queue.now += 20000;
+        expect(queue.expireStale()).toEqual([expect.objectContaining({ id: entry.id, status: 'expired', closedBy: 'age' })]);
+        expect(queue.has(entry.id)).toBe(false);
+        expect(expired).toEqual([entry.id]);
+    });
+
+    test('leaves dead entries for manual review', () => {
+        const queue = createQueue();
+        const entry = queue.add({ ...SIGNAL }, 'inactive');
+
+        queue.now += 120000;
+        expect(queue.expireStale()).toEqual([]);
+        expect(queue.get(entry.id).status).toBe('dead');
+    });
+
+    test('expires a restored in-flight entry instead of retrying it', () => {
+        const queue = createQueue();
+        const entry = { id: 'dl_1', signal: SIGNAL, status: 'queued', attempts: 1, signalAt: queue.now - 120000, createdAt: queue.now - 120000 };
+
+        queue.restoreState([entry]);
+        expect(queue.expireStale().map(closed => closed.id)).toEqual(['dl_1']);
+        expect(queue.getDue()).toEqual([]);
+    });
+});
@@ -0,0 +1,51 @@
+const ExpressionEvaluator = require('../../src/tradingview/ExpressionEvaluator');
+
+describe('ExpressionEvaluator', () => {
+    const evaluator = new ExpressionEvaluator();
+
+    test('evaluates the rendered README template', () => {
+        expect(evaluator.evaluate('2043.1 * 0.9985')).toBeCloseTo(2040.03535);
+    });
+
+    test('follows precedence, parentheses and unary signs', () => {
+        expect(evaluator.evaluate('1 + 2 * 3')).toBe(7);
+        expect(evaluator.evaluate('(1 + 2) * 3')).toBe(9);
+        expect(evaluator.evaluate('-2 * -(3 - 1)')).toBe(4);
+        expect(evaluator.evaluate('10 / 4 - .5')).toBe(2);
+        expect(evaluator.evaluate('1e3 / 2')).toBe(500);
+    });
+
+    test('reads variables', () => {
+        expect(evaluator.evaluate('close - 2*atr', { close: 2000, atr: 7.5 })).toBe(1985);
+        expect(evaluator.getVariables('close - 2*atr')).toEqual(['close', 'atr']);
+    });
+
+    test('rejects division by zero', () => {
+        expect(() => evaluator.evaluate('close / (atr - atr)', { close: 1, atr: 2 })).toThrow('Division by zero');
+    });
+
+    test('rejects unknown and non-numeric identifiers', () => {
+        expect(() => evaluator.evaluate('close * bogus', { close: 1 })).toThrow('Unknown variable "bogus"');
+        expect(() => evaluator.evaluate('constructor * 2', {})).toThrow('Unknown variable "constructor"');
+        expect(() => evaluator.evaluate('close * 2', { close: 'abc' })).toThrow('Unknown variable "close"');
+    });
+
+    test('rejects unsupported characters', () => {
+        expect(() => evaluator.evaluate('close ** 2', { close: 2 })).toThrow('Unexpected "*"');
+        expect(() => evaluator.evaluate('close % 2', { close: 2 })).toThrow('Unsupported character "%"');
+        expect(() => evaluator.evaluate('process.exit(1)')).toThrow('Unsupported character "."');
+    });
+
+    test('rejects malformed expressions', () => {
+        expect(() => evaluator.evaluate('')).toThrow('Empty expression');
+        expect(() => evaluator.evaluate('(1 + 2')).toThrow('Missing closing parenthesis');
+        expect(() => evaluator.evaluate('1 +')).toThrow('Unexpected end of expression');
+        expect(() => evaluator.evaluate('1 2')).toThrow('Unexpected "2"');
+    });
+
+    test('caps the expression length', () => {
+        const capped = new ExpressionEvaluator({ maxLength: 10 });
+        expect(capped.evaluate('1+2+3+4+5')).toBe(15);
+        expect(() => capped.evaluate('1+2+3+4+5+6')).toThrow('Expression longer than 10 characters');
+    });
+});
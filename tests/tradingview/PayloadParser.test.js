@@ -0,0 +1,66 @@
+const PayloadParser = require('../../src/tradingview/PayloadParser');
+
+describe('PayloadParser', () => {
+    const parser = new PayloadParser();
+
+    test('passes strict JSON through', () => {
+        expect(parser.parse('{"symbol":"XAUUSD","price":2043.1}')).toEqual({ payload: { symbol: 'XAUUSD', price: 2043.1 }, errors: [] });
+    });
+
+    test('leaves plain-text alerts alone', () => {
+        expect(parser.parse('BUY XAUUSD @ 2043.1')).toEqual({ payload: 'BUY XAUUSD @ 2043.1', errors: [] });
+    });
+
+    test('evaluates bare arithmetic in a relaxed body', () => {
+        const { payload, errors } = parser.parse('{"price": 2043.1, "stop_loss": 2043.1 * 0.9985, "take_profit": (2043.1 * 1.0025)}');
+        expect(errors).toEqual([]);
+        expect(payload.stop_loss).toBeCloseTo(2040.03535);
+        expect(payload.take_profit).toBeCloseTo(2048.20775);
+    });
+
+    test('resolves references to other fields, in dependency order', () => {
+        const { payload, errors } = parser.parse('{"take_profit": price + 3*atr, "stop_loss": close - 2*atr, "price": "close", "close": 2000, "atr": "5"}');
+        expect(errors).toEqual([]);
+        expect(payload).toMatchObject({ stop_loss: 1990, take_profit: 2015 });
+    });
+
+    test('evaluates quoted expressions only in numeric fields', () => {
+        const { payload } = parser.parse('{"close": 100, "sl": "close - 1", "comment": "a - b"}');
+        expect(payload).toMatchObject({ sl: 99, comment: 'a - b' });
+    });
+
+    test('reports circular references as expression errors', () => {
+        const { payload, errors } = parser.parse('{"stop_loss": take_profit - 10, "take_profit": stop_loss + 10}');
+        expect(errors).toEqual([
+            expect.objectContaining({ field: 'stop_loss', rule: 'expression', message: 'stop_loss: circular reference' }),
+            expect.objectContaining({ field: 'take_profit', rule: 'expression', message: 'take_profit: circular reference' })
+        ]);
+        expect(payload.stop_loss).toBeNaN();
+    });
+
+    test('reports evaluation failures per field', () => {
+        const { errors } = parser.parse('{"close": 10, "atr": 0, "sl": close / atr, "tp": close * nope, "rsi": close % 2}');
+        expect(errors.map(error => error.message)).toEqual([
+            'sl: Division by zero',
+            'tp: Unknown variable "nope"',
+            'rsi: Unsupported character "%"'
+        ]);
+    });
+
+    test('throws a SyntaxError on malformed bodies', () => {
+        expect(() => parser.parse('{"price": }')).toThrow(SyntaxError);
+        expect(() => parser.parse('{"price": 1')).toThrow('Expected "}"');
+        expect(() => parser.parse('{price: 1}')).toThrow('Expected string');
+        expect(() => parser.parse('{"a": 1} trailing')).toThrow('Unexpected "t"');
+    });
+
+    test('refuses deeply nested bodies without overflowing the stack', () => {
+        const depth = 100000;
+        const relaxed = '{"a": '.repeat(depth) + 'close * 2' + '}'.repeat(depth);
+        const strict = '{"a": '.repeat(depth) + '1' + '}'.repeat(depth);
+
+        expect(() => parser.parse(relaxed)).toThrow(new SyntaxError('Payload nested deeper than 32 levels'));
+        expect(() => parser.parse(strict)).toThrow(new SyntaxError('Payload nested deeper than 32 levels'));
+        expect(() => parser.parse('{"a": {"b": [1, {"c": 2}]}}')).not.toThrow();
+    });
+});
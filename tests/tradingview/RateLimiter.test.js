@@ -0,0 +1,68 @@
+const RateLimiter = require('../../src/tradingview/RateLimiter');
+
+const NOW = 1700000000000;
+
+describe('RateLimiter', () => {
+    test('allows a burst, then refuses with the time to the next token', () => {
+        const limiter = new RateLimiter({ perMinute: 6, burst: 2 });
+
+        expect(limiter.take('a', NOW)).toEqual({ allowed: true, remaining: 1, retryAfter: 0 });
+        expect(limiter.take('a', NOW)).toEqual({ allowed: true, remaining: 0, retryAfter: 0 });
+        expect(limiter.take('a', NOW)).toEqual({ allowed: false, remaining: 0, retryAfter: 10000 });
+        expect(limiter.take('a', NOW + 4000)).toEqual({ allowed: false, remaining: 0, retryAfter: 6000 });
+    });
+
+    test('refills at perMinute up to the burst', () => {
+        const limiter = new RateLimiter({ perMinute: 6, burst: 2 });
+        limiter.take('a', NOW);
+        limiter.take('a', NOW);
+
+        expect(limiter.take('a', NOW + 10000).allowed).toBe(true);
+        expect(limiter.take('a', NOW + 10000).allowed).toBe(false);
+
+        // An hour idle still only holds `burst` tokens
+        expect(limiter.take('a', NOW + 3600000)).toMatchObject({ allowed: true, remaining: 1 });
+    });
+
+    test('keeps separate buckets per key', () => {
+        const limiter = new RateLimiter({ perMinute: 1, burst: 1 });
+        expect(limiter.take('a', NOW).allowed).toBe(true);
+        expect(limiter.take('a', NOW).allowed).toBe(false);
+        expect(limiter.take('b', NOW).allowed).toBe(true);
+    });
+
+    test('ignores a clock that goes backwards', () => {
+        const limiter = new RateLimiter({ perMinute: 60, burst: 1 });
+        limiter.take('a', NOW);
+        expect(limiter.take('a', NOW - 5000).allowed).toBe(false);
+    });
+
+    test('defaults the burst to perMinute', () => {
+        const limiter = new RateLimiter({ perMinute: 3 });
+        expect([1, 2, 3, 4].map(() => limiter.take('a', NOW).allowed)).toEqual([true, true, true, false]);
+    });
+
+    describe('prune', () => {
+        test('drops refilled buckets and keeps busy ones', () => {
+            const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+            limiter.take('idle', NOW);
+            limiter.take('busy', NOW + 5000);
+            limiter.take('busy', NOW + 5000);
+
+            limiter.prune(NOW + 5000);
+
+            expect(Array.from(limiter.buckets.keys())).toEqual(['busy']);
+        });
+
+        test('evicts the oldest key when every bucket is busy at maxKeys', () => {
+            const limiter = new RateLimiter({ perMinute: 1, burst: 1, maxKeys: 2 });
+            limiter.take('a', NOW);
+            limiter.take('b', NOW);
+            limiter.take('c', NOW);
+
+            expect(Array.from(limiter.buckets.keys())).toEqual(['b', 'c']);
+            // `a` starts over with a full bucket
+            expect(limiter.take('a', NOW).allowed).toBe(true);
+        });
+    });
+});
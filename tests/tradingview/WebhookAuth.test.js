@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const WebhookAuth = require('../../src/tradingview/WebhookAuth');
+
+const { NonceStore } = WebhookAuth;
+const SECRET = 'test-secret';
+const NOW = 1700000000000;
+
+function signedHeaders(rawBody, { secret = SECRET, timestamp = NOW, nonce = 'nonce-1' } = {}) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex');
+    return {
+        'x-webhook-signature': signature,
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-nonce': nonce
+    };
+}
+
+describe('WebhookAuth', () => {
+    const rawBody = JSON.stringify({ symbol: 'XAUUSD', action: 'buy' });
+
+    test('passes everything when no secret is configured', () => {
+        const auth = new WebhookAuth();
+        expect(auth.authenticate({ rawBody, headers: {} }, NOW)).toEqual({ ok: true, method: 'none' });
+    });
+
+    describe('raw-body HMAC', () => {
+        test('accepts a valid signature', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const result = auth.authenticate({ rawBody, headers: signedHeaders(rawBody) }, NOW);
+            expect(result).toEqual({ ok: true, method: 'hmac' });
+        });
+
+        test('accepts the legacy TradingView signature header', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const { 'x-webhook-signature': signature, ...headers } = signedHeaders(rawBody);
+            const result = auth.authenticate({ rawBody, headers: { ...headers, 'x-tradingview-signature': signature } }, NOW);
+            expect(result.ok).toBe(true);
+        });
+
+        test('rejects a signature made with another secret', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const result = auth.authenticate({ rawBody, headers: signedHeaders(rawBody, { secret: 'other' }) }, NOW);
+            expect(result).toEqual({ ok: false, reason: 'Invalid signature' });
+        });
+
+        test('rejects a tampered body', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const headers = signedHeaders(rawBody);
+            const result = auth.authenticate({ rawBody: rawBody.replace('buy', 'sell'), headers }, NOW);
+            expect(result).toEqual({ ok: false, reason: 'Invalid signature' });
+        });
+
+        test('rejects a signature of the wrong length without throwing', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const headers = { ...signedHeaders(rawBody), 'x-webhook-signature': 'abc123' };
+            expect(() => auth.authenticate({ rawBody, headers }, NOW)).not.toThrow();
+            expect(auth.authenticate({ rawBody, headers }, NOW)).toEqual({ ok: false, reason: 'Invalid signature' });
+        });
+
+        test('requires timestamp and nonce headers', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const { 'x-webhook-nonce': nonce, ...headers } = signedHeaders(rawBody);
+            expect(auth.authenticate({ rawBody, headers }, NOW)).toEqual({ ok: false, reason: 'Missing timestamp or nonce header' });
+        });
+
+        test('rejects a timestamp outside the replay window', () => {
+            const auth = new WebhookAuth({ secret: SECRET, replayWindow: 60000 });
+            const headers = signedHeaders(rawBody, { timestamp: NOW - 60001 });
+            expect(auth.authenticate({ rawBody, headers }, NOW)).toEqual({ ok: false, reason: 'Timestamp outside replay window' });
+        });
+
+        test('accepts timestamps in epoch seconds', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const headers = signedHeaders(rawBody, { timestamp: Math.floor(NOW / 1000) });
+            expect(auth.authenticate({ rawBody, headers }, NOW).ok).toBe(true);
+        });
+
+        test('rejects a reused nonce', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const headers = signedHeaders(rawBody);
+            expect(auth.authenticate({ rawBody, headers }, NOW).ok).toBe(true);
+            expect(auth.authenticate({ rawBody, headers }, NOW + 1000)).toEqual({ ok: false, reason: 'Nonce already used' });
+        });
+
+        test('does not burn the nonce when the signature is invalid', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const forged = signedHeaders(rawBody, { secret: 'other' });
+            expect(auth.authenticate({ rawBody, headers: forged }, NOW).ok).toBe(false);
+            expect(auth.authenticate({ rawBody, headers: signedHeaders(rawBody) }, NOW).ok).toBe(true);
+        });
+    });
+
+    describe('payload secret fallback', () => {
+        test('accepts the secret field and strips it from the payload', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const payload = { symbol: 'XAUUSD', secret: SECRET };
+            expect(auth.authenticate({ rawBody, headers: {}, payload }, NOW)).toEqual({ ok: true, method: 'payload' });
+            expect(payload).not.toHaveProperty('secret');
+        });
+
+        test('accepts the passphrase field', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            expect(auth.authenticate({ payload: { passphrase: SECRET } }, NOW).ok).toBe(true);
+        });
+
+        test('rejects a wrong secret and still strips it', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            const payload = { secret: 'wrong' };
+            expect(auth.authenticate({ payload }, NOW)).toEqual({ ok: false, reason: 'Invalid secret' });
+            expect(payload).not.toHaveProperty('secret');
+        });
+
+        test('rejects a non-string secret', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            expect(auth.authenticate({ payload: { secret: 12345 } }, NOW)).toEqual({ ok: false, reason: 'Invalid secret' });
+        });
+
+        test('is refused when disabled', () => {
+            const auth = new WebhookAuth({ secret: SECRET, allowPayloadSecret: false });
+            expect(auth.authenticate({ payload: { secret: SECRET } }, NOW)).toEqual({ ok: false, reason: 'Missing credentials' });
+        });
+
+        test('checks the payload timestamp against the replay window', () => {
+            const auth = new WebhookAuth({ secret: SECRET, replayWindow: 60000 });
+            const stale = { secret: SECRET, timestamp: new Date(NOW - 120000).toISOString() };
+            const fresh = { secret: SECRET, timestamp: new Date(NOW - 30000).toISOString() };
+            expect(auth.authenticate({ payload: stale }, NOW)).toEqual({ ok: false, reason: 'Timestamp outside replay window' });
+            expect(auth.authenticate({ payload: fresh }, NOW).ok).toBe(true);
+        });
+
+        test('can require a payload timestamp', () => {
+            const auth = new WebhookAuth({ secret: SECRET, requirePayloadTimestamp: true });
+            expect(auth.authenticate({ payload: { secret: SECRET } }, NOW)).toEqual({ ok: false, reason: 'Missing timestamp' });
+        });
+
+        test('rejects an unparseable timestamp', () => {
+            const auth = new WebhookAuth({ secret: SECRET });
+            expect(auth.authenticate({ payload: { secret: SECRET, timestamp: 'yesterday' } }, NOW)).toEqual({ ok: false, reason: 'Invalid timestamp' });
+        });
+    });
+
+    test('rejects requests without any credentials', () => {
+        const auth = new WebhookAuth({ secret: SECRET });
+        expect(auth.authenticate({ rawBody, headers: {}, payload: { symbol: 'XAUUSD' } }, NOW)).toEqual({ ok: false, reason: 'Missing credentials' });
+    });
+});
+
+describe('NonceStore', () => {
+    test('accepts a nonce once', () => {
+        const store = new NonceStore({ ttl: 1000 });
+        expect(store.use('a', NOW)).toBe(true);
+        expect(store.use('a', NOW + 10)).toBe(false);
+        expect(store.use('b', NOW + 10)).toBe(true);
+    });
+
+    test('forgets nonces after the ttl', () => {
+        const store = new NonceStore({ ttl: 1000 });
+        store.use('a', NOW);
+        expect(store.use('a', NOW + 1000)).toBe(true);
+    });
+
+    test('evicts the oldest nonce when full', () => {
+        const store = new NonceStore({ ttl: 60000, maxSize: 2 });
+        store.use('a', NOW);
+        store.use('b', NOW + 1);
+        store.use('c', NOW + 2);
+        expect(store.size).toBe(2);
+        expect(store.use('a', NOW + 3)).toBe(true);
+        expect(store.use('c', NOW + 3)).toBe(false);
+    });
+});
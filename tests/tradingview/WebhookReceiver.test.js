@@ -0,0 +1,261 @@
+const WebhookReceiver = require('../../src/tradingview/WebhookReceiver');
+const MetricsRegistry = require('../../src/metrics/MetricsRegistry');
+const { listen } = require('../helpers/http');
+
+describe('WebhookReceiver signal extraction', () => {
+    const receiver = new WebhookReceiver({});
+    const payload = { symbol: 'XAUUSD', action: 'buy', price: 2000 };
+
+    test('turns the payload confidence percentage into a fraction', () => {
+        const signal = receiver.parseWebhookData({ ...payload, confidence: '85' });
+        expect(signal.metadata.confidence).toBe(0.85);
+        expect(receiver.signalSchema.validate(signal).valid).toBe(true);
+    });
+
+    test('leaves a missing confidence undefined', () => {
+        expect(receiver.parseWebhookData(payload).metadata.confidence).toBeUndefined();
+    });
+
+    test('rejects a confidence above 100% in payload units', () => {
+        const signal = receiver.parseWebhookData({ ...payload, confidence: 150 });
+        expect(receiver.signalSchema.validate(signal).violations).toEqual([{
+            field: 'metadata.confidence',
+            rule: 'max',
+            message: expect.stringContaining('must be at most 100% (payload confidence is a percentage'),
+            value: 150
+        }]);
+    });
+
+    test('warns when the confidence looks like a 0-1 fraction', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const signal = receiver.parseWebhookData({ ...payload, confidence: 0.85 });
+
+        expect(signal.metadata.confidence).toBeCloseTo(0.0085);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('percentage (0-100)'));
+        warn.mockRestore();
+    });
+});
+
+describe('POST /webhook payloads', () => {
+    let receiver;
+    let server;
+
+    beforeEach(async () => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        receiver = new WebhookReceiver({ rateLimit: { enabled: false } });
+        server = await listen(receiver.app);
+    });
+
+    afterEach(async () => {
+        await server.close();
+        jest.restoreAllMocks();
+    });
+
+    const post = (body) => server.request('POST', '/webhook', { body, headers: { 'content-type': 'text/plain' } });
+
+    test('accepts the README template as TradingView renders it', async () => {
+        const signals = [];
+        receiver.on('buySignal', signal => signals.push(signal));
+
+        const response = await post(`{
+            "symbol": "XAUUSD", "action": "buy", "price": 2043.1, "strategy": "GOLD_SCALPING", "timeframe": "15m",
+            "rsi": 55.2, "stop_loss": 2043.1 * 0.9985, "take_profit": 2043.1 * 1.0025, "atr": 1.8
+        }`);
+
+        expect(response.status).toBe(200);
+        expect(signals).toHaveLength(1);
+        expect(signals[0].stopLoss).toBeCloseTo(2040.03535);
+        expect(signals[0].takeProfit).toBeCloseTo(2048.20775);
+    });
+
+    test('turns a circular reference into a 422 violation', async () => {
+        const response = await post('{"symbol": "XAUUSD", "action": "buy", "price": 2000, "stop_loss": take_profit - 30, "take_profit": stop_loss + 30}');
+
+        expect(response.status).toBe(422);
+        expect(response.json.violations).toEqual(expect.arrayContaining([
+            expect.objectContaining({ field: 'stop_loss', rule: 'expression', message: 'stop_loss: circular reference' })
+        ]));
+    });
+
+    test('turns a failed expression into a 422 violation', async () => {
+        const response = await post('{"symbol": "XAUUSD", "action": "buy", "price": 2000, "atr": 0, "stop_loss": price / atr}');
+
+        expect(response.status).toBe(422);
+        expect(response.json.violations[0]).toMatchObject({ field: 'stop_loss', rule: 'expression', message: 'stop_loss: Division by zero' });
+    });
+
+    test('answers a malformed body with a 400 parse error', async () => {
+        const response = await post('{"symbol": "XAUUSD", "action": ');
+
+        expect(response.status).toBe(400);
+        expect(response.json).toMatchObject({ error: 'Invalid webhook data', detail: expect.stringContaining('Expected value') });
+    });
+
+    test('answers a deeply nested body with a 400 parse error', async () => {
+        const depth = 50000;
+        const response = await post('{"a": '.repeat(depth) + 'close * 2' + '}'.repeat(depth));
+
+        expect(response.status).toBe(400);
+        expect(response.json).toEqual({ error: 'Invalid webhook data', detail: 'Payload nested deeper than 32 levels' });
+    });
+});
+
+describe('POST /webhook backpressure', () => {
+    // Varying the action keeps the duplicate filter out of the way
+    const payload = (symbol, action = 'buy') => JSON.stringify({ symbol, action, price: 2000 });
+    let receiver;
+    let metrics;
+    let server;
+
+    async function start(config) {
+        metrics = new MetricsRegistry();
+        receiver = new WebhookReceiver({ metrics, ...config });
+        server = await listen(receiver.app);
+    }
+
+    beforeEach(() => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+    });
+
+    afterEach(async () => {
+        await server.close();
+        jest.restoreAllMocks();
+    });
+
+    const post = (body) => server.request('POST', '/webhook', { body, headers: { 'content-type': 'application/json' } });
+    const dropped = (reason) => metrics.metrics.get('trading_webhook_signals_dropped_total').get({ source: 'tradingview', reason });
+
+    test('answers 429 with Retry-After when the per-symbol bucket is empty', async () => {
+        await start({ rateLimit: { perSymbol: { perMinute: 2, burst: 1 } } });
+        const drops = [];
+        receiver.on('signalDropped', drop => drops.push(drop));
+
+        expect((await post(payload('XAUUSD'))).status).toBe(200);
+        const response = await post(payload('XAUUSD', 'close'));
+
+        expect(response.status).toBe(429);
+        expect(response.headers.get('retry-after')).toBe('30');
+        expect(response.json).toEqual({ error: 'Too many requests', reason: 'symbolRateLimit', retryAfter: 30 });
+        expect(dropped('symbolRateLimit')).toBe(1);
+        expect(drops).toEqual([expect.objectContaining({ source: 'tradingview', symbol: 'XAUUSD', reason: 'symbolRateLimit' })]);
+
+        // Other symbols have their own bucket
+        expect((await post(payload('EURUSD'))).status).toBe(200);
+    });
+
+    test('answers 429 when the source bucket is empty, before parsing the signal', async () => {
+        await start({ rateLimit: { perSource: { perMinute: 60, burst: 1 } } });
+
+        expect((await post(payload('XAUUSD'))).status).toBe(200);
+        const response = await post('{not json');
+
+        expect(response.status).toBe(429);
+        expect(response.headers.get('retry-after')).toBe('1');
+        expect(response.json.reason).toBe('sourceRateLimit');
+        expect(dropped('sourceRateLimit')).toBe(1);
+    });
+
+    test('answers 429 while the signal queue is full', async () => {
+        await start({ rateLimit: { enabled: false } });
+        let queueHasRoom = false;
+        receiver.setQueueGuard(() => queueHasRoom);
+        const signals = [];
+        receiver.on('buySignal', signal => signals.push(signal));
+
+        const response = await post(payload('XAUUSD'));
+
+        expect(response.status).toBe(429);
+        expect(response.headers.get('retry-after')).toBe('1');
+        expect(response.json.reason).toBe('queueFull');
+        expect(dropped('queueFull')).toBe(1);
+        expect(receiver.droppedSignals.queueFull).toBe(1);
+        expect(signals).toEqual([]);
+
+        queueHasRoom = true;
+        expect((await post(payload('XAUUSD'))).status).toBe(200);
+        expect(signals).toHaveLength(1);
+    });
+});
+
+describe('POST /webhook/:source/:strategy', () => {
+    const SOURCES = {
+        alpha: { secret: 'alpha-secret', symbols: ['XAUUSD'], strategies: ['gold_scalping'] },
+        beta: { secret: 'beta-secret' },
+        office: { secret: 'office-secret', allowedIPs: ['10.0.0.1'] },
+        local: { secret: 'local-secret', allowedIPs: ['127.0.0.1'] },
+        open: {},
+        fromEnv: { secretEnv: 'WEBHOOK_TEST_UNSET_SECRET' },
+        off: { secret: 'off-secret', enabled: false }
+    };
+    let receiver;
+    let server;
+    let signals;
+
+    beforeEach(async () => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        receiver = new WebhookReceiver({ sources: SOURCES, rateLimit: { enabled: false } });
+        signals = [];
+        receiver.on('signalReceived', signal => signals.push(signal));
+        server = await listen(receiver.app);
+    });
+
+    afterEach(async () => {
+        await server.close();
+        jest.restoreAllMocks();
+    });
+
+    const post = (path, body) => server.request('POST', path, {
+        body: JSON.stringify({ symbol: 'XAUUSD', action: 'buy', price: 2000, stop_loss: 1990, take_profit: 2020, atr: 2, ...body }),
+        headers: { 'content-type': 'application/json' }
+    });
+
+    test('accepts a source with its own secret and tags the signal', async () => {
+        const response = await post('/webhook/alpha/gold_scalping', { secret: 'alpha-secret' });
+
+        expect(response.status).toBe(200);
+        expect(signals).toEqual([expect.objectContaining({ webhookSource: 'alpha', strategy: 'GOLD_SCALPING' })]);
+    });
+
+    test("rejects another source's secret", async () => {
+        const response = await post('/webhook/alpha/gold_scalping', { secret: 'beta-secret' });
+
+        expect(response.status).toBe(401);
+        expect(response.json).toEqual({ error: 'Unauthorized', reason: 'Invalid secret' });
+        expect(signals).toEqual([]);
+    });
+
+    test('refuses a symbol outside the source allowlist', async () => {
+        const response = await post('/webhook/alpha/gold_scalping', { secret: 'alpha-secret', symbol: 'EURUSD', price: 1.08, stop_loss: 1.07, take_profit: 1.09 });
+
+        expect(response.status).toBe(403);
+        expect(response.json).toEqual({ error: 'Forbidden', reason: 'symbol EURUSD not allowed' });
+        expect(signals).toEqual([]);
+    });
+
+    test('refuses a strategy outside the source allowlist, whatever the payload says', async () => {
+        const response = await post('/webhook/alpha/forex_momentum', { secret: 'alpha-secret', strategy: 'GOLD_SCALPING' });
+
+        expect(response.status).toBe(403);
+        expect(response.json).toEqual({ error: 'Forbidden', reason: 'strategy FOREX_MOMENTUM not allowed' });
+    });
+
+    test('applies the per-source IP list', async () => {
+        const refused = await post('/webhook/office/gold_scalping', { secret: 'office-secret' });
+        expect(refused.status).toBe(403);
+        expect(refused.json).toEqual({ error: 'Unauthorized IP' });
+
+        const allowed = await post('/webhook/local/gold_scalping', { secret: 'local-secret' });
+        expect(allowed.status).toBe(200);
+    });
+
+    test('disables sources without a secret or turned off', async () => {
+        expect(Array.from(receiver.sources.keys())).toEqual(['alpha', 'beta', 'office', 'local']);
+
+        for (const name of ['open', 'fromEnv', 'off', 'missing']) {
+            const response = await post(`/webhook/${name}/gold_scalping`, {});
+            expect(response.status).toBe(404);
+            expect(response.json).toEqual({ error: 'Unknown webhook source' });
+        }
+        expect(signals).toEqual([]);
+    });
+});